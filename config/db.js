@@ -20,4 +20,34 @@ const connectDB = async () => {
     }
 };
 
+// Error code returned by standalone servers, which do not support transactions
+const ILLEGAL_OPERATION = 20;
+let transactionsUnsupported = false;
+
+// Run `fn(session)` inside a transaction. Conflicting writes make the driver retry the whole callback,
+// so `fn` must do all of its reads through the session. Standalone servers (local development)
+// fall back to running without a session.
+const withTransaction = async (fn) => {
+    if (transactionsUnsupported) return fn(null);
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } catch (error) {
+        if (error.code === ILLEGAL_OPERATION && /replica set|mongos/i.test(error.message)) {
+            console.warn('MongoDB không hỗ trợ transaction (không phải replica set), chạy không có session.');
+            transactionsUnsupported = true;
+            return fn(null);
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+};
+
 module.exports = connectDB;
+module.exports.withTransaction = withTransaction;
@@ -1,33 +1,11 @@
 const User = require('../models/User');
 const Expense = require('../models/Expense');
-
-const parseTransactionDate = (dateStr) => {
-    if (!dateStr) return new Date();
-    if (dateStr.includes('-') || dateStr.includes('T')) {
-        const d = new Date(dateStr);
-        if (!isNaN(d.getTime())) return d;
-    }
-    if (dateStr.includes('/')) {
-        const parts = dateStr.trim().split(/[\s,]+/);
-        const dateParts = parts[0].split('/');
-        if (dateParts.length === 3) {
-            const day = parseInt(dateParts[0], 10);
-            const month = parseInt(dateParts[1], 10) - 1;
-            const year = parseInt(dateParts[2], 10);
-            let hour = 0, minute = 0, second = 0;
-            if (parts[1]) {
-                const timeParts = parts[1].split(':');
-                hour = parseInt(timeParts[0], 10) || 0;
-                minute = parseInt(timeParts[1], 10) || 0;
-                second = parseInt(timeParts[2], 10) || 0;
-            }
-            const d = new Date(year, month, day, hour, minute, second);
-            if (!isNaN(d.getTime())) return d;
-        }
-    }
-    const d = new Date(dateStr);
-    return isNaN(d.getTime()) ? new Date() : d;
-};
+const Transaction = require('../models/Transaction');
+const Investment = require('../models/Investment');
+const { DEFAULT_CATEGORIES } = require('../utils/categories');
+const { recordOpeningBalance } = require('../services/ledger');
+const { parseDateStrict, parseTransactionDate } = require('../utils/date');
+const { normalizeSearchText } = require('../utils/text');
 
 const migrateEmbeddedExpenses = async () => {
     try {
@@ -74,4 +52,133 @@ const migrateEmbeddedExpenses = async () => {
     }
 };
 
-module.exports = migrateEmbeddedExpenses;
+// Users created before custom categories get the five default jars persisted
+const migrateDefaultCategories = async () => {
+    try {
+        const result = await User.updateMany(
+            { $or: [{ categories: { $exists: false } }, { categories: { $size: 0 } }] },
+            { $set: { categories: DEFAULT_CATEGORIES.map(c => ({ ...c, parent: null, archived: false })) } }
+        );
+        if (result.modifiedCount > 0) {
+            console.log(`Đã gán danh mục mặc định cho ${result.modifiedCount} người dùng.`);
+        }
+    } catch (error) {
+        console.error('Lỗi trong quá trình di chuyển danh mục:', error);
+    }
+};
+
+// Users with balances from before the ledger get an opening entry so the ledger sums match
+const migrateOpeningBalances = async () => {
+    try {
+        const ledgerUserIds = await Transaction.distinct('userId');
+        const users = await User.find({ _id: { $nin: ledgerUserIds } });
+
+        let migrated = 0;
+        for (const user of users) {
+            if (await recordOpeningBalance(user)) migrated += 1;
+        }
+        if (migrated > 0) {
+            console.log(`Đã ghi số dư đầu kỳ vào sổ cái cho ${migrated} người dùng.`);
+        }
+    } catch (error) {
+        console.error('Lỗi trong quá trình ghi số dư đầu kỳ:', error);
+    }
+};
+
+// Embedded investmentHistory entries become buy lots: `amount` VND at unit `price`
+const migrateEmbeddedInvestments = async () => {
+    try {
+        const users = await User.find({ "investmentHistory.0": { $exists: true } });
+
+        for (const user of users) {
+            const lots = user.investmentHistory.map(i => ({
+                userId: user._id,
+                asset: (i.type || 'UNKNOWN').trim().toUpperCase(),
+                side: 'buy',
+                quantity: i.price > 0 ? (i.amount || 0) / i.price : 0,
+                price: i.price || 0,
+                amount: i.amount || 0,
+                date: i.date || new Date().toLocaleDateString('vi-VN'),
+                timestamp: parseTransactionDate(i.date),
+                note: i.type || '',
+            }));
+
+            await Investment.insertMany(lots);
+            user.investmentHistory = [];
+            await user.save();
+            console.log(`Đã di chuyển ${lots.length} khoản đầu tư của người dùng: ${user.username}.`);
+        }
+    } catch (error) {
+        console.error('Lỗi trong quá trình di chuyển dữ liệu đầu tư:', error);
+    }
+};
+
+// Expenses saved before search indexing (or inserted without the save hook) get their searchText
+const migrateExpenseSearchText = async () => {
+    try {
+        const cursor = Expense.find({ searchText: { $exists: false } }, 'purpose location').lean().cursor();
+        let batch = [];
+        let updated = 0;
+        for await (const expense of cursor) {
+            batch.push({
+                updateOne: {
+                    filter: { _id: expense._id },
+                    update: { $set: { searchText: normalizeSearchText(`${expense.purpose} ${expense.location}`) } },
+                },
+            });
+            if (batch.length === 500) {
+                await Expense.bulkWrite(batch);
+                updated += batch.length;
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            await Expense.bulkWrite(batch);
+            updated += batch.length;
+        }
+        if (updated > 0) console.log(`Đã tạo chỉ mục tìm kiếm cho ${updated} chi tiêu.`);
+    } catch (error) {
+        console.error('Lỗi trong quá trình tạo chỉ mục tìm kiếm chi tiêu:', error);
+    }
+};
+
+// Expense lists page by (timestamp, _id), so rows written without a timestamp (inserted
+// past the pre-save hook) would fall out of every cursor page. Backfill from the date
+// string, then createdAt, then the time encoded in the _id.
+const migrateExpenseTimestamps = async () => {
+    try {
+        const cursor = Expense.find({ timestamp: null }, 'date createdAt').lean().cursor();
+        let batch = [];
+        let updated = 0;
+        for await (const expense of cursor) {
+            const timestamp = parseDateStrict(expense.date) || expense.createdAt || expense._id.getTimestamp();
+            batch.push({
+                updateOne: {
+                    filter: { _id: expense._id },
+                    update: { $set: { timestamp } },
+                },
+            });
+            if (batch.length === 500) {
+                await Expense.bulkWrite(batch);
+                updated += batch.length;
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            await Expense.bulkWrite(batch);
+            updated += batch.length;
+        }
+        if (updated > 0) console.log(`Đã bổ sung thời điểm cho ${updated} chi tiêu.`);
+    } catch (error) {
+        console.error('Lỗi trong quá trình bổ sung thời điểm chi tiêu:', error);
+    }
+};
+
+module.exports = {
+    migrateEmbeddedExpenses,
+    migrateDefaultCategories,
+    migrateOpeningBalances,
+    migrateEmbeddedInvestments,
+    migrateExpenseSearchText,
+    migrateExpenseTimestamps,
+};
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AlertRule = require('../models/AlertRule');
+const Webhook = require('../models/Webhook');
+const Notification = require('../models/Notification');
+const { validationResult } = require('express-validator');
+const { isActiveCategory } = require('../utils/categories');
+const { hasRole } = require('../middleware/workspace');
+const { queueBudgetAlerts, BUDGET_ALERT_TYPES } = require('../services/alerts');
+
+const EDITABLE_FIELDS = [
+    'name', 'category', 'percent', 'amount', 'asset', 'quote', 'price', 'direction',
+    'channels', 'webhookId', 'cooldownMinutes', 'enabled',
+];
+// Changing any of these starts the rule over, as if it had just been created
+const CONDITION_FIELDS = ['category', 'percent', 'amount', 'asset', 'quote', 'price', 'direction'];
+
+const formatRule = (rule) => ({
+    id: rule._id,
+    name: rule.name,
+    type: rule.type,
+    category: rule.category,
+    percent: rule.percent,
+    amount: rule.amount,
+    asset: rule.asset,
+    quote: rule.quote,
+    price: rule.price,
+    direction: rule.direction,
+    channels: rule.channels,
+    webhookId: rule.webhookId,
+    cooldownMinutes: rule.cooldownMinutes,
+    enabled: rule.enabled,
+    state: rule.state,
+    createdAt: rule.createdAt,
+});
+
+// Each type needs its own fields; checked on the merged rule so updates are validated too
+const ruleError = (rule, budget) => {
+    if (BUDGET_ALERT_TYPES.includes(rule.type) && !isActiveCategory(budget, rule.category)) {
+        return 'Danh mục không hợp lệ';
+    }
+    if (rule.type === 'balance_below' && !(rule.percent > 0 && rule.percent <= 100)) {
+        return 'Ngưỡng phần trăm phải trong khoảng 0-100';
+    }
+    if (rule.type === 'spend_above' && !(rule.amount > 0)) {
+        return 'Ngưỡng chi tiêu phải lớn hơn 0';
+    }
+    if (rule.type === 'price_cross' && (!rule.asset || !rule.quote || !(rule.price > 0) || !rule.direction)) {
+        return 'Cảnh báo giá cần asset, quote, price và direction';
+    }
+    if (rule.channels.length === 0) return 'Cần ít nhất một kênh thông báo';
+    if (rule.channels.includes('webhook') && !rule.webhookId) return 'Kênh webhook cần webhookId';
+    return null;
+};
+
+// Webhooks are managed by the budget owner, so only the owner may send alerts to one
+const webhookChannelError = async (req, rule) => {
+    if (!rule.channels.includes('webhook')) return null;
+    if (!hasRole(req.workspaceRole, 'owner')) return { status: 403, error: 'Chỉ chủ ngân sách được gửi cảnh báo qua webhook' };
+    if (!await Webhook.exists({ _id: rule.webhookId, userId: req.budgetId })) return { status: 400, error: 'Webhook không tồn tại' };
+    return null;
+};
+
+// Members see and edit only the rules they receive
+const findRule = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return AlertRule.findOne({ _id: req.params.id, userId: req.budgetId, ownerId: req.user.id });
+};
+
+exports.getAlertRules = async (req, res) => {
+    try {
+        const rules = await AlertRule.find({ userId: req.budgetId, ownerId: req.user.id }).sort({ createdAt: 1 });
+        res.json(rules.map(formatRule));
+    } catch (error) {
+        console.error('Lỗi lấy quy tắc cảnh báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.createAlertRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const budget = await User.findById(req.budgetId, 'categories baseCurrency');
+        const rule = new AlertRule({
+            userId: req.budgetId,
+            ownerId: req.user.id,
+            type: req.body.type,
+            quote: req.body.type === 'price_cross' ? req.body.quote || 'USD' : null,
+        });
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        }
+        const error = ruleError(rule, budget);
+        if (error) return res.status(400).json({ error });
+        const channelError = await webhookChannelError(req, rule);
+        if (channelError) return res.status(channelError.status).json({ error: channelError.error });
+
+        await rule.save();
+        // Budget rules are checked right away so a threshold that is already crossed shows up
+        if (BUDGET_ALERT_TYPES.includes(rule.type)) queueBudgetAlerts(req.budgetId);
+        res.status(201).json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi tạo quy tắc cảnh báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateAlertRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Quy tắc cảnh báo không tồn tại' });
+
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        }
+        const budget = await User.findById(req.budgetId, 'categories');
+        const error = ruleError(rule, budget);
+        if (error) return res.status(400).json({ error });
+        const channelError = await webhookChannelError(req, rule);
+        if (channelError) return res.status(channelError.status).json({ error: channelError.error });
+
+        if (CONDITION_FIELDS.some(field => rule.isModified(field))) {
+            rule.state = { active: false, lastValue: null, lastTriggeredAt: rule.state.lastTriggeredAt };
+        }
+        await rule.save();
+        res.json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi cập nhật quy tắc cảnh báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.deleteAlertRule = async (req, res) => {
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Quy tắc cảnh báo không tồn tại' });
+        await rule.deleteOne();
+        res.json({ message: 'Quy tắc cảnh báo đã được xóa' });
+    } catch (error) {
+        console.error('Lỗi xóa quy tắc cảnh báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// In-app inbox of the signed-in user, across all budgets
+exports.getNotifications = async (req, res) => {
+    try {
+        const filter = { userId: req.user.id };
+        if (req.query.unread === 'true') filter.readAt = null;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+        const [notifications, unread] = await Promise.all([
+            Notification.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+            Notification.countDocuments({ userId: req.user.id, readAt: null }),
+        ]);
+        res.json({ unread, notifications });
+    } catch (error) {
+        console.error('Lỗi lấy thông báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.markNotificationRead = async (req, res) => {
+    try {
+        const notification = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Notification.findOneAndUpdate(
+                { _id: req.params.id, userId: req.user.id },
+                { $set: { readAt: new Date() } },
+                { new: true })
+            : null;
+        if (!notification) return res.status(404).json({ error: 'Thông báo không tồn tại' });
+        res.json(notification);
+    } catch (error) {
+        console.error('Lỗi đánh dấu thông báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany({ userId: req.user.id, readAt: null }, { $set: { readAt: new Date() } });
+        res.json({ updated: result.modifiedCount });
+    } catch (error) {
+        console.error('Lỗi đánh dấu thông báo:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
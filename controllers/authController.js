@@ -1,23 +1,47 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const { validationResult } = require('express-validator');
 const { OAuth2Client } = require('google-auth-library');
+const { AppError } = require('../utils/errors');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+} = require('../services/sessions');
+const {
+    signChallenge,
+    verifyChallenge,
+    claimChallengeAttempt,
+    closeChallenge,
+    verifySecondFactor,
+} = require('../services/twoFactor');
+const { consumeToken, sendVerificationEmail, sendPasswordResetEmail } = require('../services/accountEmails');
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 exports.register = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-    const { username, password } = req.body;
+    const { username, password, email } = req.body;
     try {
         const existingUser = await User.findOne({ username });
         if (existingUser) return res.status(400).json({ error: 'Tên người dùng đã tồn tại' });
+        if (email && await User.exists({ email })) {
+            return res.status(400).json({ error: 'Email đã được sử dụng' });
+        }
 
         const salt = await bcrypt.genSalt(10);
         const hashedPassword = await bcrypt.hash(password, salt);
-        const user = new User({ username, password: hashedPassword });
+        const user = new User({ username, password: hashedPassword, email });
         await user.save();
+
+        if (email) {
+            // The account exists either way; a failed send can be retried from /email/verification
+            await sendVerificationEmail(user).catch(error => console.error('Lỗi gửi email xác minh:', error));
+        }
         res.status(201).json({ message: 'Đăng ký thành công' });
     } catch (error) {
         console.error('Lỗi đăng ký:', error);
@@ -32,13 +56,18 @@ exports.login = async (req, res) => {
     const { username, password } = req.body;
     try {
         const user = await User.findOne({ username });
-        if (!user) return res.status(401).json({ error: 'Thông tin đăng nhập không hợp lệ' });
+        // Google-only accounts have no password until they set one
+        if (!user || !user.password) return res.status(401).json({ error: 'Thông tin đăng nhập không hợp lệ' });
 
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) return res.status(401).json({ error: 'Thông tin đăng nhập không hợp lệ' });
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'your_jwt_secret', { expiresIn: '1h' });
-        res.json({ token, initialBudget: user.initialBudget });
+        // With 2FA on, no session until POST /login/2fa verifies a code
+        if (user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, challengeToken: await signChallenge(user._id) });
+        }
+        const tokens = await createSession(user._id, req);
+        res.json({ ...tokens, initialBudget: user.initialBudget });
     } catch (error) {
         console.error('Lỗi đăng nhập:', error);
         res.status(500).json({ error: 'Lỗi server' });
@@ -55,30 +84,235 @@ exports.googleLogin = async (req, res) => {
         const payload = ticket.getPayload();
         const { sub: googleId, email, name: username } = payload;
 
-        let user = await User.findOne({
-            $or: [{ googleId }, { email }]
-        });
+        let user = await User.findOne({ googleId });
+        if (!user && email) {
+            if (!payload.email_verified) return res.status(400).json({ error: 'Email Google chưa được xác minh' });
+            user = await User.findOne({ email });
+        }
 
-        if (user) {
-            // Update googleId if matched by email
-            if (!user.googleId) {
-                user.googleId = googleId;
-                await user.save();
+        if (user && !user.googleId) {
+            // Anyone can register with someone else's address, so an account whose email was
+            // never verified is linked only with its password, and that password then stops working
+            if (!user.emailVerified) {
+                const isMatch = req.body.password && user.password && await bcrypt.compare(req.body.password, user.password);
+                if (!isMatch) {
+                    return res.status(409).json({ error: 'Email đã được dùng cho tài khoản chưa xác minh, cần mật khẩu của tài khoản đó để liên kết' });
+                }
+                user.password = undefined;
             }
-        } else {
+            const wasVerified = user.emailVerified;
+            user.googleId = googleId;
+            user.emailVerified = true;
+            await user.save();
+            if (!wasVerified) await revokeAllSessions(user._id, { reason: 'revoked' });
+        } else if (!user) {
             // Create new user
             user = new User({
                 username: username || email.split('@')[0],
                 email,
+                emailVerified: true,
                 googleId,
             });
             await user.save();
         }
 
-        const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET || 'your_jwt_secret', { expiresIn: '1h' });
-        res.json({ token, initialBudget: user.initialBudget, username: user.username });
+        if (user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, challengeToken: await signChallenge(user._id) });
+        }
+        const tokens = await createSession(user._id, req);
+        res.json({ ...tokens, initialBudget: user.initialBudget, username: user.username });
     } catch (error) {
         console.error('Lỗi Google Login:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
+
+exports.loginTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const challenge = verifyChallenge(req.body.challengeToken);
+        const user = await User.findById(challenge.userId);
+        if (!user || !user.twoFactor.enabled) return res.status(401).json({ error: 'Thông tin đăng nhập không hợp lệ' });
+
+        await claimChallengeAttempt(challenge);
+        const method = await verifySecondFactor(user, req.body);
+        if (!method) return res.status(401).json({ error: 'Mã xác thực không hợp lệ' });
+        await closeChallenge(challenge);
+
+        const tokens = await createSession(user._id, req);
+        res.json({ ...tokens, initialBudget: user.initialBudget, username: user.username });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi xác thực hai lớp khi đăng nhập:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.refresh = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        res.json(await rotateRefreshToken(req.body.refreshToken, req));
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi làm mới token:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.logout = async (req, res) => {
+    try {
+        if (req.user.sid) await revokeSession(req.user.id, req.user.sid, 'logout');
+        res.json({ message: 'Đã đăng xuất' });
+    } catch (error) {
+        console.error('Lỗi đăng xuất:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.logoutAll = async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user.id);
+        res.json({ message: 'Đã đăng xuất khỏi tất cả thiết bị', revoked });
+    } catch (error) {
+        console.error('Lỗi đăng xuất tất cả thiết bị:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getSessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        res.json(sessions.map(s => ({
+            id: s._id,
+            userAgent: s.userAgent,
+            ip: s.ip,
+            createdAt: s.createdAt,
+            lastUsedAt: s.lastUsedAt,
+            expiresAt: s.expiresAt,
+            current: String(s._id) === req.user.sid,
+        })));
+    } catch (error) {
+        console.error('Lỗi lấy danh sách phiên:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.deleteSession = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Phiên không tồn tại' });
+        }
+        const revoked = await revokeSession(req.user.id, req.params.id, 'revoked');
+        if (!revoked) return res.status(404).json({ error: 'Phiên không tồn tại' });
+        res.json({ message: 'Đã thu hồi phiên' });
+    } catch (error) {
+        console.error('Lỗi thu hồi phiên:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.verifyEmail = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const record = await consumeToken(req.body.token, 'verify-email');
+        // The link only verifies the address it was sent to
+        const result = await User.updateOne(
+            { _id: record.userId, email: record.email },
+            { $set: { emailVerified: true } }
+        );
+        if (result.matchedCount === 0) return res.status(400).json({ error: 'Liên kết không hợp lệ hoặc đã hết hạn' });
+        res.json({ message: 'Email đã được xác minh' });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi xác minh email:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.resendVerification = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        if (!user.email) return res.status(400).json({ error: 'Tài khoản chưa có email' });
+        if (user.emailVerified) return res.status(400).json({ error: 'Email đã được xác minh' });
+
+        await sendVerificationEmail(user);
+        res.json({ message: 'Đã gửi email xác minh' });
+    } catch (error) {
+        console.error('Lỗi gửi lại email xác minh:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Same answer whether or not the address exists, so accounts cannot be discovered
+exports.forgotPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    // A failed send must not answer differently either: it would reveal that the address exists
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) await sendPasswordResetEmail(user);
+    } catch (error) {
+        console.error('Lỗi yêu cầu đặt lại mật khẩu:', error);
+    }
+    res.json({ message: 'Nếu email tồn tại, hướng dẫn đặt lại mật khẩu đã được gửi' });
+};
+
+exports.resetPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const record = await consumeToken(req.body.token, 'reset-password');
+        const salt = await bcrypt.genSalt(10);
+        const hashedPassword = await bcrypt.hash(req.body.password, salt);
+        // Receiving the link also proves the address belongs to the user
+        const user = await User.findByIdAndUpdate(
+            record.userId,
+            { $set: { password: hashedPassword, emailVerified: true } },
+            { new: true }
+        );
+        if (!user) return res.status(400).json({ error: 'Liên kết không hợp lệ hoặc đã hết hạn' });
+
+        // Whoever knew the old password is signed out everywhere
+        await revokeAllSessions(user._id, { reason: 'revoked' });
+        res.json({ message: 'Mật khẩu đã được đặt lại' });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi đặt lại mật khẩu:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Change the password, or add one to a Google-only account
+exports.setPassword = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+
+        if (user.password) {
+            const isMatch = req.body.currentPassword && await bcrypt.compare(req.body.currentPassword, user.password);
+            if (!isMatch) return res.status(400).json({ error: 'Mật khẩu hiện tại không đúng' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(req.body.password, salt);
+        await user.save();
+        // Other devices signed in with the old password; this one stays signed in
+        await revokeAllSessions(user._id, { reason: 'revoked', except: req.user.sid });
+        res.json({ message: 'Mật khẩu đã được cập nhật' });
+    } catch (error) {
+        console.error('Lỗi cập nhật mật khẩu:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -1,69 +1,79 @@
-const axios = require('axios');
-const { getRedisClient } = require('../config/redis');
+const { validationResult } = require('express-validator');
+const { AppError } = require('../utils/errors');
+const marketData = require('../services/marketData');
+const PricePoint = require('../models/PricePoint');
+const { INTERVAL_MS, MAX_CANDLES, candles, movingAverage } = require('../services/priceHistory');
 
-// Helper
-const fetchWithRetry = async (url, retries = 3) => {
-    for (let i = 0; i < retries; i++) {
-        try {
-            const response = await axios.get(url);
-            if (response.status !== 200) throw new Error('Lỗi API');
-            return response.data;
-        } catch (error) {
-            if (i === retries - 1) throw error;
-            await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-    }
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cached values served during a provider outage are labeled, never passed off as live
+const sourceHeaders = (res, result) => {
+    res.set('X-Data-Source', result.source);
+    res.set('X-Data-As-Of', result.asOf);
+    res.set('X-Data-Stale', String(result.stale));
 };
 
 exports.getBitcoinPrice = async (req, res) => {
-    const redisClient = getRedisClient();
-    try {
-        if (redisClient) {
-            const cachedPrice = await redisClient.get('bitcoin_price');
-            if (cachedPrice) return res.json({ price: parseFloat(cachedPrice) });
-        }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
-        const data = await fetchWithRetry('https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd');
-        const price = data.bitcoin.usd;
-        if (redisClient) {
-            await redisClient.setEx('bitcoin_price', 300, price.toString());
-        }
-        res.json({ price });
+    try {
+        const result = await marketData.getPrice(req.query.asset || 'BTC', req.query.quote || 'USD');
+        sourceHeaders(res, result);
+        res.json(result);
     } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
         console.error('Lỗi khi lấy giá Bitcoin:', error);
-        res.status(500).json({ error: 'Không thể lấy giá Bitcoin', fallbackPrice: 117783.89 });
+        res.status(500).json({ error: 'Không thể lấy giá Bitcoin' });
     }
 };
 
+// Without from/to/interval this keeps the original response: [{ date, price }] for the
+// last 7 days, from stored samples when there are any. With them it returns OHLC candles.
 exports.getBitcoinHistory = async (req, res) => {
-    const redisClient = getRedisClient();
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    const asset = (req.query.asset || 'BTC').toUpperCase();
+    const quote = (req.query.quote || 'USD').toUpperCase();
+
     try {
-        if (redisClient) {
-            const cachedHistory = await redisClient.get('bitcoin_history');
-            if (cachedHistory) return res.json(JSON.parse(cachedHistory));
+        if (!req.query.from && !req.query.to && !req.query.interval) {
+            const days = req.query.days || 7;
+            const stored = await PricePoint.find({
+                'meta.asset': asset,
+                'meta.quote': quote,
+                timestamp: { $gte: new Date(Date.now() - days * DAY_MS) },
+            }).sort({ timestamp: 1 }).lean();
+
+            let points = stored.map(p => [p.timestamp.getTime(), p.price]);
+            res.set('X-Data-Source', 'store');
+            if (points.length === 0) {
+                const result = await marketData.getHistory(asset, quote, days);
+                sourceHeaders(res, result);
+                points = result.points;
+            }
+            return res.json(points.map(([timestamp, price]) => ({
+                date: new Date(timestamp).toISOString().split('T')[0],
+                price,
+            })));
         }
 
-        const data = await fetchWithRetry('https://api.coingecko.com/api/v3/coins/bitcoin/market_chart?vs_currency=usd&days=7');
-        const prices = data.prices.map(([timestamp, price]) => ({
-            date: new Date(timestamp).toISOString().split('T')[0],
-            price,
-        }));
-        if (redisClient) {
-            await redisClient.setEx('bitcoin_history', 300, JSON.stringify(prices));
+        const interval = req.query.interval || 'daily';
+        const to = req.query.to || new Date();
+        const from = req.query.from || new Date(to.getTime() - 30 * DAY_MS);
+        if (from >= to) return res.status(400).json({ error: 'Khoảng thời gian không hợp lệ' });
+        if ((to - from) / INTERVAL_MS[interval] > MAX_CANDLES) {
+            return res.status(400).json({ error: `Khoảng thời gian quá dài, tối đa ${MAX_CANDLES} nến` });
         }
-        res.json(prices);
+
+        const series = await candles({ asset, quote, from, to, interval });
+        const windows = req.query.ma || [7, 30];
+        const indicators = Object.fromEntries(windows.map(w => [`sma${w}`, movingAverage(series, w)]));
+        res.json({ asset, quote, interval, from, to, candles: series, indicators });
     } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
         console.error('Lỗi khi lấy lịch sử giá Bitcoin:', error);
-        const today = new Date();
-        const prices = [];
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            prices.push({
-                date: date.toISOString().split('T')[0],
-                price: 117783.89 * (1 + (Math.random() - 0.5) * 0.1),
-            });
-        }
-        res.json(prices);
+        res.status(500).json({ error: 'Không thể lấy lịch sử giá Bitcoin' });
     }
 };
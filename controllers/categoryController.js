@@ -0,0 +1,121 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { toPlainRule } = require('../utils/allocation');
+const {
+    MAX_CATEGORY_DEPTH,
+    findCategory,
+    descendantKeys,
+    categoryDepth,
+    uniqueCategoryKey,
+    ensureCategories,
+} = require('../utils/categories');
+const { invalidateReports } = require('../services/reportCache');
+
+const formatCategories = (user, includeArchived) => user.categories
+    .filter(c => includeArchived || !c.archived)
+    .map(c => ({
+        key: c.key,
+        name: c.name,
+        parent: c.parent,
+        archived: c.archived,
+        balance: user.allocations.get(c.key) || 0,
+    }));
+
+// Returns an error message if `parentKey` cannot hold `key` as a child
+const validateParent = (user, key, parentKey) => {
+    const parent = findCategory(user, parentKey);
+    if (!parent) return 'Danh mục cha không tồn tại';
+    if (parent.archived) return 'Danh mục cha đã được lưu trữ';
+    if (key && (parentKey === key || descendantKeys(user, key).includes(parentKey))) {
+        return 'Không thể đặt danh mục làm con của chính nó';
+    }
+    if (categoryDepth(user, parentKey) + 1 >= MAX_CATEGORY_DEPTH) {
+        return `Danh mục chỉ được lồng tối đa ${MAX_CATEGORY_DEPTH} cấp`;
+    }
+    return null;
+};
+
+exports.getCategories = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        res.json(formatCategories(user, req.query.includeArchived === 'true'));
+    } catch (error) {
+        console.error('Lỗi lấy danh mục:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.createCategory = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        const { name, parent } = req.body;
+
+        if (parent) {
+            const parentError = validateParent(user, null, parent);
+            if (parentError) return res.status(400).json({ error: parentError });
+        }
+
+        const key = uniqueCategoryKey(user, name);
+        user.categories.push({ key, name, parent: parent || null });
+        user.allocations.set(key, 0);
+        await user.save();
+        await invalidateReports(req.budgetId);
+        res.status(201).json(formatCategories(user, false));
+    } catch (error) {
+        console.error('Lỗi tạo danh mục:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateCategory = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        const category = findCategory(user, req.params.key);
+        if (!category) {
+            return res.status(404).json({ error: 'Danh mục không tồn tại' });
+        }
+        const { name, parent, archived } = req.body;
+
+        if (parent !== undefined && parent !== null) {
+            const parentError = validateParent(user, category.key, parent);
+            if (parentError) return res.status(400).json({ error: parentError });
+        }
+
+        if (archived === true && !category.archived) {
+            const activeChildren = user.categories.filter(c => c.parent === category.key && !c.archived);
+            if (activeChildren.length > 0) {
+                return res.status(400).json({ error: 'Hãy lưu trữ các danh mục con trước' });
+            }
+            const share = toPlainRule(user.allocationRule)[category.key];
+            if (share > 0) {
+                return res.status(400).json({ error: 'Danh mục đang có trong quy tắc phân bổ, hãy cập nhật quy tắc trước' });
+            }
+        }
+        if (archived === false && category.archived && category.parent) {
+            const parentCategory = findCategory(user, category.parent);
+            if (!parentCategory || parentCategory.archived) {
+                return res.status(400).json({ error: 'Danh mục cha đã được lưu trữ' });
+            }
+        }
+
+        // The key never changes, so existing expenses keep pointing at this category
+        if (name !== undefined) category.name = name;
+        if (parent !== undefined) category.parent = parent;
+        if (archived !== undefined) category.archived = archived;
+        await user.save();
+        await invalidateReports(req.budgetId);
+        res.json(formatCategories(user, true));
+    } catch (error) {
+        console.error('Lỗi cập nhật danh mục:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
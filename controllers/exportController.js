@@ -0,0 +1,173 @@
+const ExcelJS = require('exceljs');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const { buildExpenseFilter } = require('../services/expenseQuery');
+const { writeChunk: write } = require('../utils/response');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+const DEFAULT_LOCALE = 'vi-VN';
+
+const COLUMNS = [
+    { key: 'date', header: 'Ngày' },
+    { key: 'category', header: 'Danh mục' },
+    { key: 'amount', header: 'Số tiền' },
+    { key: 'originalAmount', header: 'Số tiền gốc' },
+    { key: 'currency', header: 'Tiền tệ' },
+    { key: 'purpose', header: 'Mục đích' },
+    { key: 'location', header: 'Địa điểm' },
+];
+
+// Fall back to the default locale for tags Intl does not know
+const resolveLocale = (locale) => {
+    try {
+        return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0 ? locale : DEFAULT_LOCALE;
+    } catch (error) {
+        return DEFAULT_LOCALE;
+    }
+};
+
+// Spreadsheets run cells starting with = + - @ as formulas, so user text such as a
+// purpose of "=HYPERLINK(...)" is prefixed with ' to keep it plain text. Negative
+// numbers and the "-" placeholder are not formulas and stay as they are.
+const csvField = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text) && !/^-[\d.,\s]*$/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const categoryTotals = (filter) => Expense.aggregate([
+    { $match: filter },
+    { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    { $sort: { total: -1 } },
+]);
+
+const streamCsv = async (res, cursor, totals, fmt) => {
+    // BOM so Excel opens the UTF-8 file with Vietnamese text intact
+    if (!await write(res, '\uFEFF' + COLUMNS.map(c => csvField(c.header)).join(',') + '\r\n')) return;
+    for await (const expense of cursor) {
+        const row = [
+            fmt.date(expense.timestamp),
+            fmt.category(expense.category),
+            fmt.amount(expense.amount),
+            fmt.amount(expense.originalAmount ?? expense.amount),
+            fmt.currency(expense),
+            expense.purpose,
+            expense.location,
+        ];
+        // The client went away: stop reading instead of leaving the cursor open
+        if (!await write(res, row.map(csvField).join(',') + '\r\n')) return cursor.close();
+    }
+
+    await write(res, '\r\n' + ['Tổng theo danh mục', 'Số giao dịch', 'Tổng tiền'].map(csvField).join(',') + '\r\n');
+    for (const total of totals) {
+        await write(res, [fmt.category(total._id), total.count, fmt.amount(total.total)].map(csvField).join(',') + '\r\n');
+    }
+    res.end();
+};
+
+// Cells keep real numbers and dates so spreadsheets can sum them; formats only affect display
+const streamXlsx = async (res, cursor, totals, fmt) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Chi tiêu');
+    sheet.columns = [
+        { header: 'Ngày', key: 'date', width: 14, style: { numFmt: 'dd/mm/yyyy' } },
+        { header: 'Danh mục', key: 'category', width: 20 },
+        { header: 'Số tiền', key: 'amount', width: 16, style: { numFmt: '#,##0' } },
+        { header: 'Số tiền gốc', key: 'originalAmount', width: 16, style: { numFmt: '#,##0.##' } },
+        { header: 'Tiền tệ', key: 'currency', width: 10 },
+        { header: 'Mục đích', key: 'purpose', width: 40 },
+        { header: 'Địa điểm', key: 'location', width: 24 },
+    ];
+    for await (const expense of cursor) {
+        if (res.destroyed) return cursor.close();
+        sheet.addRow({
+            date: expense.timestamp,
+            category: fmt.category(expense.category),
+            amount: expense.amount,
+            originalAmount: expense.originalAmount ?? expense.amount,
+            currency: fmt.currency(expense),
+            purpose: expense.purpose,
+            location: expense.location,
+        }).commit();
+    }
+    sheet.commit();
+
+    const summary = workbook.addWorksheet('Tổng theo danh mục');
+    summary.columns = [
+        { header: 'Danh mục', key: 'category', width: 20 },
+        { header: 'Số giao dịch', key: 'count', width: 14 },
+        { header: 'Tổng tiền', key: 'total', width: 18, style: { numFmt: '#,##0' } },
+    ];
+    for (const total of totals) {
+        summary.addRow({ category: fmt.category(total._id), count: total.count, total: total.total }).commit();
+    }
+    summary.commit();
+    await workbook.commit();
+};
+
+const streamJson = async (res, cursor, totals, fmt, locale) => {
+    if (!await write(res, `{"locale":${JSON.stringify(locale)},"expenses":[`)) return;
+    let first = true;
+    for await (const expense of cursor) {
+        const item = {
+            ...expense,
+            categoryName: fmt.category(expense.category),
+            amountFormatted: fmt.amount(expense.amount),
+            dateFormatted: fmt.date(expense.timestamp),
+        };
+        if (!await write(res, (first ? '' : ',') + JSON.stringify(item))) return cursor.close();
+        first = false;
+    }
+    const formattedTotals = totals.map(t => ({
+        category: t._id,
+        categoryName: fmt.category(t._id),
+        count: t.count,
+        total: t.total,
+        totalFormatted: fmt.amount(t.total),
+    }));
+    await write(res, `],"totals":${JSON.stringify(formattedTotals)}}`);
+    res.end();
+};
+
+exports.exportExpenses = async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Định dạng xuất không hợp lệ (${EXPORT_FORMATS.join(', ')})` });
+    }
+    const locale = resolveLocale(req.query.locale || DEFAULT_LOCALE);
+
+    try {
+        const user = await User.findById(req.budgetId, 'categories baseCurrency');
+        const filter = await buildExpenseFilter(req.budgetId, req.query);
+        const totals = await categoryTotals(filter);
+
+        const names = new Map((user ? user.categories : []).map(c => [c.key, c.name]));
+        const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+        const dateFormat = new Intl.DateTimeFormat(locale, { day: '2-digit', month: '2-digit', year: 'numeric' });
+        const fmt = {
+            amount: (value) => numberFormat.format(value),
+            date: (value) => (value ? dateFormat.format(value) : ''),
+            category: (key) => names.get(key) || key,
+            // Expenses from before multi-currency support are in the base currency
+            currency: (expense) => expense.currency || user?.baseCurrency || 'VND',
+        };
+
+        const fileName = `chi-tieu-${new Date().toISOString().slice(0, 10)}.${format}`;
+        const contentTypes = {
+            csv: 'text/csv; charset=utf-8',
+            xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            json: 'application/json; charset=utf-8',
+        };
+        res.setHeader('Content-Type', contentTypes[format]);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        const cursor = Expense.find(filter).sort({ timestamp: -1, _id: -1 }).lean().cursor();
+        if (format === 'csv') await streamCsv(res, cursor, totals, fmt);
+        if (format === 'xlsx') await streamXlsx(res, cursor, totals, fmt);
+        if (format === 'json') await streamJson(res, cursor, totals, fmt, locale);
+    } catch (error) {
+        console.error('Lỗi xuất chi tiêu:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const { validationResult } = require('express-validator');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../config/db');
+const { savingsPosition, contribute, goalProgress } = require('../services/goals');
+
+const EDITABLE_FIELDS = ['name', 'targetAmount', 'deadline', 'autoPercent'];
+
+const formatGoal = (goal) => ({
+    id: goal._id,
+    name: goal.name,
+    targetAmount: goal.targetAmount,
+    deadline: goal.deadline,
+    saved: goal.saved,
+    autoPercent: goal.autoPercent,
+    createdAt: goal.createdAt,
+    contributions: goal.contributions.slice(-20),
+    ...goalProgress(goal),
+});
+
+const findGoal = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Goal.findOne({ _id: req.params.id, userId: req.budgetId });
+};
+
+// Auto-contribution percentages across all goals may not exceed 100
+const autoPercentError = async (userId, percent, excludeId = null) => {
+    if (!percent) return null;
+    const others = await Goal.find({ userId, _id: { $ne: excludeId }, autoPercent: { $gt: 0 } }, 'autoPercent').lean();
+    const total = others.reduce((sum, g) => sum + g.autoPercent, 0) + percent;
+    return total > 100 ? `Tổng phần trăm tự động góp của các mục tiêu vượt quá 100% (${total}%)` : null;
+};
+
+exports.getGoals = async (req, res) => {
+    try {
+        const [goals, savings] = await Promise.all([
+            Goal.find({ userId: req.budgetId }).sort({ createdAt: 1 }),
+            savingsPosition(req.budgetId),
+        ]);
+        res.json({
+            savings: {
+                ...savings,
+                // Spending from the savings jar can leave goals claiming more than it holds
+                underfunded: savings.earmarked > savings.balance,
+            },
+            goals: goals.map(formatGoal),
+        });
+    } catch (error) {
+        console.error('Lỗi lấy mục tiêu tiết kiệm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getGoal = async (req, res) => {
+    try {
+        const goal = await findGoal(req);
+        if (!goal) return res.status(404).json({ error: 'Mục tiêu không tồn tại' });
+        res.json({ ...formatGoal(goal), contributions: goal.contributions });
+    } catch (error) {
+        console.error('Lỗi lấy mục tiêu tiết kiệm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.createGoal = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const { name, targetAmount, deadline = null, autoPercent = 0 } = req.body;
+        if (deadline && deadline <= new Date()) return res.status(400).json({ error: 'Hạn chót phải ở tương lai' });
+        const percentError = await autoPercentError(req.budgetId, autoPercent);
+        if (percentError) return res.status(400).json({ error: percentError });
+
+        const goal = await Goal.create({ userId: req.budgetId, name, targetAmount, deadline, autoPercent });
+        res.status(201).json(formatGoal(goal));
+    } catch (error) {
+        console.error('Lỗi tạo mục tiêu tiết kiệm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateGoal = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const goal = await findGoal(req);
+        if (!goal) return res.status(404).json({ error: 'Mục tiêu không tồn tại' });
+
+        if (req.body.autoPercent !== undefined) {
+            const percentError = await autoPercentError(req.budgetId, req.body.autoPercent, goal._id);
+            if (percentError) return res.status(400).json({ error: percentError });
+        }
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) goal[field] = req.body[field];
+        }
+        await goal.save();
+        res.json(formatGoal(goal));
+    } catch (error) {
+        console.error('Lỗi cập nhật mục tiêu tiết kiệm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// The earmarked money stays in the savings jar
+exports.deleteGoal = async (req, res) => {
+    try {
+        const result = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Goal.deleteOne({ _id: req.params.id, userId: req.budgetId })
+            : { deletedCount: 0 };
+        if (result.deletedCount === 0) return res.status(404).json({ error: 'Mục tiêu không tồn tại' });
+        res.json({ message: 'Mục tiêu đã được xóa' });
+    } catch (error) {
+        console.error('Lỗi xóa mục tiêu tiết kiệm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Positive amounts earmark free savings for the goal, negative amounts release it
+exports.contributeToGoal = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ error: 'Mục tiêu không tồn tại' });
+    }
+
+    try {
+        const goal = await withTransaction(async (session) => {
+            const found = await Goal.findOne({ _id: req.params.id, userId: req.budgetId }).session(session);
+            if (!found) return null;
+            return contribute(req.budgetId, found, req.body.amount, 'manual', session);
+        });
+        if (!goal) return res.status(404).json({ error: 'Mục tiêu không tồn tại' });
+        res.json(formatGoal(goal));
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi góp vào mục tiêu tiết kiệm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
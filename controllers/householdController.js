@@ -0,0 +1,312 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Household = require('../models/Household');
+const AlertRule = require('../models/AlertRule');
+const { validationResult } = require('express-validator');
+const { deleteBudgetData } = require('../services/accountData');
+const { sendMail } = require('../services/mail');
+
+const roleOf = (household, userId) => {
+    const member = household.members.find(m => m.userId.equals(userId));
+    return member ? member.role : null;
+};
+
+const formatHousehold = async (household, userId) => {
+    const ids = [...household.members.map(m => m.userId), ...household.invites.map(i => i.userId)];
+    const users = await User.find({ _id: { $in: ids } }, 'username email').lean();
+    const names = new Map(users.map(u => [String(u._id), u.username]));
+    const role = roleOf(household, userId);
+    return {
+        id: household._id,
+        name: household.name,
+        role,
+        members: household.members.map(m => ({
+            userId: m.userId,
+            username: names.get(String(m.userId)) || null,
+            role: m.role,
+            joinedAt: m.joinedAt,
+        })),
+        // Only owners manage invitations
+        invites: role === 'owner'
+            ? household.invites.map(i => ({
+                userId: i.userId,
+                username: names.get(String(i.userId)) || null,
+                role: i.role,
+                createdAt: i.createdAt,
+            }))
+            : [],
+        createdAt: household.createdAt,
+    };
+};
+
+// Loads a household the caller belongs to, answering 404/403 itself when not allowed
+const loadHousehold = async (req, res, requiredRole = null) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ error: 'Ngân sách chung không tồn tại' });
+        return null;
+    }
+    const household = await Household.findOne({ _id: req.params.id, 'members.userId': req.user.id });
+    if (!household) {
+        res.status(404).json({ error: 'Ngân sách chung không tồn tại' });
+        return null;
+    }
+    if (requiredRole === 'owner' && roleOf(household, req.user.id) !== 'owner') {
+        res.status(403).json({ error: 'Chỉ chủ sở hữu mới có thể thực hiện thao tác này' });
+        return null;
+    }
+    return household;
+};
+
+exports.getHouseholds = async (req, res) => {
+    try {
+        const [households, invited] = await Promise.all([
+            Household.find({ 'members.userId': req.user.id }).sort({ createdAt: 1 }),
+            Household.find({ 'invites.userId': req.user.id }, 'name invites'),
+        ]);
+        res.json({
+            households: await Promise.all(households.map(h => formatHousehold(h, req.user.id))),
+            invitations: invited.map(h => {
+                const invite = h.invites.find(i => i.userId.equals(req.user.id));
+                return { householdId: h._id, name: h.name, role: invite.role, createdAt: invite.createdAt };
+            }),
+        });
+    } catch (error) {
+        console.error('Lỗi lấy danh sách ngân sách chung:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.createHousehold = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const householdId = new mongoose.Types.ObjectId();
+        // The budget account carries the shared balances, categories and rules
+        const budget = await User.create({ username: `household:${householdId}`, accountType: 'household' });
+        const household = await Household.create({
+            _id: householdId,
+            name: req.body.name,
+            budgetId: budget._id,
+            members: [{ userId: req.user.id, role: 'owner' }],
+        });
+        res.status(201).json(await formatHousehold(household, req.user.id));
+    } catch (error) {
+        console.error('Lỗi tạo ngân sách chung:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getHousehold = async (req, res) => {
+    try {
+        const household = await loadHousehold(req, res);
+        if (!household) return;
+        res.json(await formatHousehold(household, req.user.id));
+    } catch (error) {
+        console.error('Lỗi lấy ngân sách chung:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateHousehold = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const household = await loadHousehold(req, res, 'owner');
+        if (!household) return;
+        household.name = req.body.name;
+        await household.save();
+        res.json(await formatHousehold(household, req.user.id));
+    } catch (error) {
+        console.error('Lỗi cập nhật ngân sách chung:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.deleteHousehold = async (req, res) => {
+    try {
+        const household = await loadHousehold(req, res, 'owner');
+        if (!household) return;
+        await deleteBudgetData(household.budgetId);
+        await Household.deleteOne({ _id: household._id });
+        await User.updateMany({ activeHousehold: household._id }, { $set: { activeHousehold: null } });
+        res.json({ message: 'Ngân sách chung đã được xóa' });
+    } catch (error) {
+        console.error('Lỗi xóa ngân sách chung:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Invite an existing user by username or email
+exports.inviteMember = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const household = await loadHousehold(req, res, 'owner');
+        if (!household) return;
+
+        const { username, email, role } = req.body;
+        const invitee = await User.findOne(
+            username ? { username, accountType: { $ne: 'household' } } : { email, accountType: { $ne: 'household' } }
+        );
+        if (!invitee) return res.status(404).json({ error: 'Không tìm thấy người dùng' });
+        if (roleOf(household, invitee._id)) return res.status(400).json({ error: 'Người dùng đã là thành viên' });
+        if (household.invites.some(i => i.userId.equals(invitee._id))) {
+            return res.status(400).json({ error: 'Người dùng đã được mời' });
+        }
+
+        household.invites.push({ userId: invitee._id, role, invitedBy: req.user.id });
+        await household.save();
+
+        if (invitee.email) {
+            await sendMail({
+                to: invitee.email,
+                subject: `Lời mời tham gia ngân sách chung "${household.name}"`,
+                text: `Xin chào ${invitee.username},\n\nBạn được mời tham gia ngân sách chung "${household.name}" với vai trò ${role}.\n`
+                    + 'Đăng nhập để chấp nhận hoặc từ chối lời mời.\n',
+            }).catch(error => console.error('Lỗi gửi email lời mời:', error));
+        }
+        res.status(201).json(await formatHousehold(household, req.user.id));
+    } catch (error) {
+        console.error('Lỗi mời thành viên:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.cancelInvite = async (req, res) => {
+    try {
+        const household = await loadHousehold(req, res, 'owner');
+        if (!household) return;
+        const before = household.invites.length;
+        household.invites = household.invites.filter(i => String(i.userId) !== req.params.userId);
+        if (household.invites.length === before) return res.status(404).json({ error: 'Lời mời không tồn tại' });
+        await household.save();
+        res.json(await formatHousehold(household, req.user.id));
+    } catch (error) {
+        console.error('Lỗi hủy lời mời:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.acceptInvite = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Lời mời không tồn tại' });
+        }
+        const household = await Household.findOne({ _id: req.params.id, 'invites.userId': req.user.id });
+        if (!household) return res.status(404).json({ error: 'Lời mời không tồn tại' });
+        const invite = household.invites.find(i => i.userId.equals(req.user.id));
+
+        // Conditional on the invite still being there, so a double accept adds one member
+        const result = await Household.updateOne(
+            { _id: household._id, 'invites.userId': req.user.id, 'members.userId': { $ne: req.user.id } },
+            {
+                $pull: { invites: { userId: req.user.id } },
+                $push: { members: { userId: req.user.id, role: invite.role, joinedAt: new Date() } },
+            }
+        );
+        if (result.modifiedCount === 0) return res.status(404).json({ error: 'Lời mời không tồn tại' });
+
+        const updated = await Household.findById(household._id);
+        res.json(await formatHousehold(updated, req.user.id));
+    } catch (error) {
+        console.error('Lỗi chấp nhận lời mời:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.declineInvite = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Lời mời không tồn tại' });
+        }
+        const result = await Household.updateOne(
+            { _id: req.params.id, 'invites.userId': req.user.id },
+            { $pull: { invites: { userId: req.user.id } } }
+        );
+        if (result.modifiedCount === 0) return res.status(404).json({ error: 'Lời mời không tồn tại' });
+        res.json({ message: 'Đã từ chối lời mời' });
+    } catch (error) {
+        console.error('Lỗi từ chối lời mời:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateMemberRole = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const household = await loadHousehold(req, res, 'owner');
+        if (!household) return;
+        const member = household.members.find(m => String(m.userId) === req.params.userId);
+        if (!member) return res.status(404).json({ error: 'Thành viên không tồn tại' });
+
+        const owners = household.members.filter(m => m.role === 'owner');
+        if (member.role === 'owner' && req.body.role !== 'owner' && owners.length === 1) {
+            return res.status(400).json({ error: 'Ngân sách chung cần ít nhất một chủ sở hữu' });
+        }
+        member.role = req.body.role;
+        await household.save();
+        res.json(await formatHousehold(household, req.user.id));
+    } catch (error) {
+        console.error('Lỗi cập nhật vai trò thành viên:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Owners remove members; any member can remove themselves (leave)
+exports.removeMember = async (req, res) => {
+    try {
+        const leaving = req.params.userId === String(req.user.id);
+        const household = await loadHousehold(req, res, leaving ? null : 'owner');
+        if (!household) return;
+        const member = household.members.find(m => String(m.userId) === req.params.userId);
+        if (!member) return res.status(404).json({ error: 'Thành viên không tồn tại' });
+
+        const owners = household.members.filter(m => m.role === 'owner');
+        if (member.role === 'owner' && owners.length === 1) {
+            return res.status(400).json({ error: 'Ngân sách chung cần ít nhất một chủ sở hữu' });
+        }
+        household.members = household.members.filter(m => m !== member);
+        await household.save();
+        await User.updateOne({ _id: member.userId, activeHousehold: household._id }, { $set: { activeHousehold: null } });
+        // Their alert rules would keep reporting the household's balances to them
+        await AlertRule.deleteMany({ userId: household.budgetId, ownerId: member.userId });
+        res.json({ message: leaving ? 'Đã rời ngân sách chung' : 'Đã xóa thành viên' });
+    } catch (error) {
+        console.error('Lỗi xóa thành viên:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getWorkspace = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id, 'activeHousehold');
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        res.json({ householdId: user.activeHousehold });
+    } catch (error) {
+        console.error('Lỗi lấy không gian làm việc:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Save which budget requests without X-Workspace-Id use; null is the personal budget
+exports.switchWorkspace = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const { householdId = null } = req.body;
+        if (householdId && !(await Household.exists({ _id: householdId, 'members.userId': req.user.id }))) {
+            return res.status(403).json({ error: 'Bạn không phải thành viên của ngân sách chung này' });
+        }
+        await User.updateOne({ _id: req.user.id }, { $set: { activeHousehold: householdId } });
+        res.json({ householdId });
+    } catch (error) {
+        console.error('Lỗi chuyển không gian làm việc:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -0,0 +1,136 @@
+const User = require('../models/User');
+const ImportBatch = require('../models/ImportBatch');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { ensureCategories } = require('../utils/categories');
+const { withTransaction } = require('../config/db');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { invalidateReports } = require('../services/reportCache');
+const { queueBudgetAlerts } = require('../services/alerts');
+const { recordEvents, publishEvents } = require('../services/events');
+const { DEFAULT_EXPENSE_SIGN, parseStatement, previewRows, commitRows } = require('../services/import');
+
+const formatBatch = (batch) => ({
+    id: batch._id,
+    format: batch.format,
+    fileName: batch.fileName,
+    status: batch.status,
+    summary: {
+        total: batch.rows.length,
+        valid: batch.rows.filter(r => r.status === 'valid').length,
+        duplicate: batch.rows.filter(r => r.status === 'duplicate').length,
+        rejected: batch.rows.filter(r => r.status === 'rejected').length,
+        imported: batch.rows.filter(r => r.expenseId).length,
+    },
+    warnings: batch.warnings,
+    rows: batch.rows,
+    createdAt: batch.createdAt,
+    committedAt: batch.committedAt,
+});
+
+exports.previewImport = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        const { format, content, fileName } = req.body;
+        const mapping = req.body.mapping || {};
+
+        const parsed = parseStatement(format, content, mapping);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        const { rows, warnings } = await previewRows(user, parsed.rows, {
+            expenseSign: mapping.expenseSign || DEFAULT_EXPENSE_SIGN[format],
+            defaultCategory: mapping.defaultCategory,
+            categoryMap: mapping.categoryMap,
+            defaultCurrency: mapping.currency,
+        });
+        const batch = await ImportBatch.create({
+            userId: req.budgetId,
+            format,
+            fileName: fileName || '',
+            rows,
+            warnings,
+        });
+        res.status(201).json(formatBatch(batch));
+    } catch (error) {
+        console.error('Lỗi xem trước dữ liệu nhập:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getImport = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Không tìm thấy lượt nhập' });
+        }
+        const batch = await ImportBatch.findOne({ _id: req.params.id, userId: req.budgetId });
+        if (!batch) return res.status(404).json({ error: 'Không tìm thấy lượt nhập' });
+        res.json(formatBatch(batch));
+    } catch (error) {
+        console.error('Lỗi lấy lượt nhập:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.commitImport = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Không tìm thấy lượt nhập' });
+        }
+        const includeDuplicates = req.body.includeDuplicates === true;
+        const skipRows = new Set(req.body.skipRows || []);
+
+        const { batch, outbox } = await withTransaction(async (session) => {
+            const found = await ImportBatch.findOne({ _id: req.params.id, userId: req.budgetId }).session(session);
+            if (!found) throw new NotFoundError('Không tìm thấy lượt nhập');
+            if (found.status !== 'preview') throw new AppError('Lượt nhập này đã được xác nhận');
+
+            const selected = found.rows.filter(row =>
+                !skipRows.has(row.row) &&
+                (row.status === 'valid' || (includeDuplicates && row.status === 'duplicate')));
+            const expenses = await commitRows(req.budgetId, selected, session, req.user.id);
+            selected.forEach((row, i) => {
+                row.expenseId = expenses[i]._id;
+            });
+
+            found.status = 'committed';
+            found.committedAt = new Date();
+            found.expiresAt = null;
+            await found.save({ session });
+            return {
+                batch: found,
+                outbox: await recordEvents(req.budgetId, 'expense.created', expenses.map(expense => expense.toObject()), session),
+            };
+        });
+        await invalidateReports(req.budgetId);
+        queueBudgetAlerts(req.budgetId);
+        await publishEvents(outbox);
+        res.json(formatBatch(batch));
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi xác nhận dữ liệu nhập:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.discardImport = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Không tìm thấy lượt nhập' });
+        }
+        const result = await ImportBatch.deleteOne({ _id: req.params.id, userId: req.budgetId, status: 'preview' });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Không tìm thấy lượt nhập đang chờ xác nhận' });
+        }
+        res.json({ message: 'Đã hủy lượt nhập' });
+    } catch (error) {
+        console.error('Lỗi hủy lượt nhập:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
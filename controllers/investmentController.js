@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Investment = require('../models/Investment');
+const { validationResult } = require('express-validator');
+const { AppError } = require('../utils/errors');
+const { withTransaction } = require('../config/db');
+const { parseDateStrict, formatExpenseDate } = require('../utils/date');
+const {
+    COST_BASIS_METHODS,
+    buildPositions,
+    loadTrades,
+    currentPrices,
+    summarizeHoldings,
+    getPortfolio,
+} = require('../services/portfolio');
+const { validateRiskPolicy, evaluateBuy } = require('../services/riskPolicy');
+const { recordEvent, publishEvents } = require('../services/events');
+
+const formatInvestment = (trade) => ({
+    _id: trade._id,
+    asset: trade.asset,
+    // Older clients display the free-form `type` of embedded investments
+    type: trade.asset,
+    assetClass: trade.assetClass,
+    side: trade.side,
+    quantity: trade.quantity,
+    price: trade.price,
+    fee: trade.fee,
+    amount: trade.amount,
+    date: trade.date,
+    timestamp: trade.timestamp,
+    note: trade.note,
+    riskEvaluations: trade.riskEvaluations || [],
+    riskConfirmed: trade.riskConfirmed || false,
+});
+
+const listInvestments = async (userId) => {
+    const trades = await loadTrades(userId);
+    return trades.map(formatInvestment);
+};
+
+exports.getInvestments = async (req, res) => {
+    try {
+        res.json(await listInvestments(req.budgetId));
+    } catch (error) {
+        console.error('Lỗi lấy đầu tư:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Accepts a lot ({ asset, side, quantity, price, fee }) or the legacy
+// { amount, price, type } shape, which is recorded as a buy of `amount` in the base currency
+exports.addInvestment = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        const { price, assetClass, note } = req.body;
+        const fee = req.body.fee || 0;
+        const legacy = req.body.asset === undefined;
+        const side = legacy ? 'buy' : (req.body.side || 'buy');
+        const asset = legacy ? req.body.type : req.body.asset;
+        const quantity = legacy ? (price > 0 ? req.body.amount / price : 0) : req.body.quantity;
+        const amount = legacy
+            ? req.body.amount
+            : (side === 'buy' ? quantity * price + fee : quantity * price - fee);
+
+        const when = req.body.date ? parseDateStrict(req.body.date) : new Date();
+        if (!when) return res.status(400).json({ error: 'Ngày giao dịch không hợp lệ' });
+
+        const trade = new Investment({
+            userId: req.budgetId,
+            asset,
+            assetClass,
+            side,
+            quantity,
+            price,
+            fee,
+            amount,
+            date: formatExpenseDate(when),
+            timestamp: when,
+            note,
+        });
+        const trades = await loadTrades(req.budgetId);
+
+        if (side === 'buy') {
+            const positions = buildPositions(trades, user.costBasisMethod);
+            const { holdings } = summarizeHoldings(positions, await currentPrices(positions, user.baseCurrency));
+            const evaluations = evaluateBuy(user, holdings, trade);
+
+            const blocked = evaluations.find(e => !e.passed && e.mode === 'hard');
+            if (blocked) return res.status(400).json({ error: blocked.message, riskEvaluations: evaluations });
+
+            // Soft rules keep the old `warning` response until the client confirms
+            const warnings = evaluations.filter(e => !e.passed && e.mode === 'soft');
+            if (warnings.length > 0 && req.body.confirm !== true) {
+                return res.status(400).json({
+                    warning: warnings.map(e => e.message).join('; '),
+                    requiresConfirmation: true,
+                    riskEvaluations: evaluations,
+                });
+            }
+            trade.riskEvaluations = evaluations;
+            trade.riskConfirmed = warnings.length > 0;
+        } else {
+            // A sell has to be covered by the lots held at its date
+            const later = trades.findIndex(t => t.timestamp > when);
+            trades.splice(later === -1 ? trades.length : later, 0, trade.toObject());
+            buildPositions(trades, user.costBasisMethod);
+        }
+
+        const outbox = await withTransaction(async (session) => {
+            await trade.save({ session });
+            return recordEvent(req.budgetId, 'investment.added', trade.toObject(), session);
+        });
+        await publishEvents(outbox);
+        res.json(await listInvestments(req.budgetId));
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi thêm đầu tư:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// `:id` is a lot id; a number is still accepted as the position in the list
+exports.deleteInvestment = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId, 'costBasisMethod');
+        const trades = await loadTrades(req.budgetId);
+
+        let index;
+        if (mongoose.Types.ObjectId.isValid(req.params.id)) {
+            index = trades.findIndex(t => t._id.equals(req.params.id));
+        } else if (/^\d+$/.test(req.params.id)) {
+            index = parseInt(req.params.id, 10);
+        }
+        if (index === undefined || index < 0 || index >= trades.length) {
+            return res.status(400).json({ error: 'Chỉ số giao dịch không hợp lệ' });
+        }
+
+        // Removing a buy must not leave a later sell uncovered
+        const [removed] = trades.splice(index, 1);
+        if (removed.side === 'buy') {
+            try {
+                buildPositions(trades, user.costBasisMethod);
+            } catch (error) {
+                if (error instanceof AppError) {
+                    return res.status(400).json({ error: 'Không thể xóa giao dịch mua đã được bán một phần' });
+                }
+                throw error;
+            }
+        }
+
+        await Investment.deleteOne({ _id: removed._id, userId: req.budgetId });
+        res.json(await listInvestments(req.budgetId));
+    } catch (error) {
+        console.error('Lỗi xóa đầu tư:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getPortfolio = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId, 'costBasisMethod baseCurrency');
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        res.json(await getPortfolio(req.budgetId, req.query.method || user.costBasisMethod, user.baseCurrency));
+    } catch (error) {
+        console.error('Lỗi lấy danh mục đầu tư:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updatePortfolioSettings = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findByIdAndUpdate(
+            req.budgetId,
+            { costBasisMethod: req.body.costBasisMethod },
+            { new: true, projection: 'costBasisMethod' }
+        );
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        res.json({ costBasisMethod: user.costBasisMethod, methods: COST_BASIS_METHODS });
+    } catch (error) {
+        console.error('Lỗi cập nhật cài đặt danh mục đầu tư:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getRiskPolicy = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId, 'riskPolicy');
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        res.json(user.riskPolicy);
+    } catch (error) {
+        console.error('Lỗi lấy chính sách rủi ro:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateRiskPolicy = async (req, res) => {
+    try {
+        const { rules } = req.body;
+        const policyError = validateRiskPolicy(rules);
+        if (policyError) return res.status(400).json({ error: policyError });
+
+        const user = await User.findById(req.budgetId);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        user.riskPolicy = rules.map(({ rule, mode, limit, asset, assetClass }) => ({
+            rule,
+            mode,
+            limit: rule === 'fundingBudget' ? null : limit,
+            asset: asset ? String(asset).trim().toUpperCase() : null,
+            assetClass: assetClass || null,
+        }));
+        await user.save();
+        res.json(user.riskPolicy);
+    } catch (error) {
+        console.error('Lỗi cập nhật chính sách rủi ro:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const BudgetPeriod = require('../models/BudgetPeriod');
+const { validationResult } = require('express-validator');
+const { isActiveCategory } = require('../utils/categories');
+const {
+    actualSpending,
+    plannedVsActual,
+    ensureCurrentPeriod,
+    closePeriod,
+} = require('../services/periods');
+
+const SETTINGS_FIELDS = ['cycle', 'startDay', 'anchorDate', 'lengthDays', 'unspentRule', 'sweepTo'];
+
+const formatPeriod = (period) => ({
+    id: period._id,
+    start: period.start,
+    end: period.end,
+    status: period.status,
+    planned: Object.fromEntries(period.planned),
+    rules: Object.fromEntries(period.rules),
+    summary: period.summary,
+    closedAt: period.closedAt,
+});
+
+const withLiveTotals = async (period) => {
+    const actual = await actualSpending(period.userId, period.start, period.end);
+    return { ...formatPeriod(period), categories: plannedVsActual(period, actual) };
+};
+
+exports.getPeriodSettings = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId, 'periodSettings');
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        res.json(user.periodSettings);
+    } catch (error) {
+        console.error('Lỗi lấy cài đặt kỳ ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updatePeriodSettings = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+
+        for (const field of SETTINGS_FIELDS) {
+            if (req.body[field] !== undefined) user.periodSettings[field] = req.body[field];
+        }
+        if (user.periodSettings.cycle === 'custom' && !user.periodSettings.anchorDate) {
+            return res.status(400).json({ error: 'Chu kỳ tùy chỉnh cần ngày bắt đầu (anchorDate)' });
+        }
+        if (!isActiveCategory(user, user.periodSettings.sweepTo)) {
+            return res.status(400).json({ error: 'Danh mục nhận số dư không hợp lệ' });
+        }
+
+        // The open period keeps its dates; new settings apply from the next period
+        await user.save();
+        res.json(user.periodSettings);
+    } catch (error) {
+        console.error('Lỗi cập nhật cài đặt kỳ ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getCurrentPeriod = async (req, res) => {
+    try {
+        const period = await ensureCurrentPeriod(req.budgetId);
+        res.json(await withLiveTotals(period));
+    } catch (error) {
+        console.error('Lỗi lấy kỳ ngân sách hiện tại:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateCurrentPlan = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        const { planned = {}, rules = {} } = req.body;
+
+        for (const [category, amount] of Object.entries(planned)) {
+            if (!isActiveCategory(user, category)) {
+                return res.status(400).json({ error: `Danh mục không hợp lệ: ${category}` });
+            }
+            if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+                return res.status(400).json({ error: `Số tiền dự kiến không hợp lệ: ${category}` });
+            }
+        }
+        for (const [category, rule] of Object.entries(rules)) {
+            if (!isActiveCategory(user, category)) {
+                return res.status(400).json({ error: `Danh mục không hợp lệ: ${category}` });
+            }
+            if (!BudgetPeriod.UNSPENT_RULES.includes(rule)) {
+                return res.status(400).json({ error: `Quy tắc số dư không hợp lệ: ${rule}` });
+            }
+        }
+
+        const period = await ensureCurrentPeriod(req.budgetId);
+        for (const [category, amount] of Object.entries(planned)) period.planned.set(category, amount);
+        for (const [category, rule] of Object.entries(rules)) period.rules.set(category, rule);
+        await period.save();
+
+        res.json(await withLiveTotals(period));
+    } catch (error) {
+        console.error('Lỗi cập nhật kế hoạch kỳ ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.closeCurrentPeriod = async (req, res) => {
+    try {
+        const period = await ensureCurrentPeriod(req.budgetId);
+        const originalEnd = period.end;
+        const closed = await closePeriod(period._id, { at: new Date() });
+        if (!closed) return res.status(409).json({ error: 'Kỳ ngân sách đã được đóng' });
+
+        // Closing early cuts the period short; the rest of it becomes the next period
+        const next = await BudgetPeriod.create({
+            userId: req.budgetId,
+            start: closed.end,
+            end: originalEnd,
+            planned: closed.planned,
+            rules: closed.rules,
+        });
+        res.json({ closed: formatPeriod(closed), current: formatPeriod(next) });
+    } catch (error) {
+        console.error('Lỗi đóng kỳ ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getPeriods = async (req, res) => {
+    try {
+        const periods = await BudgetPeriod.find({ userId: req.budgetId, status: 'closed' }).sort({ start: -1 });
+        res.json(periods.map(formatPeriod));
+    } catch (error) {
+        console.error('Lỗi lấy lịch sử kỳ ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getPeriod = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Kỳ ngân sách không tồn tại' });
+        }
+        const period = await BudgetPeriod.findOne({ _id: req.params.id, userId: req.budgetId });
+        if (!period) return res.status(404).json({ error: 'Kỳ ngân sách không tồn tại' });
+        res.json(period.status === 'open' ? await withLiveTotals(period) : formatPeriod(period));
+    } catch (error) {
+        console.error('Lỗi lấy kỳ ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -0,0 +1,209 @@
+const User = require('../models/User');
+const RecurringRule = require('../models/RecurringRule');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { isActiveCategory } = require('../utils/categories');
+const { validateSchedule, firstOccurrence, nextOccurrence, upcomingOccurrences } = require('../services/schedule');
+
+const UPCOMING_COUNT = 5;
+const EDITABLE_FIELDS = ['name', 'amount', 'category', 'currency', 'purpose', 'location', 'preset', 'endDate'];
+
+const formatRule = (rule) => ({
+    ...rule.toObject(),
+    upcoming: rule.paused || !rule.nextRunAt
+        ? []
+        : upcomingOccurrences(rule.schedule, rule.nextRunAt, rule.endDate, UPCOMING_COUNT),
+});
+
+const findRule = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return RecurringRule.findOne({ _id: req.params.id, userId: req.budgetId });
+};
+
+// First occurrence at or after `from`, or null if that is past the end date
+const scheduleFrom = (schedule, from, endDate) => {
+    const first = firstOccurrence(schedule, from);
+    return !endDate || first <= endDate ? first : null;
+};
+
+// Pin monthly schedules to a day so short months do not shift later occurrences (31 -> 29 -> 29)
+const anchorSchedule = (schedule, startDate) => (
+    schedule.frequency === 'monthly' && !schedule.dayOfMonth
+        ? { ...schedule, dayOfMonth: startDate.getDate() }
+        : schedule
+);
+
+// Returns an error message if the rule's category or preset is not usable by this user
+const validateTarget = async (userId, { kind, category, preset }) => {
+    const user = await User.findById(userId, 'categories allocationPresets');
+    if (kind === 'expense' && !isActiveCategory(user, category)) return 'Danh mục không hợp lệ';
+    if (kind === 'deposit' && preset && !user.allocationPresets.some(p => p.name === preset)) {
+        return `Không tìm thấy mẫu phân bổ: ${preset}`;
+    }
+    return null;
+};
+
+exports.getRecurringRules = async (req, res) => {
+    try {
+        const rules = await RecurringRule.find({ userId: req.budgetId }, { history: 0 }).sort({ nextRunAt: 1 });
+        res.json(rules.map(formatRule));
+    } catch (error) {
+        console.error('Lỗi lấy giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getRecurringRule = async (req, res) => {
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Không tìm thấy giao dịch định kỳ' });
+        res.json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi lấy giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.createRecurringRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const { kind, name, amount, category, currency, purpose, location, preset } = req.body;
+        const scheduleError = validateSchedule(req.body.schedule);
+        if (scheduleError) return res.status(400).json({ error: scheduleError });
+        const targetError = await validateTarget(req.budgetId, { kind, category, preset });
+        if (targetError) return res.status(400).json({ error: targetError });
+
+        const startDate = req.body.startDate ? new Date(req.body.startDate) : new Date();
+        const endDate = req.body.endDate ? new Date(req.body.endDate) : null;
+        const schedule = anchorSchedule(req.body.schedule, startDate);
+        if (endDate && endDate < startDate) {
+            return res.status(400).json({ error: 'Ngày kết thúc phải sau ngày bắt đầu' });
+        }
+
+        // A start date in the past is caught up by the scheduler on its next run
+        const rule = await RecurringRule.create({
+            userId: req.budgetId,
+            kind,
+            name,
+            amount: parseFloat(amount),
+            category: kind === 'expense' ? category : undefined,
+            currency: kind === 'expense' ? currency || null : null,
+            purpose,
+            location,
+            preset: kind === 'deposit' ? preset || null : null,
+            schedule,
+            startDate,
+            endDate,
+            nextRunAt: scheduleFrom(schedule, startDate, endDate),
+        });
+        res.status(201).json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi tạo giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateRecurringRule = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Không tìm thấy giao dịch định kỳ' });
+
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) rule[field] = req.body[field];
+        }
+        const targetError = await validateTarget(req.budgetId, rule);
+        if (targetError) return res.status(400).json({ error: targetError });
+
+        if (req.body.schedule !== undefined) {
+            const scheduleError = validateSchedule(req.body.schedule);
+            if (scheduleError) return res.status(400).json({ error: scheduleError });
+            rule.schedule = anchorSchedule(req.body.schedule, rule.startDate);
+        }
+        // A new schedule or end date applies from now on; past occurrences are not replayed
+        if (req.body.schedule !== undefined || req.body.endDate !== undefined) {
+            rule.nextRunAt = scheduleFrom(rule.schedule, new Date(), rule.endDate);
+        }
+        await rule.save();
+        res.json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi cập nhật giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.deleteRecurringRule = async (req, res) => {
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Không tìm thấy giao dịch định kỳ' });
+        // Expenses it already created stay in place
+        await rule.deleteOne();
+        res.json({ message: 'Đã xóa giao dịch định kỳ' });
+    } catch (error) {
+        console.error('Lỗi xóa giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.pauseRecurringRule = async (req, res) => {
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Không tìm thấy giao dịch định kỳ' });
+        rule.paused = true;
+        await rule.save();
+        res.json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi tạm dừng giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.resumeRecurringRule = async (req, res) => {
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Không tìm thấy giao dịch định kỳ' });
+        if (rule.paused && rule.nextRunAt) {
+            // Occurrences that fell due while paused are dropped, not caught up
+            const now = new Date();
+            let next = rule.nextRunAt;
+            while (next && next < now) next = nextOccurrence(rule.schedule, next);
+            rule.nextRunAt = next && (!rule.endDate || next <= rule.endDate) ? next : null;
+        }
+        rule.paused = false;
+        await rule.save();
+        res.json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi tiếp tục giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.skipRecurringOccurrence = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const rule = await findRule(req);
+        if (!rule) return res.status(404).json({ error: 'Không tìm thấy giao dịch định kỳ' });
+
+        // Defaults to the next occurrence; otherwise the date must be one of the upcoming ones
+        const date = req.body.date ? new Date(req.body.date) : rule.nextRunAt;
+        if (!date) return res.status(400).json({ error: 'Giao dịch định kỳ đã kết thúc' });
+        const upcoming = rule.nextRunAt ? upcomingOccurrences(rule.schedule, rule.nextRunAt, rule.endDate, 366) : [];
+        if (!upcoming.some(d => d.getTime() === date.getTime())) {
+            return res.status(400).json({ error: 'Ngày này không phải là một lần chạy sắp tới' });
+        }
+        if (!rule.skipDates.some(d => d.getTime() === date.getTime())) {
+            rule.skipDates.push(date);
+        }
+        await rule.save();
+        res.json(formatRule(rule));
+    } catch (error) {
+        console.error('Lỗi bỏ qua giao dịch định kỳ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
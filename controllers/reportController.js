@@ -0,0 +1,141 @@
+const User = require('../models/User');
+const { buildExpenseFilter } = require('../services/expenseQuery');
+const { cachedReport } = require('../services/reportCache');
+const {
+    INTERVALS,
+    totalsByCategory,
+    timeline,
+    topValues,
+    previousPeriod,
+    compareTotals,
+    allocationUsage,
+} = require('../services/reports');
+
+const DEFAULT_TOP_LIMIT = 10;
+const MAX_TOP_LIMIT = 50;
+
+const topLimit = (query) => Math.min(parseInt(query.limit) || DEFAULT_TOP_LIMIT, MAX_TOP_LIMIT);
+
+// Current and previous range for ?period=month|week, or a custom startDate/endDate range
+const comparisonRanges = (query) => {
+    if (query.startDate && query.endDate) {
+        const start = new Date(query.startDate);
+        const end = new Date(query.endDate);
+        end.setHours(23, 59, 59, 999);
+        return { current: { start, end }, previous: previousPeriod(start, end) };
+    }
+
+    const now = new Date();
+    if (query.period === 'week') {
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - ((now.getDay() + 6) % 7));
+        const end = new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000 - 1);
+        return { current: { start, end }, previous: previousPeriod(start, end) };
+    }
+    const start = new Date(now.getFullYear(), now.getMonth(), 1);
+    const end = new Date(now.getFullYear(), now.getMonth() + 1, 1, 0, 0, 0, -1);
+    const previousStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    return { current: { start, end }, previous: { start: previousStart, end: new Date(start.getTime() - 1) } };
+};
+
+const withRange = (filter, { start, end }) => ({ ...filter, timestamp: { $gte: start, $lte: end } });
+
+exports.getCategoryReport = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId);
+        const rollup = req.query.rollup === 'true';
+        const report = await cachedReport(req.budgetId, 'categories', req.query, async () => {
+            const filter = await buildExpenseFilter(req.budgetId, req.query);
+            return totalsByCategory(user, filter, { rollup });
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Lỗi báo cáo theo danh mục:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getTimelineReport = async (req, res) => {
+    const interval = req.query.interval || 'month';
+    if (!INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `Khoảng thời gian không hợp lệ (${INTERVALS.join(', ')})` });
+    }
+
+    try {
+        const report = await cachedReport(req.budgetId, 'timeline', req.query, async () => {
+            const filter = await buildExpenseFilter(req.budgetId, req.query);
+            return timeline(filter, interval);
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Lỗi báo cáo theo thời gian:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getLocationReport = async (req, res) => {
+    try {
+        const report = await cachedReport(req.budgetId, 'locations', req.query, async () => {
+            const filter = await buildExpenseFilter(req.budgetId, req.query);
+            return topValues(filter, 'location', topLimit(req.query));
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Lỗi báo cáo theo địa điểm:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getPurposeReport = async (req, res) => {
+    try {
+        const report = await cachedReport(req.budgetId, 'purposes', req.query, async () => {
+            const filter = await buildExpenseFilter(req.budgetId, req.query);
+            return topValues(filter, 'purpose', topLimit(req.query));
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Lỗi báo cáo theo mục đích:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getComparisonReport = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId);
+        const report = await cachedReport(req.budgetId, 'comparison', req.query, async () => {
+            const { current, previous } = comparisonRanges(req.query);
+            // Date filters come from the ranges, the other list filters still apply
+            const { startDate, endDate, ...rest } = req.query;
+            const filter = await buildExpenseFilter(req.budgetId, rest);
+            const currentTotals = await totalsByCategory(user, withRange(filter, current));
+            const previousTotals = await totalsByCategory(user, withRange(filter, previous));
+
+            const currentSum = currentTotals.reduce((sum, c) => sum + c.total, 0);
+            const previousSum = previousTotals.reduce((sum, p) => sum + p.total, 0);
+            return {
+                current: { ...current, total: currentSum },
+                previous: { ...previous, total: previousSum },
+                change: currentSum - previousSum,
+                changePercent: previousSum > 0 ? Math.round((currentSum - previousSum) / previousSum * 10000) / 100 : null,
+                categories: compareTotals(currentTotals, previousTotals),
+            };
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Lỗi báo cáo so sánh:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getUsageReport = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId);
+        const report = await cachedReport(req.budgetId, 'usage', req.query, async () => {
+            const filter = await buildExpenseFilter(req.budgetId, req.query);
+            return allocationUsage(user, filter);
+        });
+        res.json(report);
+    } catch (error) {
+        console.error('Lỗi báo cáo mức sử dụng ngân sách:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -0,0 +1,43 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { AppError } = require('../utils/errors');
+const { simulateDca } = require('../services/simulations');
+
+exports.simulateDca = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const { asset, frequency, start, income, useAllocationRate } = req.body;
+        const end = req.body.end || new Date();
+        if (start >= end) return res.status(400).json({ error: 'Ngày bắt đầu phải trước ngày kết thúc' });
+
+        const user = await User.findById(req.budgetId, 'allocationRule baseCurrency');
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        // Prices are quoted in the budget's currency unless another one is asked for
+        const quote = req.body.quote || user.baseCurrency;
+
+        // Either a fixed amount per buy, or the selfInvestment share of each income
+        let amount = req.body.amount;
+        let allocationRate = null;
+        if (useAllocationRate) {
+            allocationRate = user.allocationRule.get('selfInvestment') || 0;
+            amount = income * allocationRate / 100;
+        }
+        if (!(amount > 0)) return res.status(400).json({ error: 'Số tiền mỗi lần mua phải lớn hơn 0' });
+
+        const result = await simulateDca({
+            asset: asset.toUpperCase(),
+            quote: quote.toUpperCase(),
+            amount,
+            frequency,
+            start,
+            end,
+        });
+        res.json({ ...result, allocationRate });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi mô phỏng DCA:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
@@ -0,0 +1,8 @@
+const { PRICES_CHANNEL, budgetChannel, openStream } = require('../services/stream');
+
+// Budget events (expense changes, new balances) for the current workspace, plus price ticks
+exports.stream = (req, res) => {
+    const channels = [budgetChannel(req.budgetId)];
+    if (req.query.prices !== 'false') channels.push(PRICES_CHANNEL);
+    openStream(req, res, channels, { closeAt: req.user.exp ? new Date(req.user.exp * 1000) : null });
+};
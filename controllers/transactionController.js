@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { validationResult } = require('express-validator');
+const { isActiveCategory, ensureCategories } = require('../utils/categories');
+const { postTransaction, verifyBalances } = require('../services/ledger');
+const { withTransaction } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { invalidateReports } = require('../services/reportCache');
+const { queueBudgetAlerts } = require('../services/alerts');
+const { recordEvent, publishEvents } = require('../services/events');
+
+exports.getTransactions = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        const query = { userId: req.budgetId };
+        if (req.query.type) {
+            query.type = req.query.type;
+        }
+        if (req.query.category) {
+            query['legs.category'] = req.query.category;
+        }
+
+        const total = await Transaction.countDocuments(query);
+        const transactions = await Transaction.find(query)
+            .sort({ timestamp: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean();
+
+        res.json({
+            transactions,
+            total,
+            totalPages: Math.ceil(total / limit) || 1,
+            currentPage: page
+        });
+    } catch (error) {
+        console.error('Lỗi lấy sổ cái:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.verifyTransactions = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId);
+        const result = await verifyBalances(user);
+        res.json({
+            consistent: result.consistent,
+            stored: { initialBudget: user.initialBudget, allocations: user.allocations },
+            ledger: result.ledger,
+            drift: result.drift,
+        });
+    } catch (error) {
+        console.error('Lỗi đối chiếu sổ cái:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.createTransfer = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        const { from, to, note } = req.body;
+        const amount = parseFloat(req.body.amount);
+
+        if (from === to) {
+            return res.status(400).json({ error: 'Danh mục nguồn và đích phải khác nhau' });
+        }
+        if (!isActiveCategory(user, from) || !isActiveCategory(user, to)) {
+            return res.status(400).json({ error: 'Danh mục không hợp lệ' });
+        }
+
+        const { user: updated, transaction, outbox } = await withTransaction(async (session) => {
+            const result = await postTransaction(req.budgetId, {
+                type: 'transfer',
+                amount,
+                legs: [
+                    { category: from, amount: -amount },
+                    { category: to, amount },
+                ],
+                note: note || '',
+            }, { session, guard: [from] });
+            return {
+                ...result,
+                outbox: await recordEvent(req.budgetId, 'allocations.updated', {
+                    transaction: result.transaction,
+                    allocations: Object.fromEntries(result.user.allocations),
+                }, session),
+            };
+        });
+        await invalidateReports(req.budgetId);
+        queueBudgetAlerts(req.budgetId);
+        await publishEvents(outbox);
+        res.status(201).json({ transaction, allocations: updated.allocations });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi chuyển tiền giữa danh mục:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
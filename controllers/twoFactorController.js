@@ -0,0 +1,120 @@
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { AppError } = require('../utils/errors');
+const { generateSecret, provisioningUri } = require('../utils/totp');
+const secretBox = require('../utils/secretBox');
+const { generateRecoveryCodes, consumeTotp, verifySecondFactor } = require('../services/twoFactor');
+
+exports.getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id, 'twoFactor');
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        res.json({
+            enabled: user.twoFactor.enabled,
+            enabledAt: user.twoFactor.enabledAt,
+            recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+        });
+    } catch (error) {
+        console.error('Lỗi lấy trạng thái xác thực hai lớp:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Start enrollment: a new secret waits in pendingSecret until a code from it is verified
+exports.setupTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        if (user.twoFactor.enabled) return res.status(400).json({ error: 'Xác thực hai lớp đã được bật' });
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secretBox.seal(secret);
+        await user.save();
+        res.json({ secret, otpauthUri: provisioningUri(secret, user.email || user.username) });
+    } catch (error) {
+        console.error('Lỗi thiết lập xác thực hai lớp:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.enableTwoFactor = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        if (user.twoFactor.enabled) return res.status(400).json({ error: 'Xác thực hai lớp đã được bật' });
+        if (!user.twoFactor.pendingSecret) {
+            return res.status(400).json({ error: 'Chưa thiết lập xác thực hai lớp' });
+        }
+        if (!(await consumeTotp(user, user.twoFactor.pendingSecret, req.body.code))) {
+            return res.status(400).json({ error: 'Mã xác thực không hợp lệ' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': user.twoFactor.pendingSecret,
+                'twoFactor.pendingSecret': null,
+                'twoFactor.recoveryCodes': hashes,
+                'twoFactor.enabledAt': new Date(),
+            },
+        });
+        // Recovery codes are only ever shown here
+        res.json({ enabled: true, recoveryCodes: codes });
+    } catch (error) {
+        console.error('Lỗi bật xác thực hai lớp:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        if (!user.twoFactor.enabled) return res.status(400).json({ error: 'Xác thực hai lớp chưa được bật' });
+
+        if (!(await verifySecondFactor(user, req.body))) {
+            return res.status(400).json({ error: 'Mã xác thực không hợp lệ' });
+        }
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                'twoFactor.enabled': false,
+                'twoFactor.secret': null,
+                'twoFactor.pendingSecret': null,
+                'twoFactor.recoveryCodes': [],
+                'twoFactor.lastUsedStep': null,
+                'twoFactor.enabledAt': null,
+            },
+        });
+        res.json({ enabled: false });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi tắt xác thực hai lớp:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.regenerateRecoveryCodes = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) return res.status(404).json({ error: 'Người dùng không tồn tại' });
+        if (!user.twoFactor.enabled) return res.status(400).json({ error: 'Xác thực hai lớp chưa được bật' });
+
+        if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+            return res.status(400).json({ error: 'Mã xác thực không hợp lệ' });
+        }
+        const { codes, hashes } = generateRecoveryCodes();
+        await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+        res.json({ recoveryCodes: codes });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi tạo lại mã khôi phục:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
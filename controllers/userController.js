@@ -1,39 +1,86 @@
 const User = require('../models/User');
 const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const Household = require('../models/Household');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const AlertRule = require('../models/AlertRule');
+const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
+const { toPlainRule, validateAllocationRule } = require('../utils/allocation');
+const { activeCategoryKeys, isActiveCategory, ensureCategories } = require('../utils/categories');
+const { postTransaction } = require('../services/ledger');
+const { resolveAllocationRule, depositIncome, createExpense } = require('../services/budget');
+const { withTransaction } = require('../config/db');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { parseDateStrict } = require('../utils/date');
+const { parseAmount } = require('../services/import/amount');
+const { MAX_IMPORT_ROWS, previewRows, commitRows } = require('../services/import');
+const {
+    EXPENSE_SORT,
+    RELEVANCE_SORT,
+    buildExpenseFilter,
+    encodeCursor,
+    decodeCursor,
+    timeCursor,
+    afterPosition,
+} = require('../services/expenseQuery');
+const { getSearchAdapter } = require('../services/search');
+const { writeChunk } = require('../utils/response');
+const { invalidateReports } = require('../services/reportCache');
+const { revokeAllSessions } = require('../services/sessions');
+const { deleteBudgetData } = require('../services/accountData');
+const { queueBudgetAlerts } = require('../services/alerts');
+const { recordEvent, recordEvents, publishEvents } = require('../services/events');
+const { convertToBase, getRate } = require('../services/fx');
 
-const parseTransactionDate = (dateStr) => {
-    if (!dateStr) return new Date();
-    if (dateStr.includes('-') || dateStr.includes('T')) {
-        const d = new Date(dateStr);
-        if (!isNaN(d.getTime())) return d;
+// Body fields of POST /allocations that are not category balances
+const ALLOCATION_CONTROL_FIELDS = ['rule', 'preset'];
+
+const MAX_PAGE_SIZE = 100;
+// Responses that used to carry every expense stop here; X-Next-Cursor continues the list
+const EXPENSE_LIST_CAP = 1000;
+
+// Newest expenses matching `filter`, at most EXPENSE_LIST_CAP, streamed as a JSON array
+const streamExpenseList = async (res, filter) => {
+    const boundary = await Expense.find(filter, '_id timestamp')
+        .sort(EXPENSE_SORT)
+        .skip(EXPENSE_LIST_CAP - 1)
+        .limit(2)
+        .lean();
+    if (boundary.length === 2) {
+        res.set('X-Result-Truncated', 'true');
+        res.set('X-Next-Cursor', timeCursor(boundary[0]));
     }
-    if (dateStr.includes('/')) {
-        const parts = dateStr.trim().split(/[\s,]+/);
-        const dateParts = parts[0].split('/');
-        if (dateParts.length === 3) {
-            const day = parseInt(dateParts[0], 10);
-            const month = parseInt(dateParts[1], 10) - 1;
-            const year = parseInt(dateParts[2], 10);
-            let hour = 0, minute = 0, second = 0;
-            if (parts[1]) {
-                const timeParts = parts[1].split(':');
-                hour = parseInt(timeParts[0], 10) || 0;
-                minute = parseInt(timeParts[1], 10) || 0;
-                second = parseInt(timeParts[2], 10) || 0;
-            }
-            const d = new Date(year, month, day, hour, minute, second);
-            if (!isNaN(d.getTime())) return d;
+    res.type('json');
+
+    try {
+        const cursor = Expense.find(filter).sort(EXPENSE_SORT).limit(EXPENSE_LIST_CAP).lean().cursor();
+        let first = true;
+        if (!await writeChunk(res, '[')) return;
+        for await (const expense of cursor) {
+            // The client went away: stop reading instead of leaving the cursor open
+            if (!await writeChunk(res, (first ? '' : ',') + JSON.stringify(expense))) return cursor.close();
+            first = false;
         }
+        res.end(']');
+    } catch (error) {
+        // Headers are already out; cut the response so the client sees an incomplete body
+        console.error('Lỗi truyền danh sách chi tiêu:', error);
+        res.destroy(error);
     }
-    const d = new Date(dateStr);
-    return isNaN(d.getTime()) ? new Date() : d;
 };
 
+const formatAllocations = (user) => ({
+    allocations: user.allocations,
+    rule: toPlainRule(user.allocationRule),
+    activePreset: user.activePreset,
+});
+
 exports.getInitialBudget = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.budgetId);
         res.json({ initialBudget: user.initialBudget });
     } catch (error) {
         console.error('Lỗi lấy ngân sách ban đầu:', error);
@@ -46,84 +93,80 @@ exports.updateInitialBudget = async (req, res) => {
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        const { rule, error } = resolveAllocationRule(user, req.body);
+        if (error) return res.status(400).json({ error });
+
         const newBudget = parseFloat(req.body.initialBudget);
-        user.initialBudget += newBudget;
-        user.allocations = {
-            essentials: user.allocations.essentials + newBudget * 0.5,
-            savings: user.allocations.savings + newBudget * 0.2,
-            selfInvestment: user.allocations.selfInvestment + newBudget * 0.15,
-            charity: user.allocations.charity + newBudget * 0.05,
-            emergency: user.allocations.emergency + newBudget * 0.1,
-        };
-        await user.save();
-        res.json({ initialBudget: user.initialBudget, allocations: user.allocations });
+        const { user: updated, goalContributions, outbox } = await withTransaction(async (session) => {
+            const result = await depositIncome(req.budgetId, newBudget, { rule, note: req.body.note || '' }, session);
+            return {
+                ...result,
+                outbox: await recordEvent(req.budgetId, 'budget.deposited', {
+                    amount: newBudget,
+                    transaction: result.transaction,
+                    initialBudget: result.user.initialBudget,
+                    allocations: Object.fromEntries(result.user.allocations),
+                }, session),
+            };
+        });
+        await invalidateReports(req.budgetId);
+        await publishEvents(outbox);
+        res.json({ initialBudget: updated.initialBudget, allocations: updated.allocations, rule, goalContributions });
     } catch (error) {
         console.error('Lỗi cập nhật ngân sách ban đầu:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
+// Three modes: `cursor` (empty for the first page) pages by opaque cursor; `page`/`limit`
+// keeps the old offset pages; neither returns the capped list of the newest expenses.
+// `sort=relevance` orders a search by match quality when the search adapter ranks.
 exports.getExpenses = async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
-        const limit = parseInt(req.query.limit) || 15;
-        const search = req.query.search || '';
-        const category = req.query.category || '';
-        const startDate = req.query.startDate || '';
-        const endDate = req.query.endDate || '';
-        const minAmount = parseFloat(req.query.minAmount);
-        const maxAmount = parseFloat(req.query.maxAmount);
-
-        // Build search query
-        let query = { userId: req.user.id };
-
-        if (search) {
-            query.$or = [
-                { purpose: { $regex: search, $options: 'i' } },
-                { location: { $regex: search, $options: 'i' } }
-            ];
-        }
-        if (category) {
-            query.category = category;
-        }
-        if (startDate || endDate) {
-            query.timestamp = {};
-            if (startDate) {
-                query.timestamp.$gte = new Date(startDate);
-            }
-            if (endDate) {
-                const endD = new Date(endDate);
-                endD.setHours(23, 59, 59, 999);
-                query.timestamp.$lte = endD;
+        const query = await buildExpenseFilter(req.budgetId, req.query);
+        const relevance = req.query.sort === 'relevance' && Boolean(req.query.search) && getSearchAdapter().ranked;
+        const projection = relevance ? { score: { $meta: 'textScore' } } : {};
+        const sort = relevance ? RELEVANCE_SORT : EXPENSE_SORT;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 15, 1), MAX_PAGE_SIZE);
+
+        if (req.query.cursor !== undefined) {
+            const mode = relevance ? 'relevance' : 'time';
+            const position = req.query.cursor ? decodeCursor(req.query.cursor, mode) : {};
+            if (!position) return res.status(400).json({ error: 'Cursor không hợp lệ' });
+
+            const rows = relevance
+                ? await Expense.find(query, projection).sort(sort).skip(position.o || 0).limit(limit + 1).lean()
+                : await Expense.find(position.t ? { ...query, ...afterPosition(position) } : query)
+                    .sort(sort)
+                    .limit(limit + 1)
+                    .lean();
+            const hasMore = rows.length > limit;
+            const expenses = rows.slice(0, limit);
+            let nextCursor = null;
+            if (hasMore) {
+                nextCursor = relevance
+                    ? encodeCursor({ m: 'relevance', o: (position.o || 0) + limit })
+                    : timeCursor(expenses[expenses.length - 1]);
             }
+            return res.json({ expenses, nextCursor, hasMore });
         }
-        if (!isNaN(minAmount) || !isNaN(maxAmount)) {
-            query.amount = {};
-            if (!isNaN(minAmount)) {
-                query.amount.$gte = minAmount;
-            }
-            if (!isNaN(maxAmount)) {
-                query.amount.$lte = maxAmount;
-            }
+
+        if (!req.query.page && !req.query.limit) {
+            return streamExpenseList(res, query);
         }
 
+        const page = parseInt(req.query.page) || 1;
+
         // Fetch total documents and matching records
         const total = await Expense.countDocuments(query);
-        const expenses = await Expense.find(query)
-            .sort({ timestamp: -1, _id: -1 })
+        const expenses = await Expense.find(query, projection)
+            .sort(sort)
             .skip((page - 1) * limit)
             .limit(limit)
             .lean();
 
-        // Conditional response for backward compatibility (e.g. if page/limit are not passed, return all)
-        if (!req.query.page && !req.query.limit) {
-            const allExpenses = await Expense.find({ userId: req.user.id })
-                .sort({ timestamp: -1, _id: -1 })
-                .lean();
-            return res.json(allExpenses);
-        }
-
         const totalPages = Math.ceil(total / limit) || 1;
 
         res.json({
@@ -143,245 +186,459 @@ exports.addExpense = async (req, res) => {
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-        const user = await User.findById(req.user.id);
-        const { amount, category, purpose, location, date } = req.body;
-        const validCategories = ['essentials', 'savings', 'selfInvestment', 'charity', 'emergency'];
+        const { category, purpose, location, date, currency } = req.body;
+        const amount = parseFloat(req.body.amount);
+        const fxRate = req.body.fxRate !== undefined ? parseFloat(req.body.fxRate) : undefined;
 
-        if (!validCategories.includes(category)) {
-            return res.status(400).json({ error: 'Danh mục không hợp lệ' });
-        }
-        const categoryKey = category;
-        if (amount > user.allocations[categoryKey]) {
-            return res.status(400).json({ error: `Số tiền vượt quá ngân sách ${category} (${user.allocations[categoryKey]} VND)` });
+        const outbox = await withTransaction(async (session) => {
+            const expense = await createExpense(req.budgetId, { amount, currency, fxRate, category, purpose, location, date, createdBy: req.user.id }, session);
+            return recordEvent(req.budgetId, 'expense.created', expense.toObject(), session);
+        });
+        await invalidateReports(req.budgetId);
+        queueBudgetAlerts(req.budgetId);
+        await publishEvents(outbox);
+
+        await streamExpenseList(res, { userId: req.budgetId });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi thêm chi tiêu:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateExpense = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ error: 'Giao dịch không tồn tại' });
         }
+        const outbox = await withTransaction(async (session) => {
+            // Read through the session: a retried callback must see the balances it is about to change
+            const user = await User.findById(req.budgetId).session(session);
+            ensureCategories(user);
+            const expense = await Expense.findOne({ _id: req.params.id, userId: req.budgetId }).session(session);
+            if (!expense) throw new NotFoundError('Giao dịch không tồn tại');
 
-        const newExpense = new Expense({
-            userId: req.user.id,
-            amount,
-            category,
-            purpose,
-            location,
-            date: date || new Date().toLocaleDateString('vi-VN')
-        });
-        await newExpense.save();
+            const oldAmount = expense.amount;
+            const oldCategory = expense.category;
+            const newCategory = req.body.category !== undefined ? req.body.category : oldCategory;
 
-        user.initialBudget -= amount;
-        user.allocations[categoryKey] -= amount;
-        await user.save();
+            if (newCategory !== oldCategory && !isActiveCategory(user, newCategory)) {
+                throw new AppError('Danh mục không hợp lệ');
+            }
 
-        const allExpenses = await Expense.find({ userId: req.user.id })
-            .sort({ timestamp: -1, _id: -1 })
-            .lean();
-        res.json(allExpenses);
+            // Amounts are given in the expense's own currency; re-convert only when it changes
+            let converted = null;
+            if (['amount', 'currency', 'fxRate'].some(field => req.body[field] !== undefined)) {
+                const oldCurrency = expense.currency || user.baseCurrency;
+                const newCurrency = (req.body.currency || oldCurrency).toUpperCase();
+                const original = req.body.amount !== undefined
+                    ? parseFloat(req.body.amount)
+                    : (expense.originalAmount ?? expense.amount);
+                // Editing the amount keeps the rate the expense was booked at
+                const known = req.body.fxRate !== undefined
+                    ? { rate: parseFloat(req.body.fxRate) }
+                    : (newCurrency === oldCurrency ? { rate: expense.fxRate, source: expense.fxSource } : {});
+                converted = await convertToBase(original, newCurrency, user.baseCurrency, known);
+            }
+            const newAmount = converted ? converted.amount : oldAmount;
+
+            if (converted) Object.assign(expense, converted);
+            expense.category = newCategory;
+            for (const field of ['purpose', 'location', 'date']) {
+                if (req.body[field] !== undefined) expense[field] = req.body[field];
+            }
+            // The pre-save hook recomputes timestamp when the date changes
+            await expense.save({ session });
+
+            // Refund the old jar and debit the new one; the guard applies the same over-budget check as addExpense
+            const legs = [];
+            if (newCategory === oldCategory) {
+                if (newAmount !== oldAmount) legs.push({ category: newCategory, amount: oldAmount - newAmount });
+            } else {
+                if (user.allocations.get(oldCategory) !== undefined) legs.push({ category: oldCategory, amount: oldAmount });
+                legs.push({ category: newCategory, amount: -newAmount });
+            }
+            if (legs.length > 0 || newAmount !== oldAmount) {
+                await postTransaction(req.budgetId, {
+                    type: 'expense_update',
+                    amount: Math.abs(newAmount - oldAmount),
+                    legs,
+                    budgetDelta: oldAmount - newAmount,
+                    expenseId: expense._id,
+                    note: expense.purpose,
+                }, { session, guard: [newCategory] });
+            }
+            return recordEvent(req.budgetId, 'expense.updated', expense.toObject(), session);
+        });
+        await invalidateReports(req.budgetId);
+        queueBudgetAlerts(req.budgetId);
+        await publishEvents(outbox);
+
+        await streamExpenseList(res, { userId: req.budgetId });
     } catch (error) {
-        console.error('Lỗi thêm chi tiêu:', error);
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi cập nhật chi tiêu:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
 exports.deleteExpense = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.budgetId);
         const paramId = req.params.index;
         
-        let deletedExpense = null;
-        
-        // Try to find by ObjectID first
-        if (mongoose.Types.ObjectId.isValid(paramId)) {
-            deletedExpense = await Expense.findOne({ _id: paramId, userId: req.user.id });
-        }
-        
-        // If not found by ObjectID, check if it is a numeric index
-        if (!deletedExpense) {
-            const parsedIndex = parseInt(paramId);
-            if (!isNaN(parsedIndex) && parsedIndex >= 0) {
-                // Fetch user's expenses sorted oldest to newest (ascending)
-                const userExpenses = await Expense.find({ userId: req.user.id }).sort({ timestamp: 1, _id: 1 });
-                if (parsedIndex < userExpenses.length) {
-                    deletedExpense = userExpenses[parsedIndex];
+        const outbox = await withTransaction(async (session) => {
+            let deletedExpense = null;
+            
+            // Try to find by ObjectID first
+            if (mongoose.Types.ObjectId.isValid(paramId)) {
+                deletedExpense = await Expense.findOne({ _id: paramId, userId: req.budgetId }).session(session);
+            }
+            
+            // If not found by ObjectID, check if it is a numeric index
+            if (!deletedExpense) {
+                const parsedIndex = parseInt(paramId);
+                if (!isNaN(parsedIndex) && parsedIndex >= 0) {
+                    // Fetch user's expenses sorted oldest to newest (ascending)
+                    const userExpenses = await Expense.find({ userId: req.budgetId })
+                        .sort({ timestamp: 1, _id: 1 })
+                        .session(session);
+                    if (parsedIndex < userExpenses.length) {
+                        deletedExpense = userExpenses[parsedIndex];
+                    }
                 }
             }
-        }
-        
-        if (!deletedExpense) {
-            return res.status(400).json({ error: 'Giao dịch không tồn tại hoặc chỉ số không hợp lệ' });
-        }
-        
-        const categoryKey = deletedExpense.category;
-        
-        // Refund budget and allocations
-        user.initialBudget += deletedExpense.amount;
-        if (categoryKey && user.allocations[categoryKey] !== undefined) {
-            user.allocations[categoryKey] += deletedExpense.amount;
-        }
-        
-        // Remove from DB
-        await Expense.findByIdAndDelete(deletedExpense._id);
-        await user.save();
+            
+            if (!deletedExpense) {
+                throw new AppError('Giao dịch không tồn tại hoặc chỉ số không hợp lệ');
+            }
+            
+            // Remove from DB; only one of two parallel deletes gets the document back
+            const removed = await Expense.findOneAndDelete({ _id: deletedExpense._id }, { session });
+            if (!removed) {
+                throw new AppError('Giao dịch không tồn tại hoặc chỉ số không hợp lệ');
+            }
+            
+            // Refund budget and allocations
+            const categoryKey = removed.category;
+            const legs = [];
+            if (categoryKey && user.allocations.get(categoryKey) !== undefined) {
+                legs.push({ category: categoryKey, amount: removed.amount });
+            }
+            await postTransaction(req.budgetId, {
+                type: 'refund',
+                amount: removed.amount,
+                legs,
+                budgetDelta: removed.amount,
+                expenseId: removed._id,
+                note: removed.purpose,
+            }, { session });
+            return recordEvent(req.budgetId, 'expense.deleted', removed.toObject(), session);
+        });
+        await invalidateReports(req.budgetId);
+        queueBudgetAlerts(req.budgetId);
+        await publishEvents(outbox);
         
-        const allExpenses = await Expense.find({ userId: req.user.id })
-            .sort({ timestamp: -1, _id: -1 })
-            .lean();
-        res.json(allExpenses);
+        await streamExpenseList(res, { userId: req.budgetId });
     } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
         console.error('Lỗi xóa chi tiêu:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.getAllocations = async (req, res) => {
+exports.getCurrency = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        res.json(user.allocations);
+        const user = await User.findById(req.budgetId, 'baseCurrency');
+        res.json({ baseCurrency: user.baseCurrency });
     } catch (error) {
-        console.error('Lỗi lấy phân bổ:', error);
+        console.error('Lỗi lấy tiền tệ gốc:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.updateAllocations = async (req, res) => {
+exports.updateCurrency = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-        const user = await User.findById(req.user.id);
-        user.allocations = req.body;
-        await user.save();
-        res.json(user.allocations);
+        // Balances are plain numbers in the base currency, so it is fixed once money is recorded
+        if (await Transaction.exists({ userId: req.budgetId })) {
+            return res.status(409).json({ error: 'Không thể đổi tiền tệ gốc khi ngân sách đã có giao dịch' });
+        }
+        const user = await User.findByIdAndUpdate(req.budgetId,
+            { baseCurrency: req.body.baseCurrency.toUpperCase() },
+            { new: true, projection: 'baseCurrency' });
+        res.json({ baseCurrency: user.baseCurrency });
     } catch (error) {
-        console.error('Lỗi cập nhật phân bổ:', error);
+        console.error('Lỗi cập nhật tiền tệ gốc:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.deleteAccount = async (req, res) => {
+// Rate a foreign expense would be converted at; defaults to the budget's base currency
+exports.getExchangeRate = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
     try {
-        await Promise.all([
-            User.findByIdAndDelete(req.user.id),
-            Expense.deleteMany({ userId: req.user.id })
-        ]);
-        res.json({ message: 'Tài khoản đã được xóa' });
+        const user = await User.findById(req.budgetId, 'baseCurrency');
+        res.json(await getRate(req.query.from, req.query.to || user.baseCurrency));
     } catch (error) {
-        console.error('Lỗi xóa tài khoản:', error);
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi lấy tỷ giá:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.resetBudget = async (req, res) => {
+exports.getAllocations = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        user.initialBudget = 0;
-        user.allocations = {
-            essentials: 0,
-            savings: 0,
-            selfInvestment: 0,
-            charity: 0,
-            emergency: 0,
-        };
-        await user.save();
-        res.json({ message: 'Ngân sách đã được đặt lại' });
+        const user = await User.findById(req.budgetId);
+        res.json(formatAllocations(user));
     } catch (error) {
-        console.error('Lỗi đặt lại ngân sách:', error);
+        console.error('Lỗi lấy phân bổ:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.getInvestments = async (req, res) => {
+exports.updateAllocations = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
     try {
-        const user = await User.findById(req.user.id);
-        res.json(user.investmentHistory);
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+
+        const balances = {};
+        for (const [key, value] of Object.entries(req.body)) {
+            if (ALLOCATION_CONTROL_FIELDS.includes(key)) continue;
+            if (!isActiveCategory(user, key)) {
+                return res.status(400).json({ error: `Danh mục không hợp lệ: ${key}` });
+            }
+            const parsed = parseFloat(value);
+            if (isNaN(parsed) || parsed < 0) {
+                return res.status(400).json({ error: `Số dư của ${key} không hợp lệ` });
+            }
+            balances[key] = parsed;
+        }
+
+        const ruleUpdate = {};
+        if (req.body.rule !== undefined || req.body.preset !== undefined) {
+            const { rule, preset, error } = resolveAllocationRule(user, req.body);
+            if (error) return res.status(400).json({ error });
+            ruleUpdate.allocationRule = rule;
+            ruleUpdate.activePreset = preset;
+        }
+
+        const { updated, outbox } = await withTransaction(async (session) => {
+            if (Object.keys(ruleUpdate).length > 0) {
+                await User.updateOne({ _id: req.budgetId }, { $set: ruleUpdate }, { session });
+            }
+            // Manual balance edits go through the ledger as adjustments against the current balance
+            let result = await User.findById(req.budgetId).session(session);
+            const legs = Object.entries(balances)
+                .map(([category, value]) => ({ category, amount: value - (result.allocations.get(category) || 0) }))
+                .filter(leg => leg.amount !== 0);
+            if (legs.length > 0) {
+                ({ user: result } = await postTransaction(req.budgetId, {
+                    type: 'adjustment',
+                    amount: legs.reduce((sum, leg) => sum + Math.abs(leg.amount), 0),
+                    legs,
+                    note: 'Điều chỉnh số dư thủ công',
+                }, { session }));
+            }
+            return {
+                updated: result,
+                outbox: await recordEvent(req.budgetId, 'allocations.updated', {
+                    ...formatAllocations(result),
+                    allocations: Object.fromEntries(result.allocations),
+                }, session),
+            };
+        });
+        await invalidateReports(req.budgetId);
+        await publishEvents(outbox);
+        res.json(formatAllocations(updated));
     } catch (error) {
-        console.error('Lỗi lấy đầu tư:', error);
+        console.error('Lỗi cập nhật phân bổ:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.addInvestment = async (req, res) => {
+exports.getAllocationPresets = async (req, res) => {
+    try {
+        const user = await User.findById(req.budgetId);
+        res.json({ presets: user.allocationPresets, activePreset: user.activePreset });
+    } catch (error) {
+        console.error('Lỗi lấy mẫu phân bổ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.saveAllocationPreset = async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
     try {
-        const user = await User.findById(req.user.id);
-        const investmentBudget = user.allocations.selfInvestment + user.allocations.emergency;
-        const totalPortfolio = Object.values(user.allocations).reduce((sum, val) => sum + val, 0);
-        const { amount, price, type } = req.body;
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
+        const { name, rule } = req.body;
+        const error = validateAllocationRule(rule, activeCategoryKeys(user));
+        if (error) return res.status(400).json({ error });
 
-        if (amount > investmentBudget) {
-            return res.status(400).json({ error: `Số tiền vượt quá ngân sách đầu tư (${investmentBudget} VND)` });
+        const existing = user.allocationPresets.find(p => p.name === name);
+        if (existing) {
+            existing.rule = rule;
+        } else {
+            user.allocationPresets.push({ name, rule });
         }
-        if (totalPortfolio > 0 && amount / totalPortfolio > 0.1) {
-            return res.status(400).json({ warning: 'Cảnh báo: Đầu tư Bitcoin ETF nên chiếm dưới 10% tổng danh mục' });
+        // Keep the active rule in sync when the active preset is edited
+        if (user.activePreset === name) {
+            user.allocationRule = rule;
         }
-
-        const newInvestment = {
-            amount,
-            date: new Date().toLocaleDateString('vi-VN'),
-            price,
-            type
-        };
-        user.investmentHistory.push(newInvestment);
         await user.save();
-        res.json(user.investmentHistory);
+        res.json({ presets: user.allocationPresets, activePreset: user.activePreset });
     } catch (error) {
-        console.error('Lỗi thêm đầu tư:', error);
+        console.error('Lỗi lưu mẫu phân bổ:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
-exports.deleteInvestment = async (req, res) => {
+exports.deleteAllocationPreset = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
-        const index = parseInt(req.params.index);
-        if (index < 0 || index >= user.investmentHistory.length) {
-            return res.status(400).json({ error: 'Chỉ số giao dịch không hợp lệ' });
+        const user = await User.findById(req.budgetId);
+        const preset = user.allocationPresets.find(p => p.name === req.params.name);
+        if (!preset) {
+            return res.status(404).json({ error: 'Không tìm thấy mẫu phân bổ' });
+        }
+        preset.deleteOne();
+        // The rule itself stays active, it just no longer has a name
+        if (user.activePreset === req.params.name) {
+            user.activePreset = null;
         }
-        user.investmentHistory.splice(index, 1);
         await user.save();
-        res.json(user.investmentHistory);
+        res.json({ presets: user.allocationPresets, activePreset: user.activePreset });
+    } catch (error) {
+        console.error('Lỗi xóa mẫu phân bổ:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.deleteAccount = async (req, res) => {
+    try {
+        // Shared budgets the user alone owns go with the account, unless others still use them
+        const owned = await Household.find({ members: { $elemMatch: { userId: req.user.id, role: 'owner' } } });
+        const toDelete = [];
+        for (const household of owned) {
+            const others = household.members.filter(m => !m.userId.equals(req.user.id));
+            if (others.some(m => m.role === 'owner')) continue;
+            if (others.length > 0) {
+                return res.status(400).json({
+                    error: `Hãy chuyển quyền chủ sở hữu ngân sách chung "${household.name}" trước khi xóa tài khoản`,
+                });
+            }
+            toDelete.push(household);
+        }
+
+        // Outstanding access tokens stop working right away
+        await revokeAllSessions(req.user.id, { reason: 'revoked' });
+        for (const household of toDelete) {
+            await deleteBudgetData(household.budgetId);
+            await Household.deleteOne({ _id: household._id });
+        }
+        await Promise.all([
+            deleteBudgetData(req.user.id),
+            Household.updateMany({}, { $pull: { members: { userId: req.user.id }, invites: { userId: req.user.id } } }),
+            Session.deleteMany({ userId: req.user.id }),
+            AuthToken.deleteMany({ userId: req.user.id }),
+            // Rules the user set up on shared budgets
+            AlertRule.deleteMany({ ownerId: req.user.id }),
+            Notification.deleteMany({ userId: req.user.id })
+        ]);
+        res.json({ message: 'Tài khoản đã được xóa' });
     } catch (error) {
-        console.error('Lỗi xóa đầu tư:', error);
+        console.error('Lỗi xóa tài khoản:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.resetBudget = async (req, res) => {
+    try {
+        const outbox = await withTransaction(async (session) => {
+            const user = await User.findById(req.budgetId).session(session);
+            const legs = Array.from(user.allocations.entries())
+                .filter(([, balance]) => balance !== 0)
+                .map(([category, balance]) => ({ category, amount: -balance }));
+            const { user: updated } = await postTransaction(req.budgetId, {
+                type: 'adjustment',
+                amount: Math.abs(user.initialBudget),
+                legs,
+                budgetDelta: -user.initialBudget,
+                note: 'Đặt lại ngân sách',
+            }, { session });
+            return recordEvent(req.budgetId, 'allocations.updated', {
+                ...formatAllocations(updated),
+                allocations: Object.fromEntries(updated.allocations),
+            }, session);
+        });
+        await invalidateReports(req.budgetId);
+        await publishEvents(outbox);
+        res.json({ message: 'Ngân sách đã được đặt lại' });
+    } catch (error) {
+        console.error('Lỗi đặt lại ngân sách:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
 exports.bulkAddExpenses = async (req, res) => {
     try {
-        const user = await User.findById(req.user.id);
+        const user = await User.findById(req.budgetId);
+        ensureCategories(user);
         const { expenses } = req.body;
         if (!Array.isArray(expenses)) {
             return res.status(400).json({ error: 'Dữ liệu không hợp lệ' });
         }
-        const validCategories = ['essentials', 'savings', 'selfInvestment', 'charity', 'emergency'];
-        const newExpenses = [];
-        
-        for (const exp of expenses) {
-            const { amount, category, purpose, location, date } = exp;
-            const parsedAmount = parseFloat(amount);
-            if (isNaN(parsedAmount) || parsedAmount < 0) continue;
-            if (!validCategories.includes(category)) continue;
-
-            newExpenses.push({
-                userId: req.user.id,
-                amount: parsedAmount,
-                category,
-                purpose: purpose || '',
-                location: location || '',
-                date: date || new Date().toLocaleDateString('vi-VN')
+        if (expenses.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `Quá nhiều giao dịch (tối đa ${MAX_IMPORT_ROWS})` });
+        }
+
+        const rows = expenses.map((exp, i) => ({
+            row: i + 1,
+            rawDate: exp.date,
+            date: exp.date ? parseDateStrict(exp.date) : new Date(),
+            amount: parseAmount(exp.amount),
+            purpose: exp.purpose,
+            location: exp.location,
+            category: exp.category,
+            currency: typeof exp.currency === 'string' ? exp.currency.trim().toUpperCase() : undefined,
+            fxRate: exp.fxRate !== undefined ? parseFloat(exp.fxRate) : undefined,
+        }));
+        const { rows: checked } = await previewRows(user, rows, { expenseSign: 'positive' });
+
+        // Reject the whole batch rather than silently dropping rows
+        const rejected = checked.filter(r => r.status === 'rejected');
+        if (rejected.length > 0) {
+            return res.status(400).json({
+                error: 'Một số giao dịch không hợp lệ',
+                rejected: rejected.map(r => ({ row: r.row, reasons: r.reasons })),
             });
-            user.initialBudget -= parsedAmount;
-            user.allocations[category] -= parsedAmount;
         }
         
-        if (newExpenses.length > 0) {
-            await Expense.insertMany(newExpenses);
+        if (checked.length > 0) {
+            const outbox = await withTransaction(async (session) => {
+                const created = await commitRows(req.budgetId, checked, session, req.user.id);
+                return recordEvents(req.budgetId, 'expense.created', created.map(expense => expense.toObject()), session);
+            });
+            await invalidateReports(req.budgetId);
+            queueBudgetAlerts(req.budgetId);
+            await publishEvents(outbox);
         }
-        await user.save();
         
-        const allExpenses = await Expense.find({ userId: req.user.id })
-            .sort({ timestamp: -1, _id: -1 })
-            .lean();
-        res.json(allExpenses);
+        await streamExpenseList(res, { userId: req.budgetId });
     } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
         console.error('Lỗi nhập dữ liệu chi tiêu hàng loạt:', error);
         res.status(500).json({ error: 'Lỗi server' });
     }
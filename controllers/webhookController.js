@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { validationResult } = require('express-validator');
+const secretBox = require('../utils/secretBox');
+const { AppError } = require('../utils/errors');
+const { assertPublicUrl } = require('../utils/network');
+const { generateSecret, replayDelivery } = require('../services/webhooks');
+
+const EDITABLE_FIELDS = ['url', 'description', 'events', 'enabled'];
+
+const formatWebhook = (webhook) => ({
+    id: webhook._id,
+    url: webhook.url,
+    description: webhook.description,
+    events: webhook.events,
+    enabled: webhook.enabled,
+    createdAt: webhook.createdAt,
+});
+
+const formatDelivery = (delivery) => ({
+    id: delivery._id,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    replayOf: delivery.replayOf,
+    createdAt: delivery.createdAt,
+    attemptLog: delivery.attemptLog,
+});
+
+const findWebhook = async (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Webhook.findOne({ _id: req.params.id, userId: req.budgetId });
+};
+
+exports.getWebhooks = async (req, res) => {
+    try {
+        const webhooks = await Webhook.find({ userId: req.budgetId }).sort({ createdAt: 1 });
+        res.json(webhooks.map(formatWebhook));
+    } catch (error) {
+        console.error('Lỗi lấy webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// The secret is returned only here and on rotation
+exports.createWebhook = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        await assertPublicUrl(req.body.url);
+        const secret = generateSecret();
+        const webhook = await Webhook.create({
+            userId: req.budgetId,
+            createdBy: req.user.id,
+            url: req.body.url,
+            description: req.body.description || '',
+            events: req.body.events,
+            secret: secretBox.seal(secret),
+        });
+        res.status(201).json({ ...formatWebhook(webhook), secret });
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi tạo webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.updateWebhook = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) return res.status(404).json({ error: 'Webhook không tồn tại' });
+        if (req.body.url !== undefined) await assertPublicUrl(req.body.url);
+        for (const field of EDITABLE_FIELDS) {
+            if (req.body[field] !== undefined) webhook[field] = req.body[field];
+        }
+        await webhook.save();
+        res.json(formatWebhook(webhook));
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi cập nhật webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Pending retries of a deleted endpoint are dropped with it
+exports.deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) return res.status(404).json({ error: 'Webhook không tồn tại' });
+        await Promise.all([
+            webhook.deleteOne(),
+            WebhookDelivery.deleteMany({ webhookId: webhook._id }),
+        ]);
+        res.json({ message: 'Webhook đã được xóa' });
+    } catch (error) {
+        console.error('Lỗi xóa webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.rotateWebhookSecret = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) return res.status(404).json({ error: 'Webhook không tồn tại' });
+        const secret = generateSecret();
+        webhook.secret = secretBox.seal(secret);
+        await webhook.save();
+        res.json({ ...formatWebhook(webhook), secret });
+    } catch (error) {
+        console.error('Lỗi đổi khóa webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getDeliveries = async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+        const webhook = await findWebhook(req);
+        if (!webhook) return res.status(404).json({ error: 'Webhook không tồn tại' });
+
+        const filter = { webhookId: webhook._id };
+        if (req.query.status) filter.status = req.query.status;
+        if (req.query.event) filter.event = req.query.event;
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(req.query.limit || 50)
+            .lean();
+        res.json(deliveries.map(formatDelivery));
+    } catch (error) {
+        console.error('Lỗi lấy lịch sử gửi webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+exports.getDelivery = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        const delivery = webhook && mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+            ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id }).lean()
+            : null;
+        if (!delivery) return res.status(404).json({ error: 'Lần gửi webhook không tồn tại' });
+        res.json({ ...formatDelivery(delivery), payload: JSON.parse(delivery.payload) });
+    } catch (error) {
+        console.error('Lỗi lấy lần gửi webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Sends the same event again right away; the result is logged as a new delivery
+exports.replayDelivery = async (req, res) => {
+    try {
+        const webhook = await findWebhook(req);
+        const delivery = webhook && mongoose.Types.ObjectId.isValid(req.params.deliveryId)
+            ? await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id })
+            : null;
+        if (!delivery) return res.status(404).json({ error: 'Lần gửi webhook không tồn tại' });
+        if (!webhook.enabled) return res.status(400).json({ error: 'Webhook đang bị tắt' });
+
+        const replay = await replayDelivery(delivery);
+        res.status(201).json(formatDelivery(replay));
+    } catch (error) {
+        console.error('Lỗi gửi lại webhook:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
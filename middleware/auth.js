@@ -1,15 +1,29 @@
 const jwt = require('jsonwebtoken');
+const { isSessionRevoked } = require('../services/sessions');
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     if (!token) return res.status(401).json({ error: 'Không có quyền truy cập' });
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret');
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+        // Login challenge tokens only unlock POST /login/2fa
+        if (decoded.purpose) throw new Error('Sai loại token');
+    } catch (error) {
+        return res.status(401).json({ error: 'Token không hợp lệ' });
+    }
+
+    try {
+        // Tokens from before sessions existed carry no sid and simply expire
+        if (decoded.sid && await isSessionRevoked(decoded.sid)) {
+            return res.status(401).json({ error: 'Phiên đăng nhập đã bị thu hồi' });
+        }
         req.user = decoded;
         next();
     } catch (error) {
-        res.status(401).json({ error: 'Token không hợp lệ' });
+        console.error('Lỗi kiểm tra phiên đăng nhập:', error);
+        res.status(500).json({ error: 'Lỗi server' });
     }
 };
 
@@ -0,0 +1,27 @@
+const User = require('../models/User');
+const { AppError } = require('../utils/errors');
+const { verifySecondFactor } = require('../services/twoFactor');
+
+// For destructive routes: users with 2FA on must send a fresh code in
+// X-2FA-Code (or a recovery code in X-2FA-Recovery-Code). Runs after authMiddleware.
+const requireSecondFactor = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id, 'twoFactor');
+        if (!user || !user.twoFactor.enabled) return next();
+
+        const method = await verifySecondFactor(user, {
+            code: req.header('X-2FA-Code'),
+            recoveryCode: req.header('X-2FA-Recovery-Code'),
+        });
+        if (!method) {
+            return res.status(403).json({ error: 'Cần mã xác thực hai lớp để thực hiện thao tác này', twoFactorRequired: true });
+        }
+        next();
+    } catch (error) {
+        if (error instanceof AppError) return res.status(error.status).json({ error: error.message });
+        console.error('Lỗi xác thực hai lớp:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+module.exports = requireSecondFactor;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Household = require('../models/Household');
+
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+const hasRole = (role, required) => (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+
+const forbidden = (res) => res.status(403).json({ error: 'Bạn không có quyền thực hiện thao tác này' });
+
+// Resolves which budget a request works on and the caller's role in it. Sets
+// req.budgetId (the budget account id) and req.workspaceRole. The X-Workspace-Id
+// header picks a household ("personal" for the own budget); without it the user's
+// saved active workspace is used. Reads need viewer, anything else editor, unless
+// `role` says otherwise. Runs after authMiddleware.
+const workspaceContext = ({ role } = {}) => async (req, res, next) => {
+    try {
+        let householdId = req.header('X-Workspace-Id');
+        const explicit = householdId !== undefined;
+        if (!explicit) {
+            const user = await User.findById(req.user.id, 'activeHousehold');
+            householdId = user && user.activeHousehold ? String(user.activeHousehold) : 'personal';
+        }
+
+        req.budgetId = req.user.id;
+        req.householdId = null;
+        req.workspaceRole = 'owner';
+
+        if (householdId && householdId !== 'personal') {
+            const household = mongoose.Types.ObjectId.isValid(householdId)
+                ? await Household.findOne({ _id: householdId, 'members.userId': req.user.id }, 'budgetId members')
+                : null;
+            if (household) {
+                req.budgetId = String(household.budgetId);
+                req.householdId = String(household._id);
+                req.workspaceRole = household.members.find(m => m.userId.equals(req.user.id)).role;
+            } else if (explicit) {
+                return res.status(403).json({ error: 'Bạn không phải thành viên của ngân sách chung này' });
+            }
+            // A saved workspace the user has since left falls back to the personal budget
+        }
+
+        const required = role || (['GET', 'HEAD'].includes(req.method) ? 'viewer' : 'editor');
+        if (!hasRole(req.workspaceRole, required)) return forbidden(res);
+        next();
+    } catch (error) {
+        console.error('Lỗi xác định không gian làm việc:', error);
+        res.status(500).json({ error: 'Lỗi server' });
+    }
+};
+
+// Stricter check for a single route, after workspaceContext
+const requireRole = (role) => (req, res, next) => (hasRole(req.workspaceRole, role) ? next() : forbidden(res));
+
+module.exports = { ROLE_RANK, hasRole, workspaceContext, requireRole };
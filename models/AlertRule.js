@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// balance_below: a jar holds less than `percent` of what it had available this period
+// spend_above: spending in a category this period is over `amount`
+// price_cross: `asset` moves above or below `price` in `quote`
+const ALERT_TYPES = ['balance_below', 'spend_above', 'price_cross'];
+const ALERT_CHANNELS = ['inbox', 'email', 'webhook'];
+
+const alertRuleSchema = new mongoose.Schema({
+    // Budget the rule watches
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Member who receives the notifications
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ALERT_TYPES,
+        required: true
+    },
+    category: { type: String, default: null },
+    percent: { type: Number, default: null },
+    amount: { type: Number, default: null },
+    asset: { type: String, uppercase: true, default: null },
+    quote: { type: String, uppercase: true, default: null },
+    price: { type: Number, default: null },
+    direction: { type: String, enum: ['above', 'below', null], default: null },
+    channels: {
+        type: [{ type: String, enum: ALERT_CHANNELS }],
+        default: ['inbox']
+    },
+    // Registered endpoint of the budget for the webhook channel, so alerts are signed and retried like other events
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', default: null },
+    // Minimum time between two notifications of the same rule
+    cooldownMinutes: {
+        type: Number,
+        min: 0,
+        default: 60
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    // `active` is true while the condition holds; a rule notifies only when it turns true
+    state: {
+        active: { type: Boolean, default: false },
+        lastValue: { type: Number, default: null },
+        lastTriggeredAt: { type: Date, default: null },
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+alertRuleSchema.index({ type: 1, enabled: 1 });
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
+module.exports.ALERT_TYPES = ALERT_TYPES;
+module.exports.ALERT_CHANNELS = ALERT_CHANNELS;
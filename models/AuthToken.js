@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const AUTH_TOKEN_PURPOSES = ['verify-email', 'reset-password'];
+
+// Single-use emailed token; only its hash is stored
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: AUTH_TOKEN_PURPOSES,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Address being verified, so a later email change invalidates the link
+    email: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+});
+
+authTokenSchema.index({ userId: 1, purpose: 1 });
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
+module.exports.AUTH_TOKEN_PURPOSES = AUTH_TOKEN_PURPOSES;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const UNSPENT_RULES = ['rollover', 'sweep', 'expire'];
+
+const budgetPeriodSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    start: {
+        type: Date,
+        required: true
+    },
+    // Exclusive
+    end: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    // Planned spending per category key
+    planned: {
+        type: Map,
+        of: Number,
+        default: () => ({})
+    },
+    // Per-category override of the user's unspent rule
+    rules: {
+        type: Map,
+        of: { type: String, enum: UNSPENT_RULES },
+        default: () => ({})
+    },
+    summary: [{
+        _id: false,
+        category: String,
+        planned: Number,
+        actual: Number,
+        unspent: Number,
+        rule: { type: String, enum: UNSPENT_RULES },
+        moved: Number,
+    }],
+    closedAt: {
+        type: Date,
+        default: null
+    },
+});
+
+budgetPeriodSchema.index({ userId: 1, start: -1 }, { unique: true });
+budgetPeriodSchema.index({ status: 1, end: 1 });
+
+module.exports = mongoose.model('BudgetPeriod', budgetPeriodSchema);
+module.exports.UNSPENT_RULES = UNSPENT_RULES;
@@ -1,32 +1,6 @@
 const mongoose = require('mongoose');
-
-const parseTransactionDate = (dateStr) => {
-    if (!dateStr) return new Date();
-    if (dateStr.includes('-') || dateStr.includes('T')) {
-        const d = new Date(dateStr);
-        if (!isNaN(d.getTime())) return d;
-    }
-    if (dateStr.includes('/')) {
-        const parts = dateStr.trim().split(/[\s,]+/);
-        const dateParts = parts[0].split('/');
-        if (dateParts.length === 3) {
-            const day = parseInt(dateParts[0], 10);
-            const month = parseInt(dateParts[1], 10) - 1;
-            const year = parseInt(dateParts[2], 10);
-            let hour = 0, minute = 0, second = 0;
-            if (parts[1]) {
-                const timeParts = parts[1].split(':');
-                hour = parseInt(timeParts[0], 10) || 0;
-                minute = parseInt(timeParts[1], 10) || 0;
-                second = parseInt(timeParts[2], 10) || 0;
-            }
-            const d = new Date(year, month, day, hour, minute, second);
-            if (!isNaN(d.getTime())) return d;
-        }
-    }
-    const d = new Date(dateStr);
-    return isNaN(d.getTime()) ? new Date() : d;
-};
+const { parseTransactionDate } = require('../utils/date');
+const { normalizeSearchText } = require('../utils/text');
 
 const expenseSchema = new mongoose.Schema({
     userId: { 
@@ -35,10 +9,31 @@ const expenseSchema = new mongoose.Schema({
         required: true,
         index: true 
     },
+    // Always in the budget's base currency; the fields below keep what was actually paid
     amount: { 
         type: Number, 
         required: true 
     },
+    // Null on expenses recorded before multi-currency support: those are in the base currency
+    currency: {
+        type: String,
+        uppercase: true,
+        default: null
+    },
+    originalAmount: {
+        type: Number,
+        default: null
+    },
+    // Base currency units per unit of `currency`
+    fxRate: {
+        type: Number,
+        default: null
+    },
+    // er-api, table, cache or manual
+    fxSource: {
+        type: String,
+        default: null
+    },
     category: { 
         type: String, 
         required: true 
@@ -59,17 +54,53 @@ const expenseSchema = new mongoose.Schema({
         type: String, 
         default: '-' 
     },
+    // Accent-free purpose and location, maintained by the pre-save hook for search
+    searchText: {
+        type: String,
+        default: ''
+    },
+    // Member who recorded the expense; differs from userId in shared budgets
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Bank transaction id (OFX FITID, QIF check number) for imported rows
+    externalId: {
+        type: String,
+        default: null
+    },
+    // Set when the expense was created by a recurring rule
+    recurringRuleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringRule'
+    },
+    occurrenceAt: {
+        type: Date
+    },
 });
 
-// Pre-save middleware to keep timestamp in sync with date string
+// Pre-save middleware to keep timestamp and searchText in sync with the fields they come from
 expenseSchema.pre('save', function(next) {
     if (this.isModified('date') || !this.timestamp) {
         this.timestamp = parseTransactionDate(this.date);
     }
+    if (this.isModified('purpose') || this.isModified('location') || !this.searchText) {
+        this.searchText = normalizeSearchText(`${this.purpose} ${this.location}`);
+    }
     next();
 });
 
 // Compound index for optimized querying & sorting
 expenseSchema.index({ userId: 1, timestamp: -1, _id: -1 });
 
+// Word search within one budget; the equality prefix keeps each query to that budget's entries
+expenseSchema.index({ userId: 1, searchText: 'text' }, { default_language: 'none', name: 'expense_search' });
+
+// One expense per recurring occurrence, even when a catch-up run is retried
+expenseSchema.index(
+    { recurringRuleId: 1, occurrenceAt: 1 },
+    { unique: true, partialFilterExpression: { recurringRuleId: { $type: 'objectId' } } }
+);
+
 module.exports = mongoose.model('Expense', expenseSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A savings target. `saved` earmarks part of the savings jar; the money stays in
+// the jar, so goals never change balances or the ledger.
+const goalSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    targetAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    deadline: {
+        type: Date,
+        default: null
+    },
+    saved: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Percent of every deposit earmarked for this goal automatically
+    autoPercent: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    contributions: [{
+        _id: false,
+        amount: Number,
+        source: { type: String, enum: ['manual', 'auto'] },
+        at: { type: Date, default: Date.now },
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const HOUSEHOLD_ROLES = ['owner', 'editor', 'viewer'];
+
+// A shared budget. Balances, categories and expenses live on a budget account (a User
+// document with accountType "household") so every budget service works unchanged.
+const householdSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    budgetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    members: [{
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: { type: String, enum: HOUSEHOLD_ROLES, required: true },
+        joinedAt: { type: Date, default: Date.now },
+    }],
+    // Pending invitations; the invitee becomes a member on accepting
+    invites: [{
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: { type: String, enum: ['editor', 'viewer'], required: true },
+        invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: { type: Date, default: Date.now },
+    }],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+householdSchema.index({ 'members.userId': 1 });
+householdSchema.index({ 'invites.userId': 1 });
+
+module.exports = mongoose.model('Household', householdSchema);
+module.exports.HOUSEHOLD_ROLES = HOUSEHOLD_ROLES;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Previews that are never committed are cleaned up after a day
+const PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+const importBatchSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'ofx', 'qif'],
+        required: true
+    },
+    fileName: {
+        type: String,
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['preview', 'committed'],
+        default: 'preview'
+    },
+    rows: [{
+        _id: false,
+        row: Number,
+        rawDate: String,
+        date: Date,
+        // Converted into the budget's base currency at preview time; the rest is what the file said
+        amount: Number,
+        currency: String,
+        originalAmount: Number,
+        fxRate: Number,
+        fxSource: String,
+        category: String,
+        purpose: String,
+        location: String,
+        externalId: String,
+        status: { type: String, enum: ['valid', 'duplicate', 'rejected'] },
+        reasons: [String],
+        expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense', default: null },
+    }],
+    warnings: [String],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    committedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + PREVIEW_TTL_MS)
+    },
+});
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ImportBatch', importBatchSchema);
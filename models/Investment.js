@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { parseTransactionDate } = require('../utils/date');
+
+const ASSET_CLASSES = ['crypto', 'etf', 'stock', 'gold', 'other'];
+
+// One buy or sell lot; positions and P&L are derived from these
+const investmentSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Ticker or symbol, e.g. "BTC", "E1VFVN30", "SJC"
+    asset: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    assetClass: {
+        type: String,
+        enum: ASSET_CLASSES,
+        default: 'other'
+    },
+    side: {
+        type: String,
+        enum: ['buy', 'sell'],
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Unit price in the budget's base currency
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    fee: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Cash out for a buy (quantity * price + fee), cash in for a sell (quantity * price - fee)
+    amount: {
+        type: Number,
+        required: true
+    },
+    date: {
+        type: String,
+        default: () => new Date().toLocaleDateString('vi-VN')
+    },
+    timestamp: {
+        type: Date
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    // Outcome of each risk policy rule checked when the buy was placed
+    riskEvaluations: [{
+        _id: false,
+        rule: String,
+        mode: String,
+        limit: Number,
+        actual: Number,
+        asset: String,
+        assetClass: String,
+        passed: Boolean,
+        message: String,
+    }],
+    // The user went ahead despite failed soft rules
+    riskConfirmed: {
+        type: Boolean,
+        default: false
+    },
+});
+
+investmentSchema.pre('save', function(next) {
+    if (this.isModified('date') || !this.timestamp) {
+        this.timestamp = parseTransactionDate(this.date);
+    }
+    next();
+});
+
+investmentSchema.index({ userId: 1, timestamp: 1, _id: 1 });
+investmentSchema.index({ userId: 1, asset: 1 });
+
+module.exports = mongoose.model('Investment', investmentSchema);
+module.exports.ASSET_CLASSES = ASSET_CLASSES;
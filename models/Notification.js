@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TTL_DAYS = 90;
+
+// In-app inbox entry for one user
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    ruleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertRule',
+        default: null
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: NOTIFICATION_TTL_DAYS * 24 * 60 * 60
+    },
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Price samples saved by the background collector, stored as a time-series collection
+const pricePointSchema = new mongoose.Schema({
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    meta: {
+        asset: { type: String, required: true },
+        quote: { type: String, required: true },
+    },
+    price: {
+        type: Number,
+        required: true
+    },
+    // Provider that produced the sample, or "backfill" for imported history
+    source: {
+        type: String,
+        default: null
+    },
+}, {
+    timeseries: {
+        timeField: 'timestamp',
+        metaField: 'meta',
+        granularity: 'hours',
+    },
+    versionKey: false,
+});
+
+pricePointSchema.index({ 'meta.asset': 1, 'meta.quote': 1, timestamp: -1 });
+
+module.exports = mongoose.model('PricePoint', pricePointSchema);
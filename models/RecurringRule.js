@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES } = require('../services/schedule');
+
+const recurringRuleSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // 'expense' debits a jar, 'deposit' adds income split by the allocation rule
+    kind: {
+        type: String,
+        enum: ['expense', 'deposit'],
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    category: String,
+    // Expenses only: charged in this currency and converted at each occurrence; null is the base currency
+    currency: {
+        type: String,
+        uppercase: true,
+        default: null
+    },
+    purpose: {
+        type: String,
+        default: '-'
+    },
+    location: {
+        type: String,
+        default: '-'
+    },
+    // Deposits use this allocation preset instead of the active rule
+    preset: {
+        type: String,
+        default: null
+    },
+    schedule: {
+        frequency: { type: String, enum: FREQUENCIES, required: true },
+        interval: { type: Number, default: 1 },
+        dayOfWeek: { type: Number, min: 0, max: 6 },
+        dayOfMonth: { type: Number, min: 1, max: 31 },
+        cron: String,
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    // Null once the rule has run past its end date
+    nextRunAt: {
+        type: Date,
+        default: null
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    },
+    paused: {
+        type: Boolean,
+        default: false
+    },
+    skipDates: [Date],
+    occurrences: {
+        type: Number,
+        default: 0
+    },
+    history: [{
+        _id: false,
+        occurrenceAt: Date,
+        status: { type: String, enum: ['created', 'skipped', 'failed'] },
+        error: String,
+        expenseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Expense' },
+        transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+        at: { type: Date, default: Date.now },
+    }],
+    // Claimed by one scheduler instance at a time
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+recurringRuleSchema.index({ paused: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('RecurringRule', recurringRuleSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token rotates on every use; earlier tokens are
+// remembered so presenting one again can be recognised as reuse.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token secret
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    rotatedHashes: {
+        type: [String],
+        default: []
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout-all', 'revoked', 'reuse', null],
+        default: null
+    },
+});
+
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
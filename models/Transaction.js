@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = ['opening', 'income', 'expense', 'expense_update', 'refund', 'transfer', 'adjustment'];
+
+const transactionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: TRANSACTION_TYPES,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Signed change applied to each category balance
+    legs: [{
+        _id: false,
+        category: { type: String, required: true },
+        amount: { type: Number, required: true },
+    }],
+    // Signed change applied to initialBudget
+    budgetDelta: {
+        type: Number,
+        default: 0
+    },
+    expenseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Expense',
+        default: null
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    // Set when the entry was created by a recurring rule
+    recurringRuleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringRule'
+    },
+    occurrenceAt: {
+        type: Date
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+transactionSchema.index({ userId: 1, timestamp: -1, _id: -1 });
+
+// Recurring deposits are idempotent per occurrence; expenses are deduplicated on the Expense itself
+transactionSchema.index(
+    { recurringRuleId: 1, occurrenceAt: 1 },
+    { unique: true, partialFilterExpression: { recurringRuleId: { $type: 'objectId' }, type: 'income' } }
+);
+
+module.exports = mongoose.model('Transaction', transactionSchema);
+module.exports.TRANSACTION_TYPES = TRANSACTION_TYPES;
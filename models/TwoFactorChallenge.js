@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Second step of a password or Google login, referenced by the challenge token.
+// Every code tried uses up one attempt, so a challenge stops accepting guesses
+// after a few wrong ones whether or not Redis is available.
+const twoFactorChallengeSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Set by the successful attempt; a challenge signs in once
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+});
+
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TwoFactorChallenge', twoFactorChallengeSchema);
@@ -1,11 +1,21 @@
 const mongoose = require('mongoose');
+const { DEFAULT_ALLOCATION_RULE } = require('../utils/allocation');
+const { DEFAULT_CATEGORIES } = require('../utils/categories');
+const { RISK_RULES, RISK_MODES, DEFAULT_RISK_POLICY } = require('../services/riskPolicy');
 
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
     email: { type: String, unique: true, sparse: true },
-    password: { type: String, required: function () { return !this.googleId; } }, // Only required if no Google ID
+    emailVerified: { type: Boolean, default: false },
+    password: { type: String, required: function () { return !this.googleId && this.accountType !== 'household'; } }, // Only required for personal accounts without Google ID
+    // "household" accounts hold a shared budget and cannot sign in
+    accountType: { type: String, enum: ['personal', 'household'], default: 'personal' },
+    // Workspace used when a request has no X-Workspace-Id header; null is the personal budget
+    activeHousehold: { type: mongoose.Schema.Types.ObjectId, ref: 'Household', default: null },
     googleId: { type: String, unique: true, sparse: true },
     initialBudget: { type: Number, default: 0 },
+    // Currency every balance, allocation and report is kept in; foreign expenses are converted into it
+    baseCurrency: { type: String, uppercase: true, default: 'VND' },
     expenses: [{
         amount: { type: Number, required: true },
         category: { type: String, required: true },
@@ -13,13 +23,69 @@ const userSchema = new mongoose.Schema({
         purpose: { type: String, required: true },
         location: { type: String, required: true },
     }],
+    categories: {
+        type: [{
+            key: { type: String, required: true },
+            name: { type: String, required: true },
+            parent: { type: String, default: null },
+            archived: { type: Boolean, default: false },
+        }],
+        default: () => DEFAULT_CATEGORIES.map(c => ({ ...c })),
+    },
+    // Balance per category key
     allocations: {
-        essentials: { type: Number, default: 0 },
-        savings: { type: Number, default: 0 },
-        selfInvestment: { type: Number, default: 0 },
-        charity: { type: Number, default: 0 },
-        emergency: { type: Number, default: 0 },
+        type: Map,
+        of: Number,
+        default: () => Object.fromEntries(DEFAULT_CATEGORIES.map(c => [c.key, 0])),
+    },
+    // Active split (percent per category) applied to new deposits
+    allocationRule: { type: Map, of: Number, default: () => ({ ...DEFAULT_ALLOCATION_RULE }) },
+    allocationPresets: [{
+        name: { type: String, required: true },
+        rule: { type: Map, of: Number, required: true },
+    }],
+    activePreset: { type: String, default: null },
+    // Bumped by every goal contribution so concurrent ones conflict instead of earmarking the same savings twice
+    goalsRevision: { type: Number, default: 0 },
+    // How budget periods are cut and what happens to unspent planned money when one closes
+    periodSettings: {
+        cycle: { type: String, enum: ['month', 'custom'], default: 'month' },
+        startDay: { type: Number, min: 1, max: 28, default: 1 },
+        anchorDate: { type: Date, default: null },
+        lengthDays: { type: Number, min: 1, max: 366, default: 30 },
+        unspentRule: { type: String, enum: ['rollover', 'sweep', 'expire'], default: 'rollover' },
+        sweepTo: { type: String, default: 'savings' },
+    },
+    // How sells are matched to buy lots when computing P&L
+    costBasisMethod: { type: String, enum: ['fifo', 'average'], default: 'fifo' },
+    // Rules every buy is checked against; hard rules block, soft rules need confirmation
+    riskPolicy: {
+        type: [{
+            _id: false,
+            rule: { type: String, enum: RISK_RULES, required: true },
+            mode: { type: String, enum: RISK_MODES, required: true },
+            limit: { type: Number, default: null },
+            asset: { type: String, default: null },
+            assetClass: { type: String, default: null },
+        }],
+        default: () => DEFAULT_RISK_POLICY.map(r => ({ ...r })),
+    },
+    // TOTP second factor; secrets are sealed with utils/secretBox
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, default: null },
+        // Set during enrollment until the first code is verified
+        pendingSecret: { type: String, default: null },
+        // SHA-256 hashes of unused one-time recovery codes
+        recoveryCodes: { type: [String], default: [] },
+        // Last accepted time step, so a code cannot be replayed
+        lastUsedStep: { type: Number, default: null },
+        // Wrong codes in the current lockout window, counted here only while Redis is unavailable
+        failedAttempts: { type: Number, default: 0 },
+        failedSince: { type: Date, default: null },
+        enabledAt: { type: Date, default: null },
     },
+    // Legacy embedded investments, moved to the Investment collection on startup
     investmentHistory: [{
         amount: Number,
         date: String,
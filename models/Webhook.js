@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// An endpoint that receives signed POSTs for the events it subscribes to
+const webhookSchema = new mongoose.Schema({
+    // Budget whose events are sent
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    events: {
+        type: [String],
+        required: true
+    },
+    // Signing secret, encrypted at rest (utils/secretBox); shown to the user only when created or rotated
+    secret: {
+        type: String,
+        required: true
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+});
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+const DELIVERY_TTL_DAYS = 30;
+
+// One event for one endpoint. Doubles as the retry queue (pending rows with
+// nextAttemptAt) and the delivery log.
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Same for every delivery (and replay) of one event, so receivers can de-duplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Exact JSON body that is signed and sent
+    payload: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    attemptLog: [{
+        _id: false,
+        at: Date,
+        responseStatus: Number,
+        error: String,
+        durationMs: Number,
+    }],
+    lastError: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: DELIVERY_TTL_DAYS * 24 * 60 * 60
+    },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { ALERT_TYPES, ALERT_CHANNELS } = require('../models/AlertRule');
+const { body } = require('express-validator');
+
+router.use('/alerts', authMiddleware, workspaceContext());
+router.use('/notifications', authMiddleware);
+
+const ruleValidators = [
+    body('name').optional().isString().trim().notEmpty(),
+    body('category').optional().isString().notEmpty(),
+    body('percent').optional().isFloat({ gt: 0, max: 100 }).toFloat(),
+    body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('asset').optional().isString().trim().notEmpty(),
+    body('quote').optional().isString().trim().notEmpty(),
+    body('price').optional().isFloat({ gt: 0 }).toFloat(),
+    body('direction').optional().isIn(['above', 'below']),
+    body('channels').optional().isArray({ min: 1 }),
+    body('channels.*').isIn(ALERT_CHANNELS),
+    body('webhookId').optional({ values: 'null' }).isMongoId(),
+    body('cooldownMinutes').optional().isInt({ min: 0, max: 60 * 24 * 30 }).toInt(),
+    body('enabled').optional().isBoolean().toBoolean(),
+];
+
+router.get('/alerts', alertController.getAlertRules);
+router.post('/alerts', [
+    body('type').isIn(ALERT_TYPES),
+    body('name').isString().trim().notEmpty(),
+    ...ruleValidators,
+], alertController.createAlertRule);
+router.patch('/alerts/:id', ruleValidators, alertController.updateAlertRule);
+router.delete('/alerts/:id', alertController.deleteAlertRule);
+
+router.get('/notifications', alertController.getNotifications);
+router.post('/notifications/read-all', alertController.markAllNotificationsRead);
+router.post('/notifications/:id/read', alertController.markNotificationRead);
+
+module.exports = router;
@@ -1,11 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authMiddleware = require('../middleware/auth');
 const { body } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+
+// Each request sends an email
+const emailLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 5,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { error: 'Quá nhiều yêu cầu, vui lòng thử lại sau' },
+});
 
 router.post('/register', [
     body('username').isString().notEmpty().trim(),
     body('password').isLength({ min: 6 }),
+    body('email').optional().trim().toLowerCase().isEmail(),
 ], authController.register);
 
 router.post('/login', [
@@ -14,5 +26,35 @@ router.post('/login', [
 ], authController.login);
 
 router.post('/google-login', authController.googleLogin);
+router.post('/login/2fa', [
+    body('challengeToken').isString().notEmpty(),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+], authController.loginTwoFactor);
+
+router.post('/email/verify', [
+    body('token').isString().notEmpty(),
+], authController.verifyEmail);
+router.post('/email/verification', emailLimiter, authMiddleware, authController.resendVerification);
+
+router.post('/password/forgot', emailLimiter, [
+    body('email').trim().toLowerCase().isEmail(),
+], authController.forgotPassword);
+router.post('/password/reset', [
+    body('token').isString().notEmpty(),
+    body('password').isLength({ min: 6 }),
+], authController.resetPassword);
+router.put('/password', authMiddleware, [
+    body('password').isLength({ min: 6 }),
+    body('currentPassword').optional().isString(),
+], authController.setPassword);
+
+router.post('/refresh', [
+    body('refreshToken').isString().notEmpty(),
+], authController.refresh);
+router.post('/logout', authMiddleware, authController.logout);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+router.get('/sessions', authMiddleware, authController.getSessions);
+router.delete('/sessions/:id', authMiddleware, authController.deleteSession);
 
 module.exports = router;
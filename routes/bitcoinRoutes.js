@@ -1,8 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const bitcoinController = require('../controllers/bitcoinController');
+const { query } = require('express-validator');
+const { CANDLE_INTERVALS } = require('../services/priceHistory');
 
-router.get('/bitcoin-price', bitcoinController.getBitcoinPrice);
-router.get('/bitcoin-history', bitcoinController.getBitcoinHistory);
+const symbolValidators = [
+    query('asset').optional().matches(/^[A-Za-z0-9-]{1,40}$/),
+    query('quote').optional().matches(/^[A-Za-z]{3,5}$/),
+];
+
+router.get('/bitcoin-price', symbolValidators, bitcoinController.getBitcoinPrice);
+router.get('/bitcoin-history', [
+    ...symbolValidators,
+    query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+    query('from').optional().isISO8601().toDate(),
+    query('to').optional().isISO8601().toDate(),
+    query('interval').optional().isIn(Object.keys(CANDLE_INTERVALS)),
+    // Moving average windows, e.g. "7,30"
+    query('ma').optional()
+        .customSanitizer(value => String(value).split(',').map(n => parseInt(n, 10)))
+        .custom(windows => windows.length <= 5 && windows.every(n => Number.isInteger(n) && n >= 2 && n <= 200)),
+], bitcoinController.getBitcoinHistory);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const categoryController = require('../controllers/categoryController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { body } = require('express-validator');
+
+router.use('/categories', authMiddleware, workspaceContext());
+
+router.get('/categories', categoryController.getCategories);
+router.post('/categories', [
+    body('name').isString().notEmpty().trim(),
+    body('parent').optional({ values: 'null' }).isString().notEmpty(),
+], categoryController.createCategory);
+router.patch('/categories/:key', [
+    body('name').optional().isString().notEmpty().trim(),
+    body('parent').optional({ values: 'null' }).isString().notEmpty(),
+    body('archived').optional().isBoolean({ strict: true }),
+], categoryController.updateCategory);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const goalController = require('../controllers/goalController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { body, param } = require('express-validator');
+
+router.use('/goals', authMiddleware, workspaceContext());
+
+router.get('/goals', goalController.getGoals);
+router.post('/goals', [
+    body('name').isString().trim().notEmpty(),
+    body('targetAmount').isFloat({ gt: 0 }).toFloat(),
+    body('deadline').optional({ values: 'null' }).isISO8601().toDate(),
+    body('autoPercent').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+], goalController.createGoal);
+router.get('/goals/:id', goalController.getGoal);
+router.patch('/goals/:id', [
+    body('name').optional().isString().trim().notEmpty(),
+    body('targetAmount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('deadline').optional({ values: 'null' }).isISO8601().toDate(),
+    body('autoPercent').optional().isFloat({ min: 0, max: 100 }).toFloat(),
+], goalController.updateGoal);
+router.delete('/goals/:id', goalController.deleteGoal);
+router.post('/goals/:id/contributions', [
+    param('id').isMongoId(),
+    body('amount').isFloat().toFloat().custom(amount => amount !== 0),
+], goalController.contributeToGoal);
+
+module.exports = router;
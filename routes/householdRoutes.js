@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const householdController = require('../controllers/householdController');
+const authMiddleware = require('../middleware/auth');
+const requireSecondFactor = require('../middleware/stepUp');
+const { body } = require('express-validator');
+const { HOUSEHOLD_ROLES } = require('../models/Household');
+
+router.use(['/households', '/workspace'], authMiddleware);
+
+router.get('/households', householdController.getHouseholds);
+router.post('/households', [
+    body('name').isString().trim().notEmpty(),
+], householdController.createHousehold);
+router.get('/households/:id', householdController.getHousehold);
+router.patch('/households/:id', [
+    body('name').isString().trim().notEmpty(),
+], householdController.updateHousehold);
+// Deletes the shared budget with all of its data, like DELETE /account
+router.delete('/households/:id', requireSecondFactor, householdController.deleteHousehold);
+
+router.post('/households/:id/invites', [
+    body('username').if(body('email').not().exists()).isString().trim().notEmpty(),
+    body('email').optional().trim().toLowerCase().isEmail(),
+    body('role').isIn(['editor', 'viewer']),
+], householdController.inviteMember);
+router.post('/households/:id/invites/accept', householdController.acceptInvite);
+router.post('/households/:id/invites/decline', householdController.declineInvite);
+router.delete('/households/:id/invites/:userId', householdController.cancelInvite);
+
+router.patch('/households/:id/members/:userId', [
+    body('role').isIn(HOUSEHOLD_ROLES),
+], householdController.updateMemberRole);
+router.delete('/households/:id/members/:userId', householdController.removeMember);
+
+router.get('/workspace', householdController.getWorkspace);
+router.put('/workspace', [
+    body('householdId').optional({ values: 'null' }).isMongoId(),
+], householdController.switchWorkspace);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const importController = require('../controllers/importController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { body } = require('express-validator');
+
+router.use('/imports', authMiddleware, workspaceContext());
+
+router.post('/imports', [
+    body('format').isIn(['csv', 'ofx', 'qif']),
+    body('content').isString().notEmpty(),
+    body('fileName').optional().isString(),
+    body('mapping').optional().isObject(),
+    body('mapping.expenseSign').optional().isIn(['negative', 'positive', 'any']),
+    body('mapping.decimalSeparator').optional().isIn(['auto', '.', ',']),
+    body('mapping.dateOrder').optional().isIn(['dmy', 'mdy']),
+    body('mapping.categoryMap').optional().isObject(),
+    body('mapping.currency').optional().isISO4217(),
+], importController.previewImport);
+router.get('/imports/:id', importController.getImport);
+router.post('/imports/:id/commit', [
+    body('includeDuplicates').optional().isBoolean({ strict: true }),
+    body('skipRows').optional().isArray(),
+    body('skipRows.*').isInt({ min: 1 }).toInt(),
+], importController.commitImport);
+router.delete('/imports/:id', importController.discardImport);
+
+module.exports = router;
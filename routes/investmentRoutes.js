@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const investmentController = require('../controllers/investmentController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext, requireRole } = require('../middleware/workspace');
+const { body, query } = require('express-validator');
+const { ASSET_CLASSES } = require('../models/Investment');
+const { COST_BASIS_METHODS } = require('../services/portfolio');
+
+router.use(['/investments', '/portfolio', '/risk-policy'], authMiddleware, workspaceContext());
+
+// Lots are { asset, side, quantity, price }; the legacy shape is { amount, price, type }
+const isLegacy = body('asset').not().exists();
+
+router.get('/investments', investmentController.getInvestments);
+router.post('/investments', [
+    body('asset').optional().isString().trim().notEmpty(),
+    body('type').if(isLegacy).isString().notEmpty(),
+    body('amount').if(isLegacy).isFloat({ min: 0 }).toFloat(),
+    body('side').optional().isIn(['buy', 'sell']),
+    body('quantity').if(body('asset').exists()).isFloat({ gt: 0 }).toFloat(),
+    body('price').isFloat({ min: 0 }).toFloat(),
+    body('fee').optional().isFloat({ min: 0 }).toFloat(),
+    body('assetClass').optional().isIn(ASSET_CLASSES),
+    body('date').optional().isString(),
+    body('note').optional().isString(),
+    // Go ahead despite failed soft risk rules
+    body('confirm').optional().isBoolean({ strict: true }),
+], investmentController.addInvestment);
+router.delete('/investments/:id', investmentController.deleteInvestment);
+
+router.get('/portfolio', [
+    query('method').optional().isIn(COST_BASIS_METHODS),
+], investmentController.getPortfolio);
+router.put('/portfolio/settings', requireRole('owner'), [
+    body('costBasisMethod').isIn(COST_BASIS_METHODS),
+], investmentController.updatePortfolioSettings);
+
+router.get('/risk-policy', investmentController.getRiskPolicy);
+router.put('/risk-policy', requireRole('owner'), investmentController.updateRiskPolicy);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const periodController = require('../controllers/periodController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext, requireRole } = require('../middleware/workspace');
+const { body } = require('express-validator');
+const { UNSPENT_RULES } = require('../models/BudgetPeriod');
+
+router.use('/periods', authMiddleware, workspaceContext());
+
+router.get('/periods/settings', periodController.getPeriodSettings);
+router.put('/periods/settings', requireRole('owner'), [
+    body('cycle').optional().isIn(['month', 'custom']),
+    body('startDay').optional().isInt({ min: 1, max: 28 }).toInt(),
+    body('anchorDate').optional({ values: 'null' }).isISO8601().toDate(),
+    body('lengthDays').optional().isInt({ min: 1, max: 366 }).toInt(),
+    body('unspentRule').optional().isIn(UNSPENT_RULES),
+    body('sweepTo').optional().isString().notEmpty(),
+], periodController.updatePeriodSettings);
+router.get('/periods/current', periodController.getCurrentPeriod);
+router.put('/periods/current/plan', [
+    body('planned').optional().isObject(),
+    body('rules').optional().isObject(),
+], periodController.updateCurrentPlan);
+router.post('/periods/current/close', periodController.closeCurrentPeriod);
+router.get('/periods', periodController.getPeriods);
+router.get('/periods/:id', periodController.getPeriod);
+
+module.exports = router;
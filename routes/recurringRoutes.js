@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const recurringController = require('../controllers/recurringController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { body } = require('express-validator');
+const { FREQUENCIES } = require('../services/schedule');
+
+router.use('/recurring', authMiddleware, workspaceContext());
+
+const scheduleValidators = (optional) => [
+    optional ? body('schedule').optional().isObject() : body('schedule').isObject(),
+    body('schedule.frequency').if(body('schedule').exists()).isIn(FREQUENCIES),
+    body('schedule.interval').optional().isInt({ min: 1, max: 365 }).toInt(),
+    body('schedule.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('schedule.dayOfMonth').optional().isInt({ min: 1, max: 31 }).toInt(),
+    body('schedule.cron').optional().isString(),
+];
+
+router.get('/recurring', recurringController.getRecurringRules);
+router.post('/recurring', [
+    body('kind').isIn(['expense', 'deposit']),
+    body('name').isString().notEmpty().trim(),
+    body('amount').isFloat({ gt: 0 }),
+    body('category').if(body('kind').equals('expense')).isString().notEmpty(),
+    body('currency').optional({ values: 'null' }).isISO4217(),
+    body('purpose').optional().isString(),
+    body('location').optional().isString(),
+    body('preset').optional({ values: 'null' }).isString(),
+    body('startDate').optional().isISO8601(),
+    body('endDate').optional({ values: 'null' }).isISO8601(),
+    ...scheduleValidators(false),
+], recurringController.createRecurringRule);
+router.get('/recurring/:id', recurringController.getRecurringRule);
+router.patch('/recurring/:id', [
+    body('name').optional().isString().notEmpty().trim(),
+    body('amount').optional().isFloat({ gt: 0 }).toFloat(),
+    body('category').optional().isString().notEmpty(),
+    body('currency').optional({ values: 'null' }).isISO4217(),
+    body('purpose').optional().isString(),
+    body('location').optional().isString(),
+    body('preset').optional({ values: 'null' }).isString(),
+    body('endDate').optional({ values: 'null' }).isISO8601(),
+    ...scheduleValidators(true),
+], recurringController.updateRecurringRule);
+router.delete('/recurring/:id', recurringController.deleteRecurringRule);
+router.post('/recurring/:id/pause', recurringController.pauseRecurringRule);
+router.post('/recurring/:id/resume', recurringController.resumeRecurringRule);
+router.post('/recurring/:id/skip', [
+    body('date').optional().isISO8601(),
+], recurringController.skipRecurringOccurrence);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/reportController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+
+router.use('/reports', authMiddleware, workspaceContext());
+
+router.get('/reports/categories', reportController.getCategoryReport);
+router.get('/reports/timeline', reportController.getTimelineReport);
+router.get('/reports/locations', reportController.getLocationReport);
+router.get('/reports/purposes', reportController.getPurposeReport);
+router.get('/reports/comparison', reportController.getComparisonReport);
+router.get('/reports/usage', reportController.getUsageReport);
+
+module.exports = router;
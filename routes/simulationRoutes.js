@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const simulationController = require('../controllers/simulationController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { body } = require('express-validator');
+const { DCA_FREQUENCIES } = require('../services/simulations');
+
+// Simulations only read the budget, so viewers may run them
+router.use('/simulations', authMiddleware, workspaceContext({ role: 'viewer' }));
+
+const usesAllocationRate = (value, { req }) => req.body.useAllocationRate === true;
+
+router.post('/simulations/dca', [
+    body('asset').isString().trim().notEmpty(),
+    body('quote').optional().isString().trim().notEmpty(),
+    body('frequency').isIn(DCA_FREQUENCIES),
+    body('start').isISO8601().toDate(),
+    body('end').optional().isISO8601().toDate(),
+    body('useAllocationRate').optional().isBoolean({ strict: true }),
+    body('amount').if((value, meta) => !usesAllocationRate(value, meta)).isFloat({ gt: 0 }).toFloat(),
+    body('income').if(usesAllocationRate).isFloat({ gt: 0 }).toFloat(),
+], simulationController.simulateDca);
+
+module.exports = router;
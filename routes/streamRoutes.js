@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const streamController = require('../controllers/streamController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+
+// EventSource cannot send headers, so the access token and workspace may come in the query string
+const queryCredentials = (req, res, next) => {
+    if (!req.header('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    if (!req.header('X-Workspace-Id') && req.query.workspace) {
+        req.headers['x-workspace-id'] = req.query.workspace;
+    }
+    next();
+};
+
+router.get('/stream', queryCredentials, authMiddleware, workspaceContext(), streamController.stream);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const transactionController = require('../controllers/transactionController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { body } = require('express-validator');
+
+router.use(['/transactions', '/transfers'], authMiddleware, workspaceContext());
+
+router.get('/transactions', transactionController.getTransactions);
+router.get('/transactions/verify', transactionController.verifyTransactions);
+
+router.post('/transfers', [
+    body('from').isString().notEmpty(),
+    body('to').isString().notEmpty(),
+    body('amount').isFloat({ gt: 0 }),
+    body('note').optional().isString(),
+], transactionController.createTransfer);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const twoFactorController = require('../controllers/twoFactorController');
+const authMiddleware = require('../middleware/auth');
+const { body } = require('express-validator');
+
+router.use('/2fa', authMiddleware);
+
+router.get('/2fa', twoFactorController.getTwoFactorStatus);
+router.post('/2fa/setup', twoFactorController.setupTwoFactor);
+router.post('/2fa/verify', [
+    body('code').isString().notEmpty(),
+], twoFactorController.enableTwoFactor);
+router.post('/2fa/disable', [
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+], twoFactorController.disableTwoFactor);
+router.post('/2fa/recovery-codes', [
+    body('code').isString().notEmpty(),
+], twoFactorController.regenerateRecoveryCodes);
+
+module.exports = router;
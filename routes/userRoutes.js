@@ -1,45 +1,78 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const exportController = require('../controllers/exportController');
 const authMiddleware = require('../middleware/auth');
-const { body } = require('express-validator');
+const { workspaceContext, requireRole } = require('../middleware/workspace');
+const requireSecondFactor = require('../middleware/stepUp');
+const { body, query } = require('express-validator');
 
 router.use(authMiddleware);
+router.use(['/initial-budget', '/expenses', '/allocations', '/allocation-presets', '/budget', '/currency', '/exchange-rate'], workspaceContext());
 
 router.get('/initial-budget', userController.getInitialBudget);
 router.post('/initial-budget', [
     body('initialBudget').isFloat({ min: 0 }),
+    body('rule').optional().isObject(),
+    body('preset').optional().isString().notEmpty(),
+    body('note').optional().isString(),
 ], userController.updateInitialBudget);
 
 router.get('/expenses', userController.getExpenses);
+router.get('/expenses/export', exportController.exportExpenses);
 router.post('/expenses', [
     body('amount').isFloat({ min: 0 }),
+    body('currency').optional().isISO4217(),
+    body('fxRate').optional().isFloat({ gt: 0 }),
     body('category').isString().notEmpty(),
     body('purpose').isString().notEmpty(),
     body('location').isString().notEmpty(),
     body('date').optional().isString(),
 ], userController.addExpense);
 router.post('/expenses/bulk', userController.bulkAddExpenses);
+router.put('/expenses/:id', [
+    body('amount').isFloat({ min: 0 }),
+    body('currency').optional().isISO4217(),
+    body('fxRate').optional().isFloat({ gt: 0 }),
+    body('category').isString().notEmpty(),
+    body('purpose').isString().notEmpty(),
+    body('location').isString().notEmpty(),
+    body('date').optional().isString(),
+], userController.updateExpense);
+router.patch('/expenses/:id', [
+    body('amount').optional().isFloat({ min: 0 }),
+    body('currency').optional().isISO4217(),
+    body('fxRate').optional().isFloat({ gt: 0 }),
+    body('category').optional().isString().notEmpty(),
+    body('purpose').optional().isString().notEmpty(),
+    body('location').optional().isString().notEmpty(),
+    body('date').optional().isString(),
+], userController.updateExpense);
 router.delete('/expenses/:index', userController.deleteExpense);
 
+router.get('/currency', userController.getCurrency);
+router.put('/currency', requireRole('owner'), [
+    body('baseCurrency').isISO4217(),
+], userController.updateCurrency);
+router.get('/exchange-rate', [
+    query('from').isISO4217(),
+    query('to').optional().isISO4217(),
+], userController.getExchangeRate);
+
 router.get('/allocations', userController.getAllocations);
 router.post('/allocations', [
-    body('essentials').isFloat({ min: 0 }),
-    body('savings').isFloat({ min: 0 }),
-    body('selfInvestment').isFloat({ min: 0 }),
-    body('charity').isFloat({ min: 0 }),
-    body('emergency').isFloat({ min: 0 }),
+    body('rule').optional().isObject(),
+    body('preset').optional().isString().notEmpty(),
 ], userController.updateAllocations);
 
-router.delete('/account', userController.deleteAccount);
-router.delete('/budget', userController.resetBudget);
+router.get('/allocation-presets', userController.getAllocationPresets);
+router.post('/allocation-presets', [
+    body('name').isString().notEmpty().trim(),
+    body('rule').isObject(),
+], userController.saveAllocationPreset);
+router.delete('/allocation-presets/:name', userController.deleteAllocationPreset);
 
-router.get('/investments', userController.getInvestments);
-router.post('/investments', [
-    body('amount').isFloat({ min: 0 }),
-    body('price').isFloat({ min: 0 }),
-    body('type').isString().notEmpty(),
-], userController.addInvestment);
-router.delete('/investments/:index', userController.deleteInvestment);
+router.delete('/account', requireSecondFactor, userController.deleteAccount);
+router.delete('/budget', requireRole('owner'), requireSecondFactor, userController.resetBudget);
 
 module.exports = router;
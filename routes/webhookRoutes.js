@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const authMiddleware = require('../middleware/auth');
+const { workspaceContext } = require('../middleware/workspace');
+const { WEBHOOK_EVENTS } = require('../services/webhooks');
+const { DELIVERY_STATUSES } = require('../models/WebhookDelivery');
+const { body, query } = require('express-validator');
+
+// Webhooks send budget data to third parties, so only owners manage them
+router.use('/webhooks', authMiddleware, workspaceContext({ role: 'owner' }));
+
+const urlValidator = (chain) => chain.isURL({ protocols: ['http', 'https'], require_protocol: true });
+
+router.get('/webhooks', webhookController.getWebhooks);
+router.post('/webhooks', [
+    urlValidator(body('url')),
+    body('description').optional().isString().trim(),
+    body('events').isArray({ min: 1 }),
+    body('events.*').isIn(WEBHOOK_EVENTS),
+], webhookController.createWebhook);
+router.patch('/webhooks/:id', [
+    urlValidator(body('url').optional()),
+    body('description').optional().isString().trim(),
+    body('events').optional().isArray({ min: 1 }),
+    body('events.*').isIn(WEBHOOK_EVENTS),
+    body('enabled').optional().isBoolean().toBoolean(),
+], webhookController.updateWebhook);
+router.delete('/webhooks/:id', webhookController.deleteWebhook);
+router.post('/webhooks/:id/secret', webhookController.rotateWebhookSecret);
+router.get('/webhooks/:id/deliveries', [
+    query('status').optional().isIn(DELIVERY_STATUSES),
+    query('event').optional().isIn(WEBHOOK_EVENTS),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+], webhookController.getDeliveries);
+router.get('/webhooks/:id/deliveries/:deliveryId', webhookController.getDelivery);
+router.post('/webhooks/:id/deliveries/:deliveryId/replay', webhookController.replayDelivery);
+
+module.exports = router;
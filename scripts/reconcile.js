@@ -0,0 +1,44 @@
+// Recompute balances from the ledger and the expense collection and report drift.
+// Usage: node scripts/reconcile.js [--fix] [--user <id>]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { reconcileAll } = require('../services/reconcile');
+
+const args = process.argv.slice(2);
+const repair = args.includes('--fix');
+const userIndex = args.indexOf('--user');
+const userIds = userIndex !== -1 && args[userIndex + 1] ? [args[userIndex + 1]] : null;
+
+const run = async () => {
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+        process.exitCode = 1;
+        return;
+    }
+
+    const reports = await reconcileAll({ repair, userIds });
+    const drifted = reports.filter(r => Object.keys(r.balanceDrift).length > 0 || r.expenseDrift.length > 0);
+
+    for (const report of drifted) {
+        console.log(`\n${report.username} (${report.userId})${report.repaired ? ' - đã sửa' : ''}`);
+        for (const [key, drift] of Object.entries(report.balanceDrift)) {
+            console.log(`  ${key}: lưu ${drift.stored}, sổ cái ${drift.ledger} (lệch ${drift.difference})`);
+        }
+        for (const finding of report.expenseDrift) {
+            console.log(`  chi tiêu ${finding.expenseId}: ${finding.issue} (lệch ${finding.difference})`);
+        }
+    }
+    console.log(`\nĐã kiểm tra ${reports.length} người dùng, ${drifted.length} người dùng bị lệch.`);
+    if (drifted.length > 0 && !repair) {
+        console.log('Chạy lại với --fix để sửa.');
+        process.exitCode = 2;
+    }
+};
+
+run()
+    .catch((error) => {
+        console.error('Lỗi đối soát:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -5,17 +5,57 @@ const connectDB = require('./config/db');
 const { connectRedis } = require('./config/redis');
 require('dotenv').config();
 
+// Tokens must never be signed with a guessable default
+if (!process.env.JWT_SECRET) {
+  console.error('Thiếu JWT_SECRET, không thể khởi động server');
+  process.exit(1);
+}
+
+// Fail now rather than on the first verification or password reset email
+try {
+  require('./services/mail').getTransport();
+} catch (error) {
+  console.error('Cấu hình gửi email không hợp lệ:', error.message);
+  process.exit(1);
+}
+
+const { registerJob, startScheduler } = require('./services/scheduler');
+const { processDueRules } = require('./services/recurring');
+const { closeDuePeriods } = require('./services/periods');
+const { collectPrices, broadcastPriceTicks } = require('./services/priceHistory');
+const { startStreamFanout } = require('./services/stream');
+const { checkPriceAlerts } = require('./services/alerts');
+const { processDueDeliveries } = require('./services/webhooks');
+
 const app = express();
 const port = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
+// Browsers only let scripts read response headers that are listed here
+app.use(cors({ exposedHeaders: ['X-Data-Source', 'X-Data-As-Of', 'X-Data-Stale', 'X-Result-Truncated', 'X-Next-Cursor'] }));
 app.use(helmet());
+// Statement files are sent as JSON text and can exceed the default body limit
+app.use('/api/imports', express.json({ limit: '5mb' }));
 app.use(express.json());
 
 // Routes
 app.use('/api', require('./routes/authRoutes'));
+app.use('/api', require('./routes/twoFactorRoutes'));
+// Before the routers that require an Authorization header on every /api path
+app.use('/api', require('./routes/streamRoutes'));
+app.use('/api', require('./routes/householdRoutes'));
 app.use('/api', require('./routes/userRoutes'));
+app.use('/api', require('./routes/categoryRoutes'));
+app.use('/api', require('./routes/transactionRoutes'));
+app.use('/api', require('./routes/importRoutes'));
+app.use('/api', require('./routes/reportRoutes'));
+app.use('/api', require('./routes/recurringRoutes'));
+app.use('/api', require('./routes/periodRoutes'));
+app.use('/api', require('./routes/goalRoutes'));
+app.use('/api', require('./routes/alertRoutes'));
+app.use('/api', require('./routes/webhookRoutes'));
+app.use('/api', require('./routes/investmentRoutes'));
+app.use('/api', require('./routes/simulationRoutes'));
 app.use('/api', require('./routes/bitcoinRoutes'));
 
 // Health check
@@ -26,10 +66,26 @@ const startServer = async () => {
   // Connect to Databases
   await connectDB();
   connectRedis();
+  startStreamFanout();
 
   // Run data migration
-  const migrateEmbeddedExpenses = require('./config/migrate');
+  const { migrateEmbeddedExpenses, migrateDefaultCategories, migrateOpeningBalances, migrateEmbeddedInvestments, migrateExpenseSearchText, migrateExpenseTimestamps } = require('./config/migrate');
   await migrateEmbeddedExpenses();
+  await migrateDefaultCategories();
+  await migrateOpeningBalances();
+  await migrateEmbeddedInvestments();
+  await migrateExpenseSearchText();
+  await migrateExpenseTimestamps();
+
+  // Background jobs
+  registerJob('recurring', 60 * 1000, processDueRules);
+  registerJob('periods', 5 * 60 * 1000, closeDuePeriods);
+  registerJob('prices', 15 * 60 * 1000, collectPrices);
+  // Quotes are cached for 5 minutes, so checking every minute costs no extra provider calls
+  registerJob('price-alerts', 60 * 1000, checkPriceAlerts);
+  registerJob('webhooks', 30 * 1000, processDueDeliveries);
+  registerJob('price-ticks', 60 * 1000, broadcastPriceTicks);
+  startScheduler();
 
   // Listen
   app.listen(port, () => {
@@ -0,0 +1,32 @@
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const BudgetPeriod = require('../models/BudgetPeriod');
+const Investment = require('../models/Investment');
+const RecurringRule = require('../models/RecurringRule');
+const ImportBatch = require('../models/ImportBatch');
+const Goal = require('../models/Goal');
+const AlertRule = require('../models/AlertRule');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { invalidateReports } = require('./reportCache');
+
+// Remove a budget account and everything recorded against it
+const deleteBudgetData = async (budgetId) => {
+    await Promise.all([
+        User.findByIdAndDelete(budgetId),
+        Expense.deleteMany({ userId: budgetId }),
+        Transaction.deleteMany({ userId: budgetId }),
+        BudgetPeriod.deleteMany({ userId: budgetId }),
+        Investment.deleteMany({ userId: budgetId }),
+        RecurringRule.deleteMany({ userId: budgetId }),
+        ImportBatch.deleteMany({ userId: budgetId }),
+        Goal.deleteMany({ userId: budgetId }),
+        AlertRule.deleteMany({ userId: budgetId }),
+        Webhook.deleteMany({ userId: budgetId }),
+        WebhookDelivery.deleteMany({ userId: budgetId }),
+    ]);
+    await invalidateReports(budgetId);
+};
+
+module.exports = { deleteBudgetData };
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { sendMail } = require('./mail');
+const { AppError } = require('../utils/errors');
+
+const TOKEN_TTL_MS = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000,
+};
+
+const appUrl = () => (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Replaces any unused token of the same purpose, so only the newest link works
+const issueToken = async (userId, purpose, email = null) => {
+    await AuthToken.deleteMany({ userId, purpose, usedAt: null });
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.create({
+        userId,
+        purpose,
+        email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+    });
+    return token;
+};
+
+// Marks the token used and returns it; fails if unknown, expired or already used
+const consumeToken = async (token, purpose) => {
+    const record = await AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(String(token)), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!record) throw new AppError('Liên kết không hợp lệ hoặc đã hết hạn');
+    return record;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user._id, 'verify-email', user.email);
+    await sendMail({
+        to: user.email,
+        subject: 'Xác minh địa chỉ email',
+        text: `Xin chào ${user.username},\n\n`
+            + `Mở liên kết sau để xác minh email của bạn (hiệu lực 24 giờ):\n`
+            + `${appUrl()}/verify-email?token=${token}\n`,
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user._id, 'reset-password');
+    await sendMail({
+        to: user.email,
+        subject: 'Đặt lại mật khẩu',
+        text: `Xin chào ${user.username},\n\n`
+            + `Mở liên kết sau để đặt lại mật khẩu (hiệu lực 1 giờ):\n`
+            + `${appUrl()}/reset-password?token=${token}\n\n`
+            + 'Nếu bạn không yêu cầu, hãy bỏ qua email này.\n',
+    });
+};
+
+module.exports = { consumeToken, sendVerificationEmail, sendPasswordResetEmail };
@@ -0,0 +1,15 @@
+const User = require('../../../models/User');
+const { sendMail } = require('../../mail');
+
+const send = async (rule, alert) => {
+    const owner = await User.findById(rule.ownerId, 'email');
+    // Rules can outlive the owner's email address; the inbox still has the alert
+    if (!owner || !owner.email) return;
+    await sendMail({
+        to: owner.email,
+        subject: `[Cảnh báo] ${alert.title}`,
+        text: `${alert.message}\n\nThời điểm: ${alert.triggeredAt.toLocaleString('vi-VN')}`,
+    });
+};
+
+module.exports = { name: 'email', send };
@@ -0,0 +1,12 @@
+const Notification = require('../../../models/Notification');
+
+const send = (rule, alert) => Notification.create({
+    userId: rule.ownerId,
+    ruleId: rule._id,
+    type: rule.type,
+    title: alert.title,
+    message: alert.message,
+    data: { value: alert.value, ...alert.data },
+});
+
+module.exports = { name: 'inbox', send };
@@ -0,0 +1,18 @@
+const { buildEvent } = require('../../events');
+const { sendToWebhook } = require('../../webhooks');
+
+// Queued for the rule's registered endpoint, so the alert is address-checked, signed
+// and retried like any other webhook event
+const send = async (rule, alert) => {
+    if (!rule.webhookId) return;
+    await sendToWebhook(rule.webhookId, rule.userId, buildEvent(rule.userId, 'alert.triggered', {
+        rule: { id: rule._id, name: rule.name, type: rule.type },
+        title: alert.title,
+        message: alert.message,
+        value: alert.value,
+        data: alert.data,
+        triggeredAt: alert.triggeredAt,
+    }));
+};
+
+module.exports = { name: 'webhook', send };
@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
+const AlertRule = require('../../models/AlertRule');
+const Household = require('../../models/Household');
+const marketData = require('../marketData');
+const { periodBounds, actualSpending } = require('../periods');
+const { findCategory } = require('../../utils/categories');
+
+// Channels share one interface: { name, send(rule, alert) }
+const CHANNELS = {
+    inbox: require('./channels/inbox'),
+    email: require('./channels/email'),
+    webhook: require('./channels/webhook'),
+};
+
+const BUDGET_ALERT_TYPES = ['balance_below', 'spend_above'];
+
+// Ledger entries that put money into a jar, as opposed to refunds of expenses
+const CREDIT_TYPES = ['opening', 'income', 'transfer', 'adjustment'];
+
+const formatNumber = (value) => new Intl.NumberFormat('vi-VN', { maximumFractionDigits: 2 }).format(value);
+
+// Per category: net ledger change and money credited since `start`
+const periodFlows = async (userId, start) => {
+    const rows = await Transaction.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), timestamp: { $gte: start } } },
+        { $unwind: '$legs' },
+        {
+            $group: {
+                _id: '$legs.category',
+                net: { $sum: '$legs.amount' },
+                credited: {
+                    $sum: {
+                        $cond: [
+                            { $and: [{ $in: ['$type', CREDIT_TYPES] }, { $gt: ['$legs.amount', 0] }] },
+                            '$legs.amount',
+                            0,
+                        ],
+                    },
+                },
+            },
+        },
+    ]);
+    return Object.fromEntries(rows.map(row => [row._id, row]));
+};
+
+// Jar balance as a percentage of what it had to spend this period: the balance it
+// started the period with plus everything credited since
+const evaluateBalance = (rule, user, flows) => {
+    const balance = user.allocations.get(rule.category) || 0;
+    const { net = 0, credited = 0 } = flows[rule.category] || {};
+    const available = balance - net + credited;
+    if (available <= 0) return null;
+
+    const value = Math.round((balance / available) * 10000) / 100;
+    const name = findCategory(user, rule.category)?.name || rule.category;
+    return {
+        triggered: value < rule.percent,
+        value,
+        message: `Hũ ${name} còn ${formatNumber(value)}% (${formatNumber(balance)} ${user.baseCurrency}), dưới ngưỡng ${rule.percent}%`,
+        data: { category: rule.category, balance, available },
+    };
+};
+
+const evaluateSpend = (rule, user, spending, bounds) => {
+    const value = spending[rule.category] || 0;
+    const name = findCategory(user, rule.category)?.name || rule.category;
+    return {
+        triggered: value > rule.amount,
+        value,
+        message: `Chi tiêu ${name} kỳ này đã đạt ${formatNumber(value)} ${user.baseCurrency}, vượt ngưỡng ${formatNumber(rule.amount)}`,
+        data: { category: rule.category, periodStart: bounds.start, periodEnd: bounds.end },
+    };
+};
+
+const evaluatePrice = (rule, price) => ({
+    triggered: rule.direction === 'above' ? price >= rule.price : price <= rule.price,
+    value: price,
+    message: `${rule.asset} đã ${rule.direction === 'above' ? 'lên trên' : 'xuống dưới'} ${formatNumber(rule.price)} ${rule.quote} (hiện ${formatNumber(price)})`,
+    data: { asset: rule.asset, quote: rule.quote, price },
+});
+
+// Send through every channel of the rule; one failing channel does not stop the others
+const notify = async (rule, alert) => {
+    for (const name of rule.channels) {
+        try {
+            await CHANNELS[name].send(rule, alert);
+        } catch (error) {
+            console.error(`Lỗi gửi cảnh báo ${rule._id} qua ${name}:`, error);
+        }
+    }
+};
+
+// Notify once per crossing: the rule is claimed atomically when its condition turns
+// true and the cooldown has passed, so concurrent writes or instances send one alert.
+// While the cooldown runs the rule stays inactive and fires on a later check.
+const applyEvaluation = async (rule, evaluation, now = new Date()) => {
+    if (!evaluation) return null;
+    const { triggered, value } = evaluation;
+
+    if (!triggered) {
+        if (rule.state.active || rule.state.lastValue !== value) {
+            await AlertRule.updateOne({ _id: rule._id }, { $set: { 'state.active': false, 'state.lastValue': value } });
+        }
+        return null;
+    }
+
+    const cooldownStart = new Date(now.getTime() - rule.cooldownMinutes * 60 * 1000);
+    const claimed = await AlertRule.findOneAndUpdate({
+        _id: rule._id,
+        enabled: true,
+        'state.active': false,
+        $or: [{ 'state.lastTriggeredAt': null }, { 'state.lastTriggeredAt': { $lte: cooldownStart } }],
+    }, {
+        $set: { 'state.active': true, 'state.lastValue': value, 'state.lastTriggeredAt': now },
+    }, { new: true });
+    if (!claimed) return null;
+
+    const alert = { title: claimed.name, message: evaluation.message, value, data: evaluation.data, triggeredAt: now };
+    await notify(claimed, alert);
+    return alert;
+};
+
+// Run after anything that changes a budget's balances or spending. Never throws:
+// a failed check must not fail the write that triggered it.
+const checkBudgetAlerts = async (budgetId, now = new Date()) => {
+    try {
+        let rules = await AlertRule.find({ userId: budgetId, enabled: true, type: { $in: BUDGET_ALERT_TYPES } });
+        if (rules.length === 0) return [];
+
+        const user = await User.findById(budgetId, 'accountType allocations categories periodSettings baseCurrency');
+        if (!user) return [];
+        if (user.accountType === 'household') {
+            // Someone who left the household no longer sees its figures, alerts included
+            const household = await Household.findOne({ budgetId }, 'members.userId');
+            const members = new Set((household ? household.members : []).map(m => String(m.userId)));
+            rules = rules.filter(rule => members.has(String(rule.ownerId)));
+            if (rules.length === 0) return [];
+        }
+        const bounds = periodBounds(user.periodSettings, now);
+        const [flows, spending] = await Promise.all([
+            rules.some(r => r.type === 'balance_below') ? periodFlows(budgetId, bounds.start) : {},
+            rules.some(r => r.type === 'spend_above') ? actualSpending(budgetId, bounds.start, bounds.end) : {},
+        ]);
+
+        const sent = [];
+        for (const rule of rules) {
+            const evaluation = rule.type === 'balance_below'
+                ? evaluateBalance(rule, user, flows)
+                : evaluateSpend(rule, user, spending, bounds);
+            const alert = await applyEvaluation(rule, evaluation, now);
+            if (alert) sent.push(alert);
+        }
+        return sent;
+    } catch (error) {
+        console.error(`Lỗi kiểm tra cảnh báo ngân sách ${budgetId}:`, error);
+        return [];
+    }
+};
+
+// For request handlers: the check and its notifications run after the response is
+// sent, so a slow mail server or webhook does not hold up the write
+const queueBudgetAlerts = (budgetId) => {
+    setImmediate(() => {
+        checkBudgetAlerts(budgetId).catch(error => console.error('Lỗi kiểm tra cảnh báo ngân sách:', error));
+    });
+};
+
+// Scheduler job: one price lookup per pair for every enabled price rule.
+// A rule's first check only records which side of the target the price is on,
+// so a rule created after the price already crossed does not fire.
+const checkPriceAlerts = async (now = new Date()) => {
+    const rules = await AlertRule.find({ type: 'price_cross', enabled: true });
+    const pairs = new Map();
+    for (const rule of rules) {
+        const key = `${rule.asset}:${rule.quote}`;
+        if (!pairs.has(key)) pairs.set(key, []);
+        pairs.get(key).push(rule);
+    }
+
+    let sent = 0;
+    for (const [key, pairRules] of pairs) {
+        const [asset, quote] = key.split(':');
+        let result;
+        try {
+            result = await marketData.getPrice(asset, quote);
+        } catch (error) {
+            console.error(`Lỗi lấy giá cho cảnh báo ${key}:`, error);
+            continue;
+        }
+        // A stale price is not a new observation
+        if (result.stale) continue;
+
+        for (const rule of pairRules) {
+            try {
+                const evaluation = evaluatePrice(rule, result.price);
+                if (rule.state.lastValue === null) {
+                    await AlertRule.updateOne({ _id: rule._id }, {
+                        $set: { 'state.active': evaluation.triggered, 'state.lastValue': result.price },
+                    });
+                    continue;
+                }
+                if (await applyEvaluation(rule, evaluation, now)) sent += 1;
+            } catch (error) {
+                console.error(`Lỗi kiểm tra cảnh báo giá ${rule._id}:`, error);
+            }
+        }
+    }
+    return sent;
+};
+
+module.exports = {
+    CHANNELS,
+    BUDGET_ALERT_TYPES,
+    evaluateBalance,
+    evaluateSpend,
+    evaluatePrice,
+    applyEvaluation,
+    checkBudgetAlerts,
+    queueBudgetAlerts,
+    checkPriceAlerts,
+};
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const { postTransaction } = require('./ledger');
+const { autoContribute } = require('./goals');
+const { convertToBase } = require('./fx');
+const { toPlainRule, validateAllocationRule, splitAmount } = require('../utils/allocation');
+const { activeCategoryKeys, isActiveCategory } = require('../utils/categories');
+const { AppError, NotFoundError } = require('../utils/errors');
+
+// Pick the split for a deposit: an explicit rule, a named preset, or the user's active rule
+const resolveAllocationRule = (user, { rule, preset }) => {
+    if (rule !== undefined) {
+        const error = validateAllocationRule(rule, activeCategoryKeys(user));
+        if (error) return { error };
+        return { rule: toPlainRule(rule), preset: null };
+    }
+    if (preset !== undefined) {
+        const found = user.allocationPresets.find(p => p.name === preset);
+        if (!found) return { error: `Không tìm thấy mẫu phân bổ: ${preset}` };
+        // Presets may reference categories that were archived since
+        const error = validateAllocationRule(toPlainRule(found.rule), activeCategoryKeys(user));
+        if (error) return { error };
+        return { rule: toPlainRule(found.rule), preset: found.name };
+    }
+    return { rule: toPlainRule(user.allocationRule), preset: user.activePreset };
+};
+
+// Links a ledger entry or expense back to the recurring occurrence that created it
+const recurringFields = ({ recurringRuleId, occurrenceAt }) =>
+    (recurringRuleId ? { recurringRuleId, occurrenceAt } : {});
+
+// Split new money across the jars, record it as income and earmark goals' auto-contributions
+const depositIncome = async (userId, amount, { rule, note = '', timestamp, ...source } = {}, session = null) => {
+    const shares = splitAmount(amount, rule);
+    const result = await postTransaction(userId, {
+        type: 'income',
+        amount,
+        legs: Object.entries(shares).map(([category, share]) => ({ category, amount: share })),
+        budgetDelta: amount,
+        note,
+        timestamp,
+        ...recurringFields(source),
+    }, { session });
+    const goalContributions = await autoContribute(userId, amount, session);
+    return { ...result, goalContributions };
+};
+
+// Debit a jar and save the expense. The guarded debit is the over-budget check,
+// so parallel requests cannot overspend the jar. It runs before anything is written:
+// without a Mongo transaction a rejected debit must not leave the expense behind.
+// Foreign amounts are converted into the base currency first; the jar is always
+// debited in base currency.
+const createExpense = async (userId, { amount, currency, fxRate, category, purpose, location, date, createdBy = null, ...source }, session = null) => {
+    const user = await User.findById(userId, 'categories baseCurrency').session(session);
+    if (!user) throw new NotFoundError('Người dùng không tồn tại');
+    if (!isActiveCategory(user, category)) throw new AppError('Danh mục không hợp lệ');
+
+    const converted = await convertToBase(amount, currency, user.baseCurrency, { rate: fxRate });
+    amount = converted.amount;
+
+    const expense = new Expense({
+        userId,
+        ...converted,
+        category,
+        purpose,
+        location,
+        date: date || new Date().toLocaleDateString('vi-VN'),
+        createdBy,
+        ...recurringFields(source),
+    });
+    await expense.validate();
+
+    await postTransaction(userId, {
+        type: 'expense',
+        amount,
+        legs: [{ category, amount: -amount }],
+        budgetDelta: -amount,
+        expenseId: expense._id,
+        note: purpose,
+        ...recurringFields(source),
+    }, { session, guard: [category] });
+    await expense.save({ session });
+    return expense;
+};
+
+module.exports = { resolveAllocationRule, depositIncome, createExpense };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { enqueueDeliveries, attemptDelivery } = require('./webhooks');
+const { budgetChannel, broadcast } = require('./stream');
+
+// Events after which open streams also get the budget's new balances
+const BALANCE_EVENTS = ['expense.created', 'expense.updated', 'expense.deleted', 'budget.deposited', 'allocations.updated'];
+
+// Finance event envelope: { id, type, budgetId, createdAt, data }
+const buildEvent = (budgetId, type, data) => ({
+    id: crypto.randomUUID(),
+    type,
+    budgetId: String(budgetId),
+    createdAt: new Date().toISOString(),
+    data,
+});
+
+// First attempts run one after another once the response is sent; retries come from the scheduler
+const deliverInBackground = (deliveries) => {
+    (async () => {
+        for (const delivery of deliveries) {
+            await attemptDelivery(delivery).catch(error => console.error(`Lỗi gửi webhook ${delivery._id}:`, error));
+        }
+    })();
+};
+
+const streamEvents = async (budgetId, type, events) => {
+    const channel = budgetChannel(budgetId);
+    for (const event of events) {
+        await broadcast(channel, { id: event.id, type, data: event.data });
+    }
+    if (BALANCE_EVENTS.includes(type)) {
+        const user = await User.findById(budgetId, 'initialBudget allocations').lean();
+        if (user) {
+            await broadcast(channel, {
+                type: 'balances.updated',
+                data: { initialBudget: user.initialBudget, allocations: user.allocations },
+            });
+        }
+    }
+};
+
+// Inside the transaction of the write that produced them: one event per item, with
+// their webhook deliveries queued on the same session so they commit or roll back
+// with the write (transactional outbox). Hand the result to publishEvents after the commit.
+const recordEvents = async (budgetId, type, items, session = null) => {
+    const events = items.map(data => buildEvent(budgetId, type, data));
+    const deliveries = await enqueueDeliveries(budgetId, type, events, session);
+    return { budgetId, type, events, deliveries };
+};
+
+const recordEvent = (budgetId, type, data, session = null) => recordEvents(budgetId, type, [data], session);
+
+// After the commit: first delivery attempts and open streams. Never throws, so a
+// subscriber problem cannot fail the write that produced the events.
+const publishEvents = async ({ budgetId, type, events, deliveries }) => {
+    deliverInBackground(deliveries);
+    try {
+        await streamEvents(budgetId, type, events);
+    } catch (error) {
+        console.error(`Lỗi đẩy sự kiện ${type}:`, error);
+    }
+    return events;
+};
+
+module.exports = { buildEvent, recordEvent, recordEvents, publishEvents };
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { descendantKeys } = require('../utils/categories');
+const { searchCondition } = require('./search');
+
+// Mongo filter for the expense list filters shared by GET /expenses, exports and reports:
+// search, category (including subcategories), startDate/endDate and minAmount/maxAmount
+const buildExpenseFilter = async (userId, params) => {
+    const search = params.search || '';
+    const category = params.category || '';
+    const startDate = params.startDate || '';
+    const endDate = params.endDate || '';
+    const minAmount = parseFloat(params.minAmount);
+    const maxAmount = parseFloat(params.maxAmount);
+
+    // Cast explicitly: aggregation pipelines do not cast like find() does
+    const query = { userId: new mongoose.Types.ObjectId(String(userId)) };
+
+    if (search) {
+        // Accent-insensitive match on purpose and location through the search adapter
+        Object.assign(query, searchCondition(search) || {});
+    }
+    if (category) {
+        // A parent category also matches expenses filed under its subcategories
+        const user = await User.findById(userId, 'categories');
+        query.category = { $in: [category, ...descendantKeys(user, category)] };
+    }
+    if (startDate || endDate) {
+        query.timestamp = {};
+        if (startDate) {
+            query.timestamp.$gte = new Date(startDate);
+        }
+        if (endDate) {
+            const endD = new Date(endDate);
+            endD.setHours(23, 59, 59, 999);
+            query.timestamp.$lte = endD;
+        }
+    }
+    if (!isNaN(minAmount) || !isNaN(maxAmount)) {
+        query.amount = {};
+        if (!isNaN(minAmount)) {
+            query.amount.$gte = minAmount;
+        }
+        if (!isNaN(maxAmount)) {
+            query.amount.$lte = maxAmount;
+        }
+    }
+    return query;
+};
+
+// Newest first; the { userId, timestamp, _id } index serves this order
+const EXPENSE_SORT = { timestamp: -1, _id: -1 };
+const RELEVANCE_SORT = { score: { $meta: 'textScore' }, timestamp: -1, _id: -1 };
+
+// Opaque page cursors: { m: 'time', t, i } continues after an expense in date order,
+// { m: 'relevance', o } after the first `o` ranked results (scores cannot be range-queried)
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor, mode) => {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (position.m !== mode) return null;
+        if (mode === 'time' && !(position.t && mongoose.Types.ObjectId.isValid(position.i))) return null;
+        if (mode === 'relevance' && !(Number.isInteger(position.o) && position.o >= 0)) return null;
+        return position;
+    } catch (error) {
+        return null;
+    }
+};
+
+const timeCursor = (expense) => encodeCursor({ m: 'time', t: expense.timestamp, i: String(expense._id) });
+
+// Keyset condition for the expenses after `position` in EXPENSE_SORT order
+const afterPosition = ({ t, i }) => {
+    const timestamp = new Date(t);
+    const id = new mongoose.Types.ObjectId(i);
+    return {
+        $or: [
+            { timestamp: { $lt: timestamp } },
+            { timestamp, _id: { $lt: id } },
+        ],
+    };
+};
+
+module.exports = {
+    EXPENSE_SORT,
+    RELEVANCE_SORT,
+    buildExpenseFilter,
+    encodeCursor,
+    decodeCursor,
+    timeCursor,
+    afterPosition,
+};
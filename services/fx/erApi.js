@@ -0,0 +1,15 @@
+const axios = require('axios');
+const { ExchangeRateError } = require('../../utils/errors');
+
+const BASE_URL = process.env.FX_API_URL || 'https://open.er-api.com/v6/latest';
+
+// { result: 'success', base_code, rates: { VND: 25400, ... } }
+const getRate = async (from, to) => {
+    const response = await axios.get(`${BASE_URL}/${from}`, { timeout: 10000 });
+    if (response.data?.result !== 'success') throw new Error('Lỗi API tỷ giá');
+    const rate = response.data.rates?.[to];
+    if (typeof rate !== 'number') throw new ExchangeRateError(`Không hỗ trợ tỷ giá ${from}/${to}`, 404);
+    return rate;
+};
+
+module.exports = { name: 'er-api', getRate };
@@ -0,0 +1,78 @@
+const { cachedFetch } = require('../lastKnownGood');
+const { ExchangeRateError } = require('../../utils/errors');
+
+// Providers share one interface: { name, getRate(from, to) }
+const PROVIDERS = {
+    'er-api': require('./erApi'),
+    table: require('./table'),
+};
+
+const RATE_TTL = 60 * 60; // seconds
+
+const getProvider = () => {
+    const name = process.env.FX_PROVIDER || 'er-api';
+    const provider = PROVIDERS[name];
+    if (!provider) throw new ExchangeRateError(`Nguồn tỷ giá không hợp lệ: ${name}`, 500);
+    return provider;
+};
+
+const normalize = (currency) => String(currency).trim().toUpperCase();
+
+// { from, to, rate, source, asOf, stale }: units of `to` per unit of `from`.
+// Provider, then its cached value, then the local table, which is always labeled stale.
+const getRate = async (from, to) => {
+    from = normalize(from);
+    to = normalize(to);
+    if (from === to) return { from, to, rate: 1, source: 'identity', asOf: new Date().toISOString(), stale: false };
+
+    const provider = getProvider();
+    try {
+        const result = await cachedFetch(`fx:rate:${from}:${to}`, RATE_TTL,
+            async () => ({ data: await provider.getRate(from, to), source: provider.name }));
+        return { from, to, rate: result.data, source: result.source, asOf: result.asOf, stale: result.stale };
+    } catch (error) {
+        if (provider === PROVIDERS.table) throw error;
+        try {
+            const rate = await PROVIDERS.table.getRate(from, to);
+            return { from, to, rate, source: 'table', asOf: null, stale: true };
+        } catch (tableError) {
+            throw new ExchangeRateError(`Không có tỷ giá ${from}/${to}`);
+        }
+    }
+};
+
+// Minor units of a currency (VND 0, USD 2) per ISO 4217
+const currencyDigits = (currency) => {
+    try {
+        return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+    } catch (error) {
+        return 2;
+    }
+};
+
+const roundTo = (amount, currency) => {
+    const factor = 10 ** currencyDigits(currency);
+    return Math.round(amount * factor) / factor;
+};
+
+// Turn `amount` in `currency` into the budget's base currency.
+// A known rate (from a card statement, or the one an edited expense was booked at) wins over the rate source.
+const convertToBase = async (amount, currency, baseCurrency, known = {}) => {
+    baseCurrency = normalize(baseCurrency);
+    currency = currency ? normalize(currency) : baseCurrency;
+    if (currency === baseCurrency) {
+        return { amount, currency, originalAmount: amount, fxRate: 1, fxSource: null };
+    }
+    const { rate, source } = known.rate
+        ? { rate: known.rate, source: known.source || 'manual' }
+        : await getRate(currency, baseCurrency);
+    return {
+        amount: roundTo(amount * rate, baseCurrency),
+        currency,
+        originalAmount: amount,
+        fxRate: rate,
+        fxSource: source,
+    };
+};
+
+module.exports = { PROVIDERS, getProvider, getRate, convertToBase };
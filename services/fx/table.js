@@ -0,0 +1,25 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { ExchangeRateError } = require('../../utils/errors');
+
+// Static rates against one base currency: { "base": "USD", "updatedAt": "...", "rates": { "VND": 25400 } }
+const tableFile = () => process.env.FX_RATES_FILE
+    || path.join(__dirname, '../../config/fx-rates.json');
+
+const loadTable = async () => {
+    try {
+        return JSON.parse(await fs.readFile(tableFile(), 'utf8'));
+    } catch (error) {
+        throw new ExchangeRateError(`Không đọc được bảng tỷ giá: ${error.message}`);
+    }
+};
+
+// Cross rate through the table's base currency
+const getRate = async (from, to) => {
+    const { base, rates = {} } = await loadTable();
+    const perBase = (currency) => (currency === base ? 1 : rates[currency]);
+    if (!perBase(from) || !perBase(to)) throw new ExchangeRateError(`Không hỗ trợ tỷ giá ${from}/${to}`, 404);
+    return perBase(to) / perBase(from);
+};
+
+module.exports = { name: 'table', getRate };
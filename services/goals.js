@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Goal = require('../models/Goal');
+const { AppError } = require('../utils/errors');
+
+const SAVINGS_CATEGORY = 'savings';
+const MS_PER_MONTH = 30.44 * 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Savings balance and how much of it goals already claim, in the budget's base currency
+const savingsPosition = async (userId, session = null) => {
+    const [user, totals] = await Promise.all([
+        User.findById(userId, 'allocations baseCurrency').session(session),
+        Goal.aggregate([
+            { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+            { $group: { _id: null, saved: { $sum: '$saved' } } },
+        ]).session(session),
+    ]);
+    const balance = user ? user.allocations.get(SAVINGS_CATEGORY) || 0 : 0;
+    const earmarked = totals.length > 0 ? totals[0].saved : 0;
+    return { balance, earmarked, free: Math.max(0, balance - earmarked), currency: user ? user.baseCurrency : null };
+};
+
+// Write to the budget document before reading free savings: a parallel transaction doing
+// the same conflicts and is retried, so it sees this one's earmark instead of the same free amount
+const lockSavings = (userId, session) =>
+    User.updateOne({ _id: userId }, { $inc: { goalsRevision: 1 } }, { session });
+
+// Positive amounts take free savings, negative amounts release money back to it
+const contribute = async (userId, goal, amount, source = 'manual', session = null) => {
+    await lockSavings(userId, session);
+    const { free, currency } = await savingsPosition(userId, session);
+    if (amount > 0) {
+        if (amount > free + 0.001) {
+            throw new AppError(`Số tiền vượt quá phần tiết kiệm chưa phân bổ (${round(free)} ${currency})`);
+        }
+    } else if (-amount > goal.saved + 0.001) {
+        throw new AppError(`Số tiền rút vượt quá số đã tích lũy (${goal.saved} ${currency})`);
+    }
+
+    goal.saved = Math.max(0, round(goal.saved + amount));
+    goal.contributions.push({ amount, source, at: new Date() });
+    await goal.save({ session });
+    return goal;
+};
+
+// Earmark each goal's autoPercent of a deposit, as far as free savings and the target allow
+const autoContribute = async (userId, depositAmount, session = null) => {
+    const goals = await Goal.find({ userId, autoPercent: { $gt: 0 } }).sort({ createdAt: 1 }).session(session);
+    if (goals.length === 0) return [];
+    await lockSavings(userId, session);
+    let { free } = await savingsPosition(userId, session);
+    const contributions = [];
+    for (const goal of goals) {
+        const amount = round(Math.min(
+            depositAmount * goal.autoPercent / 100,
+            goal.targetAmount - goal.saved,
+            free
+        ));
+        if (amount <= 0) continue;
+        goal.saved = round(goal.saved + amount);
+        goal.contributions.push({ amount, source: 'auto', at: new Date() });
+        await goal.save({ session });
+        free -= amount;
+        contributions.push({ goalId: goal._id, name: goal.name, amount });
+    }
+    return contributions;
+};
+
+// Progress against a straight line from creation to the deadline
+const goalProgress = (goal, now = new Date()) => {
+    const remaining = Math.max(0, goal.targetAmount - goal.saved);
+    const progress = {
+        percent: goal.targetAmount > 0 ? Math.min(100, round(goal.saved / goal.targetAmount * 100)) : 100,
+        remaining: round(remaining),
+        monthlyNeeded: null,
+        monthsLeft: null,
+        status: 'on-track',
+    };
+    if (remaining === 0) return { ...progress, status: 'completed' };
+    if (!goal.deadline) return progress;
+
+    const deadline = new Date(goal.deadline);
+    if (deadline <= now) return { ...progress, monthsLeft: 0, monthlyNeeded: round(remaining), status: 'overdue' };
+
+    const monthsLeft = (deadline - now) / MS_PER_MONTH;
+    const elapsed = (now - new Date(goal.createdAt)) / (deadline - new Date(goal.createdAt));
+    const expected = goal.targetAmount * Math.min(1, Math.max(0, elapsed));
+    return {
+        ...progress,
+        monthsLeft: round(monthsLeft),
+        monthlyNeeded: round(remaining / Math.max(1, monthsLeft)),
+        status: goal.saved + 0.001 >= expected ? 'on-track' : 'behind',
+    };
+};
+
+module.exports = { SAVINGS_CATEGORY, savingsPosition, contribute, autoContribute, goalProgress };
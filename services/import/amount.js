@@ -0,0 +1,50 @@
+// Parse amounts as written in bank exports: "1.500.000", "1,500,000.50", "-250.000 ₫", "(120.00)".
+// `decimalSeparator` may be '.', ',' or 'auto'.
+const parseAmount = (value, decimalSeparator = 'auto') => {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (typeof value !== 'string') return null;
+
+    let text = value.trim();
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+    text = text.replace(/[^\d.,+-]/g, '');
+    if (text.startsWith('-')) {
+        negative = !negative;
+        text = text.slice(1);
+    } else if (text.startsWith('+')) {
+        text = text.slice(1);
+    }
+    if (!/^[\d.,]+$/.test(text)) return null;
+
+    let separator = decimalSeparator;
+    if (separator === 'auto') {
+        const lastDot = text.lastIndexOf('.');
+        const lastComma = text.lastIndexOf(',');
+        if (lastDot !== -1 && lastComma !== -1) {
+            separator = lastDot > lastComma ? '.' : ',';
+        } else if (/^\d{1,3}([.,]\d{3})+$/.test(text)) {
+            // Only thousands groups, the usual VND format
+            separator = null;
+        } else {
+            separator = lastComma !== -1 ? ',' : '.';
+        }
+    }
+
+    let normalized;
+    if (separator === ',') {
+        normalized = text.replace(/\./g, '').replace(',', '.');
+    } else if (separator === '.') {
+        normalized = text.replace(/,/g, '');
+    } else {
+        normalized = text.replace(/[.,]/g, '');
+    }
+    if (!/^\d+(\.\d+)?$/.test(normalized)) return null;
+
+    const amount = parseFloat(normalized);
+    return negative ? -amount : amount;
+};
+
+module.exports = { parseAmount };
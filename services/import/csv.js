@@ -0,0 +1,112 @@
+const { parseAmount } = require('./amount');
+const { parseDateStrict } = require('../../utils/date');
+
+// Column names recognised when no mapping is given (lowercased header text)
+const DEFAULT_COLUMNS = {
+    date: ['date', 'ngày', 'ngay', 'ngày giao dịch', 'transaction date'],
+    amount: ['amount', 'số tiền', 'so tien', 'debit', 'ghi nợ'],
+    purpose: ['purpose', 'description', 'mô tả', 'nội dung', 'noi dung', 'memo'],
+    location: ['location', 'địa điểm', 'dia diem', 'payee'],
+    category: ['category', 'danh mục', 'danh muc'],
+    currency: ['currency', 'tiền tệ', 'tien te', 'loại tiền'],
+};
+
+const detectDelimiter = (text) => {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const candidates = [',', ';', '\t'];
+    return candidates.reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+};
+
+// RFC 4180 style tokenizer: quoted fields, escaped quotes, newlines inside quotes
+const tokenize = (text, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Resolve a mapping entry (header name or zero-based index) to a column index
+const resolveColumn = (header, spec, fallbacks) => {
+    if (typeof spec === 'number') return spec;
+    const names = spec !== undefined ? [String(spec)] : (fallbacks || []);
+    if (!header) return -1;
+    const lowered = header.map(h => h.trim().toLowerCase());
+    for (const name of names) {
+        const index = lowered.indexOf(name.toLowerCase());
+        if (index !== -1) return index;
+    }
+    return -1;
+};
+
+/**
+ * mapping: {
+ *   delimiter, hasHeader (default true), decimalSeparator ('auto' | '.' | ','),
+ *   columns: { date, amount, purpose, location, category, currency } as header names or indexes
+ * }
+ */
+const parseCsv = (content, mapping = {}) => {
+    const text = content.replace(/^\uFEFF/, '');
+    const delimiter = mapping.delimiter || detectDelimiter(text);
+    const hasHeader = mapping.hasHeader !== false;
+    const rows = tokenize(text, delimiter).filter(r => r.some(cell => cell.trim() !== ''));
+    const header = hasHeader ? rows.shift() : null;
+    const columns = mapping.columns || {};
+
+    const index = {};
+    for (const field of Object.keys(DEFAULT_COLUMNS)) {
+        index[field] = resolveColumn(header, columns[field], hasHeader ? DEFAULT_COLUMNS[field] : []);
+    }
+    if (index.date === -1 || index.amount === -1) {
+        return { rows: [], error: 'Không xác định được cột ngày hoặc số tiền, hãy cấu hình mapping.columns' };
+    }
+
+    const cell = (row, field) => (index[field] !== -1 && row[index[field]] !== undefined ? row[index[field]].trim() : '');
+    return {
+        rows: rows.map((row, i) => ({
+            row: i + (hasHeader ? 2 : 1),
+            rawDate: cell(row, 'date'),
+            date: parseDateStrict(cell(row, 'date')),
+            amount: parseAmount(cell(row, 'amount'), mapping.decimalSeparator),
+            purpose: cell(row, 'purpose'),
+            location: cell(row, 'location'),
+            category: cell(row, 'category'),
+            currency: cell(row, 'currency').toUpperCase() || null,
+            externalId: null,
+        })),
+    };
+};
+
+module.exports = { parseCsv, tokenize };
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Expense = require('../../models/Expense');
+const { parseCsv } = require('./csv');
+const { parseOfx } = require('./ofx');
+const { parseQif } = require('./qif');
+const { postTransactions } = require('../ledger');
+const { getRate, convertToBase } = require('../fx');
+const { AppError } = require('../../utils/errors');
+const { isActiveCategory } = require('../../utils/categories');
+const { toDateKey, formatExpenseDate } = require('../../utils/date');
+
+const MAX_IMPORT_ROWS = 5000;
+
+const PARSERS = {
+    csv: parseCsv,
+    ofx: parseOfx,
+    qif: parseQif,
+};
+
+// Bank statements list spending as negative amounts; expense sheets usually do not
+const DEFAULT_EXPENSE_SIGN = {
+    csv: 'any',
+    ofx: 'negative',
+    qif: 'negative',
+};
+
+const normalizeText = (text) => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const duplicateKey = (date, amount, purpose) => `${toDateKey(date)}|${amount}|${normalizeText(purpose)}`;
+
+const parseStatement = (format, content, mapping = {}) => {
+    const parser = PARSERS[format];
+    if (!parser) return { rows: [], error: `Định dạng không được hỗ trợ: ${format}` };
+    const result = parser(content, mapping);
+    if (result.rows.length > MAX_IMPORT_ROWS) {
+        return { rows: [], error: `Tệp có quá nhiều dòng (tối đa ${MAX_IMPORT_ROWS})` };
+    }
+    return result;
+};
+
+// Turn a parsed row into an expense candidate, collecting every reason it cannot be imported
+const checkRow = (user, row, { expenseSign, defaultCategory, categoryMap, defaultCurrency }) => {
+    const reasons = [];
+    if (!row.date) reasons.push(`Ngày không hợp lệ: ${row.rawDate || '(trống)'}`);
+
+    let amount = row.amount;
+    if (amount === null || amount === undefined || isNaN(amount)) {
+        reasons.push('Số tiền không hợp lệ');
+    } else if (expenseSign === 'negative') {
+        if (amount >= 0) reasons.push('Khoản ghi có (tiền vào), không phải chi tiêu');
+        amount = Math.abs(amount);
+    } else if (expenseSign === 'positive') {
+        if (amount <= 0) reasons.push('Số tiền phải lớn hơn 0');
+    } else {
+        amount = Math.abs(amount);
+        if (amount === 0) reasons.push('Số tiền phải lớn hơn 0');
+    }
+
+    if (row.fxRate !== undefined && row.fxRate !== null && !(row.fxRate > 0)) reasons.push('Tỷ giá không hợp lệ');
+
+    const category = (categoryMap && categoryMap[row.category]) || row.category || defaultCategory;
+    if (!category) {
+        reasons.push('Thiếu danh mục');
+    } else if (!isActiveCategory(user, category)) {
+        reasons.push(`Danh mục không hợp lệ: ${category}`);
+    }
+
+    return {
+        row: row.row,
+        rawDate: row.rawDate,
+        date: row.date,
+        amount,
+        category,
+        purpose: row.purpose || '-',
+        location: row.location || '-',
+        currency: row.currency || defaultCurrency || user.baseCurrency,
+        fxRate: row.fxRate || null,
+        externalId: row.externalId || null,
+        status: reasons.length > 0 ? 'rejected' : 'valid',
+        reasons,
+    };
+};
+
+// Convert valid rows into the base currency, so duplicate checks and jar totals compare
+// like with like. One rate lookup per currency; a row's own rate (fxRate) wins.
+const convertRows = async (user, rows) => {
+    const rates = new Map();
+    for (const row of rows.filter(r => r.status === 'valid')) {
+        try {
+            let known = row.fxRate ? { rate: row.fxRate } : {};
+            if (!known.rate && row.currency !== user.baseCurrency) {
+                if (!rates.has(row.currency)) rates.set(row.currency, await getRate(row.currency, user.baseCurrency));
+                known = rates.get(row.currency);
+            }
+            Object.assign(row, await convertToBase(row.amount, row.currency, user.baseCurrency, known));
+        } catch (error) {
+            if (!(error instanceof AppError)) throw error;
+            row.status = 'rejected';
+            row.reasons.push(error.message);
+        }
+    }
+};
+
+// Flag rows matching an existing expense, or an earlier row in the same file, by date, amount and purpose
+const flagDuplicates = async (userId, rows) => {
+    const candidates = rows.filter(r => r.status === 'valid');
+    if (candidates.length === 0) return;
+
+    const times = candidates.map(r => r.date.getTime());
+    const from = new Date(Math.min(...times));
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(Math.max(...times));
+    to.setHours(23, 59, 59, 999);
+
+    const existing = await Expense.find(
+        { userId, timestamp: { $gte: from, $lte: to } },
+        'amount purpose timestamp externalId'
+    ).lean();
+    const seen = new Set(existing.map(e => duplicateKey(e.timestamp, e.amount, e.purpose)));
+    const seenExternal = new Set(existing.filter(e => e.externalId).map(e => e.externalId));
+    const inFile = new Map();
+
+    for (const row of candidates) {
+        const key = duplicateKey(row.date, row.amount, row.purpose);
+        if ((row.externalId && seenExternal.has(row.externalId)) || seen.has(key)) {
+            row.status = 'duplicate';
+            row.reasons.push('Có thể trùng với một chi tiêu đã có (cùng ngày, số tiền và nội dung)');
+        } else if (inFile.has(key)) {
+            row.status = 'duplicate';
+            row.reasons.push(`Có thể trùng với dòng ${inFile.get(key)} trong tệp`);
+        } else {
+            inFile.set(key, row.row);
+        }
+    }
+};
+
+// Dry run: validate rows, flag duplicates and warn about jars the import would overdraw
+const previewRows = async (user, rows, options = {}) => {
+    const checked = rows.map(row => checkRow(user, row, options));
+    await convertRows(user, checked);
+    await flagDuplicates(user._id, checked);
+
+    const totals = {};
+    for (const row of checked.filter(r => r.status === 'valid')) {
+        totals[row.category] = (totals[row.category] || 0) + row.amount;
+    }
+    const warnings = Object.entries(totals)
+        .filter(([category, total]) => total > (user.allocations.get(category) || 0))
+        .map(([category, total]) =>
+            `Nhập ${total} ${user.baseCurrency} vào ${category} sẽ vượt ngân sách hiện có (${user.allocations.get(category) || 0} ${user.baseCurrency})`);
+
+    const summary = {
+        total: checked.length,
+        valid: checked.filter(r => r.status === 'valid').length,
+        duplicate: checked.filter(r => r.status === 'duplicate').length,
+        rejected: checked.filter(r => r.status === 'rejected').length,
+    };
+    return { rows: checked, warnings, summary };
+};
+
+// Debit the jars in the ledger, then create the expenses through the pre-save hook (so
+// timestamp is set). The debit is guarded like a single expense: a batch that would
+// overdraw any jar fails with InsufficientFundsError before anything is written.
+const commitRows = async (userId, rows, session, createdBy = null) => {
+    const docs = rows.map(row => ({
+        _id: new mongoose.Types.ObjectId(),
+        userId,
+        createdBy,
+        amount: row.amount,
+        currency: row.currency || null,
+        originalAmount: row.originalAmount ?? null,
+        fxRate: row.fxRate || null,
+        fxSource: row.fxSource || null,
+        category: row.category,
+        purpose: row.purpose,
+        location: row.location,
+        date: formatExpenseDate(row.date),
+        externalId: row.externalId || null,
+    }));
+    if (docs.length === 0) return [];
+
+    await postTransactions(userId, docs.map(doc => ({
+        type: 'expense',
+        amount: doc.amount,
+        legs: [{ category: doc.category, amount: -doc.amount }],
+        budgetDelta: -doc.amount,
+        expenseId: doc._id,
+        note: doc.purpose,
+    })), { session, guard: [...new Set(docs.map(doc => doc.category))] });
+    return Expense.create(docs, { session, ordered: true });
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    DEFAULT_EXPENSE_SIGN,
+    parseStatement,
+    previewRows,
+    commitRows,
+};
@@ -0,0 +1,45 @@
+const { parseAmount } = require('./amount');
+
+// OFX dates look like 20240501120000.000[+7:ICT]; only the local part is used
+const parseOfxDate = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/.exec(value || '');
+    if (!match) return null;
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+    const d = new Date(+year, +month - 1, +day, +hour, +minute, +second);
+    return isNaN(d.getTime()) ? null : d;
+};
+
+// Works for both SGML (unclosed tags) and XML flavours of OFX
+const readTag = (block, tag) => {
+    const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? match[1].trim() : '';
+};
+
+const parseOfx = (content) => {
+    const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>|$)/gi) || [];
+    if (blocks.length === 0) {
+        return { rows: [], error: 'Không tìm thấy giao dịch nào trong tệp OFX' };
+    }
+
+    // Statement currency, unless a transaction names its own
+    const statementCurrency = readTag(content, 'CURDEF').toUpperCase() || null;
+    return {
+        rows: blocks.map((block, i) => {
+            const rawDate = readTag(block, 'DTPOSTED');
+            return {
+                row: i + 1,
+                rawDate,
+                date: parseOfxDate(rawDate),
+                // OFX amounts always use '.' as decimal separator
+                amount: parseAmount(readTag(block, 'TRNAMT'), '.'),
+                purpose: readTag(block, 'MEMO') || readTag(block, 'NAME'),
+                location: readTag(block, 'NAME'),
+                category: '',
+                currency: readTag(block, 'CURSYM').toUpperCase() || statementCurrency,
+                externalId: readTag(block, 'FITID') || null,
+            };
+        }),
+    };
+};
+
+module.exports = { parseOfx };
@@ -0,0 +1,46 @@
+const { parseAmount } = require('./amount');
+
+// QIF dates: "05/01/2024", "5/1'24" or "05-01-2024"; order is set by mapping.dateOrder (default 'dmy')
+const parseQifDate = (value, order = 'dmy') => {
+    const match = /^(\d{1,2})[/.-]\s*(\d{1,2})(?:[/.-]|')\s*(\d{2,4})$/.exec((value || '').trim());
+    if (!match) return null;
+    let [, first, second, year] = match;
+    year = year.length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+    const [day, month] = order === 'mdy' ? [second, first] : [first, second];
+    const d = new Date(year, parseInt(month, 10) - 1, parseInt(day, 10));
+    return isNaN(d.getTime()) || d.getDate() !== parseInt(day, 10) ? null : d;
+};
+
+const parseQif = (content, mapping = {}) => {
+    const records = [];
+    let current = {};
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('!')) continue;
+        if (line === '^') {
+            if (Object.keys(current).length > 0) records.push(current);
+            current = {};
+            continue;
+        }
+        current[line[0]] = line.slice(1).trim();
+    }
+    if (Object.keys(current).length > 0) records.push(current);
+    if (records.length === 0) {
+        return { rows: [], error: 'Không tìm thấy giao dịch nào trong tệp QIF' };
+    }
+
+    return {
+        rows: records.map((record, i) => ({
+            row: i + 1,
+            rawDate: record.D || '',
+            date: parseQifDate(record.D, mapping.dateOrder),
+            amount: parseAmount(record.T || record.U || '', mapping.decimalSeparator),
+            purpose: record.M || record.P || '',
+            location: record.P || '',
+            category: record.L || '',
+            externalId: record.N || null,
+        })),
+    };
+};
+
+module.exports = { parseQif };
@@ -0,0 +1,54 @@
+const { getRedisClient } = require('../config/redis');
+
+// Last good values of this instance, used while Redis is not connected or reconnecting.
+// node-redis queues commands until it reconnects, so it is only asked when ready.
+const memoryCache = new Map();
+
+const readCache = async (key) => {
+    const redisClient = getRedisClient();
+    if (!redisClient?.isReady) return memoryCache.get(key) || null;
+    try {
+        const cached = await redisClient.get(key);
+        return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+        console.error('Lỗi đọc bộ nhớ đệm dữ liệu ngoài:', error);
+        return null;
+    }
+};
+
+const writeCache = async (key, value, ttl) => {
+    memoryCache.set(key, value);
+    const redisClient = getRedisClient();
+    if (!redisClient?.isReady) return;
+    try {
+        await redisClient.setEx(key, ttl, JSON.stringify(value));
+        // Kept without expiry so a provider outage can fall back to it
+        await redisClient.set(`${key}:lkg`, JSON.stringify(value));
+    } catch (error) {
+        console.error('Lỗi ghi bộ nhớ đệm dữ liệu ngoài:', error);
+    }
+};
+
+// Fresh cache, then fetch() -> { data, source }, then the last known good value labeled as stale.
+// Errors matching `rethrow` skip the fallback; otherwise the fetch error is thrown when nothing is cached.
+const cachedFetch = async (key, ttl, fetch, { rethrow = () => false } = {}) => {
+    const fresh = await readCache(key);
+    if (fresh && Date.now() - new Date(fresh.asOf).getTime() < ttl * 1000) {
+        return { ...fresh, stale: false };
+    }
+
+    try {
+        const value = { ...(await fetch()), asOf: new Date().toISOString() };
+        await writeCache(key, value, ttl);
+        return { ...value, stale: false };
+    } catch (error) {
+        if (rethrow(error)) throw error;
+        console.error(`Lỗi làm mới ${key}:`, error.message);
+
+        const lastKnown = (getRedisClient()?.isReady && await readCache(`${key}:lkg`)) || memoryCache.get(key);
+        if (lastKnown) return { ...lastKnown, source: 'cache', stale: true };
+        throw error;
+    }
+};
+
+module.exports = { cachedFetch };
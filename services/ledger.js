@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const { InsufficientFundsError, NotFoundError } = require('../utils/errors');
+
+// Differences below this are floating point noise, not drift
+const DRIFT_TOLERANCE = 0.01;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Net change per category across several entries
+const sumLegs = (entries) => {
+    const totals = {};
+    for (const entry of entries) {
+        for (const leg of entry.legs || []) {
+            totals[leg.category] = (totals[leg.category] || 0) + leg.amount;
+        }
+    }
+    return totals;
+};
+
+// Record ledger entries and apply them to the user's balances in one atomic update.
+// Categories listed in `guard` must stay covered: a net debit larger than the balance
+// fails the whole write with InsufficientFundsError instead of overspending.
+const postTransactions = async (userId, entries, { session = null, guard = [] } = {}) => {
+    const legTotals = sumLegs(entries);
+    const budgetDelta = entries.reduce((sum, entry) => sum + (entry.budgetDelta || 0), 0);
+
+    const inc = {};
+    for (const [category, amount] of Object.entries(legTotals)) {
+        if (amount !== 0) inc[`allocations.${category}`] = amount;
+    }
+    if (budgetDelta !== 0) inc.initialBudget = budgetDelta;
+
+    const filter = { _id: userId };
+    for (const category of guard) {
+        if (legTotals[category] < 0) {
+            filter[`allocations.${category}`] = { $gte: -legTotals[category] };
+        }
+    }
+
+    const user = Object.keys(inc).length > 0
+        ? await User.findOneAndUpdate(filter, { $inc: inc }, { new: true, session })
+        : await User.findOne(filter).session(session);
+    if (!user) {
+        const current = await User.findById(userId, 'allocations baseCurrency').session(session);
+        if (!current) throw new NotFoundError('Người dùng không tồn tại');
+        const failed = guard.find(category => (current.allocations.get(category) || 0) < -legTotals[category]);
+        throw new InsufficientFundsError(failed, current.allocations.get(failed) || 0, current.baseCurrency);
+    }
+
+    const now = new Date();
+    const transactions = entries.map(entry => ({
+        userId,
+        type: entry.type,
+        amount: entry.amount,
+        legs: entry.legs || [],
+        budgetDelta: entry.budgetDelta || 0,
+        expenseId: entry.expenseId || null,
+        note: entry.note || '',
+        timestamp: entry.timestamp || now,
+        ...(entry.recurringRuleId ? { recurringRuleId: entry.recurringRuleId, occurrenceAt: entry.occurrenceAt } : {}),
+    }));
+    const saved = transactions.length > 0
+        ? await Transaction.insertMany(transactions, { session })
+        : [];
+
+    return { user, transactions: saved };
+};
+
+const postTransaction = async (userId, entry, options) => {
+    const { user, transactions } = await postTransactions(userId, [entry], options);
+    return { user, transaction: transactions[0] };
+};
+
+// Record balances that existed before the ledger, without changing them
+const recordOpeningBalance = async (user) => {
+    const legs = Array.from(user.allocations.entries())
+        .filter(([, amount]) => amount !== 0)
+        .map(([category, amount]) => ({ category, amount }));
+    if (legs.length === 0 && !user.initialBudget) return null;
+
+    return Transaction.create({
+        userId: user._id,
+        type: 'opening',
+        amount: user.initialBudget,
+        legs,
+        budgetDelta: user.initialBudget,
+        note: 'Số dư đầu kỳ trước khi có sổ cái',
+    });
+};
+
+// Sum every ledger entry of a user into balances
+const deriveBalances = async (userId, session = null) => {
+    const id = toObjectId(userId);
+    const [budget] = await Transaction.aggregate([
+        { $match: { userId: id } },
+        { $group: { _id: null, initialBudget: { $sum: '$budgetDelta' } } },
+    ]).session(session);
+    const legs = await Transaction.aggregate([
+        { $match: { userId: id } },
+        { $unwind: '$legs' },
+        { $group: { _id: '$legs.category', amount: { $sum: '$legs.amount' } } },
+    ]).session(session);
+
+    const allocations = {};
+    for (const leg of legs) {
+        allocations[leg._id] = leg.amount;
+    }
+    return { initialBudget: budget ? budget.initialBudget : 0, allocations };
+};
+
+// Compare the stored running totals against the ledger
+const verifyBalances = async (user, session = null) => {
+    const ledger = await deriveBalances(user._id, session);
+    const drift = {};
+
+    const keys = new Set([...user.allocations.keys(), ...Object.keys(ledger.allocations)]);
+    for (const key of keys) {
+        const stored = user.allocations.get(key) || 0;
+        const expected = ledger.allocations[key] || 0;
+        if (Math.abs(stored - expected) > DRIFT_TOLERANCE) {
+            drift[key] = { stored, ledger: expected, difference: stored - expected };
+        }
+    }
+    if (Math.abs(user.initialBudget - ledger.initialBudget) > DRIFT_TOLERANCE) {
+        drift.initialBudget = {
+            stored: user.initialBudget,
+            ledger: ledger.initialBudget,
+            difference: user.initialBudget - ledger.initialBudget,
+        };
+    }
+
+    return { consistent: Object.keys(drift).length === 0, ledger, drift };
+};
+
+module.exports = {
+    DRIFT_TOLERANCE,
+    postTransaction,
+    postTransactions,
+    recordOpeningBalance,
+    deriveBalances,
+    verifyBalances,
+};
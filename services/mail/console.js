@@ -0,0 +1,6 @@
+// Development transport: prints messages instead of sending them
+const send = async (message) => {
+    console.log(`[mail] Tới: ${message.to} | Tiêu đề: ${message.subject}\n${message.text}`);
+};
+
+module.exports = { name: 'console', send };
@@ -0,0 +1,13 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development transport: writes each message as JSON into MAIL_OUTBOX_DIR
+const outboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+
+const send = async (message) => {
+    await fs.mkdir(outboxDir(), { recursive: true });
+    const file = path.join(outboxDir(), `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+};
+
+module.exports = { name: 'file', send };
@@ -0,0 +1,25 @@
+// Transports share one interface: { name, send({ from, to, subject, text }) }.
+// MAIL_TRANSPORT picks one. Only development defaults to printing mail to the console;
+// anywhere else verification and reset links would silently never reach anyone.
+const TRANSPORTS = {
+    smtp: () => require('./smtp'),
+    console: () => require('./console'),
+    file: () => require('./file'),
+};
+
+const getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'development' ? 'console' : null);
+    if (!name) throw new Error('Thiếu MAIL_TRANSPORT (smtp, console hoặc file)');
+    const load = TRANSPORTS[name];
+    if (!load) throw new Error(`MAIL_TRANSPORT không hợp lệ: ${name}`);
+    return load();
+};
+
+const sendMail = ({ to, subject, text }) => getTransport().send({
+    from: process.env.MAIL_FROM || 'Rockefeller Finance <no-reply@localhost>',
+    to,
+    subject,
+    text,
+});
+
+module.exports = { getTransport, sendMail };
@@ -0,0 +1,19 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    }
+    return transporter;
+};
+
+const send = (message) => getTransporter().sendMail(message);
+
+module.exports = { name: 'smtp', send };
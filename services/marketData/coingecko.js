@@ -0,0 +1,59 @@
+const axios = require('axios');
+const { MarketDataError } = require('../../utils/errors');
+
+const BASE_URL = process.env.COINGECKO_API_URL || 'https://api.coingecko.com/api/v3';
+
+// Tickers to CoinGecko coin ids; anything else is tried as an id as-is
+const COIN_IDS = {
+    BTC: 'bitcoin',
+    ETH: 'ethereum',
+    USDT: 'tether',
+    BNB: 'binancecoin',
+    SOL: 'solana',
+    XRP: 'ripple',
+    ADA: 'cardano',
+    DOGE: 'dogecoin',
+};
+
+const coinId = (asset) => COIN_IDS[asset] || asset.toLowerCase();
+
+const fetchWithRetry = async (url, params, retries = 3) => {
+    const headers = process.env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY } : {};
+    for (let i = 0; i < retries; i++) {
+        try {
+            const response = await axios.get(url, { params, headers, timeout: 10000 });
+            if (response.status !== 200) throw new Error('Lỗi API');
+            return response.data;
+        } catch (error) {
+            // Unknown coin ids are not worth retrying
+            if (i === retries - 1 || error.response?.status === 404) throw error;
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+};
+
+const unsupported = (asset, quote) => new MarketDataError(`Không hỗ trợ giá ${asset}/${quote}`, 404);
+
+const getPrice = async (asset, quote) => {
+    const id = coinId(asset);
+    const data = await fetchWithRetry(`${BASE_URL}/simple/price`, { ids: id, vs_currencies: quote.toLowerCase() });
+    const price = data[id]?.[quote.toLowerCase()];
+    if (typeof price !== 'number') throw unsupported(asset, quote);
+    return price;
+};
+
+// [[timestampMs, price], ...] covering the last `days` days
+const getHistory = async (asset, quote, days) => {
+    try {
+        const data = await fetchWithRetry(`${BASE_URL}/coins/${coinId(asset)}/market_chart`, {
+            vs_currency: quote.toLowerCase(),
+            days,
+        });
+        return data.prices;
+    } catch (error) {
+        if (error.response?.status === 404) throw unsupported(asset, quote);
+        throw error;
+    }
+};
+
+module.exports = { name: 'coingecko', getPrice, getHistory };
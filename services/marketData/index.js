@@ -0,0 +1,56 @@
+const { cachedFetch } = require('../lastKnownGood');
+const { MarketDataError } = require('../../utils/errors');
+
+// Providers share one interface: { name, getPrice(asset, quote), getHistory(asset, quote, days) }
+const PROVIDERS = {
+    coingecko: require('./coingecko'),
+    local: require('./local'),
+};
+
+const PRICE_TTL = 5 * 60; // seconds
+const HISTORY_TTL = 5 * 60;
+
+const getProvider = () => {
+    const name = process.env.MARKET_DATA_PROVIDER || 'coingecko';
+    const provider = PROVIDERS[name];
+    if (!provider) throw new MarketDataError(`Nguồn dữ liệu giá không hợp lệ: ${name}`, 500);
+    return provider;
+};
+
+// The provider does not list the pair; no cached value can help
+const isUnsupported = error => error instanceof MarketDataError && error.status === 404;
+
+// Never invents a value: with nothing cached a provider failure is a MarketDataError
+const withCache = async (key, ttl, fetch) => {
+    const provider = getProvider();
+    try {
+        return await cachedFetch(key, ttl, async () => ({ data: await fetch(provider), source: provider.name }), {
+            rethrow: isUnsupported,
+        });
+    } catch (error) {
+        if (isUnsupported(error)) throw error;
+        throw new MarketDataError('Không thể lấy dữ liệu giá và chưa có giá lưu trước đó');
+    }
+};
+
+const normalize = (symbol) => String(symbol).trim().toUpperCase();
+
+// { asset, quote, price, source, asOf, stale }
+const getPrice = async (asset, quote = 'USD') => {
+    asset = normalize(asset);
+    quote = normalize(quote);
+    const result = await withCache(`market:price:${asset}:${quote}`, PRICE_TTL,
+        provider => provider.getPrice(asset, quote));
+    return { asset, quote, price: result.data, source: result.source, asOf: result.asOf, stale: result.stale };
+};
+
+// { asset, quote, points: [[timestampMs, price]], source, asOf, stale }
+const getHistory = async (asset, quote = 'USD', days = 7) => {
+    asset = normalize(asset);
+    quote = normalize(quote);
+    const result = await withCache(`market:history:${asset}:${quote}:${days}`, HISTORY_TTL,
+        provider => provider.getHistory(asset, quote, days));
+    return { asset, quote, points: result.data, source: result.source, asOf: result.asOf, stale: result.stale };
+};
+
+module.exports = { PROVIDERS, getProvider, getPrice, getHistory };
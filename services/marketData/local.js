@@ -0,0 +1,64 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { MarketDataError } = require('../../utils/errors');
+
+// Prices from a JSON file, for offline development and tests:
+// { "prices": { "BTC": { "USD": 65000 } },
+//   "rates": { "USD": { "VND": 25400 } },
+//   "history": { "BTC": { "USD": [[timestampMs, price], ...] } } }
+const dataFile = () => process.env.MARKET_DATA_FILE
+    || path.join(__dirname, '../../config/market-data.sample.json');
+
+const loadData = async () => {
+    try {
+        return JSON.parse(await fs.readFile(dataFile(), 'utf8'));
+    } catch (error) {
+        throw new MarketDataError(`Không đọc được tệp dữ liệu giá: ${error.message}`);
+    }
+};
+
+// Rate to turn one unit of `from` into `to`, directly or through the inverse rate
+const rateBetween = (rates = {}, from, to) => {
+    if (from === to) return 1;
+    if (rates[from]?.[to]) return rates[from][to];
+    if (rates[to]?.[from]) return 1 / rates[to][from];
+    return null;
+};
+
+// Price of `asset` in `quote`, converting from whichever quote the file lists
+const listedPrice = (data, asset, quote) => {
+    const listed = (data.prices || {})[asset] || {};
+    if (typeof listed[quote] === 'number') return listed[quote];
+    for (const base of Object.keys(listed)) {
+        const rate = rateBetween(data.rates, base, quote);
+        if (rate) return listed[base] * rate;
+    }
+    return null;
+};
+
+const unsupported = (asset, quote) => new MarketDataError(`Không hỗ trợ giá ${asset}/${quote}`, 404);
+
+const getPrice = async (asset, quote) => {
+    const data = await loadData();
+    // Currencies themselves are priced by the exchange rate table
+    const price = listedPrice(data, asset, quote) ?? rateBetween(data.rates, asset, quote);
+    if (price === null) throw unsupported(asset, quote);
+    return price;
+};
+
+const getHistory = async (asset, quote, days) => {
+    const data = await loadData();
+    const series = (data.history || {})[asset] || {};
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    for (const base of Object.keys(series)) {
+        const rate = rateBetween(data.rates, base, quote);
+        if (rate) {
+            return series[base]
+                .filter(([timestamp]) => timestamp >= since)
+                .map(([timestamp, price]) => [timestamp, price * rate]);
+        }
+    }
+    throw unsupported(asset, quote);
+};
+
+module.exports = { name: 'local', getPrice, getHistory };
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const BudgetPeriod = require('../models/BudgetPeriod');
+const { withTransaction } = require('../config/db');
+const { postTransactions } = require('./ledger');
+const { isActiveCategory } = require('../utils/categories');
+const { invalidateReports } = require('./reportCache');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The period of `settings` that contains `date`
+const periodBounds = (settings, date) => {
+    if (settings.cycle === 'custom' && settings.anchorDate) {
+        const length = settings.lengthDays * DAY_MS;
+        const anchor = new Date(settings.anchorDate);
+        anchor.setHours(0, 0, 0, 0);
+        const index = Math.floor((date.getTime() - anchor.getTime()) / length);
+        const start = new Date(anchor.getTime() + index * length);
+        return { start, end: new Date(start.getTime() + length) };
+    }
+
+    // Calendar month, or a pay cycle starting on `startDay` each month
+    const startDay = settings.startDay || 1;
+    let start = new Date(date.getFullYear(), date.getMonth(), startDay);
+    if (start > date) start = new Date(date.getFullYear(), date.getMonth() - 1, startDay);
+    const end = new Date(start.getFullYear(), start.getMonth() + 1, startDay);
+    return { start, end };
+};
+
+const actualSpending = async (userId, start, end, session = null) => {
+    const rows = await Expense.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), timestamp: { $gte: start, $lt: end } } },
+        { $group: { _id: '$category', total: { $sum: '$amount' } } },
+    ]).session(session);
+    return Object.fromEntries(rows.map(row => [row._id, row.total]));
+};
+
+// Planned against actual for every category that has either
+const plannedVsActual = (period, actual) => {
+    const keys = new Set([...period.planned.keys(), ...Object.keys(actual)]);
+    return Array.from(keys).map(category => {
+        const planned = period.planned.get(category) || 0;
+        const spent = actual[category] || 0;
+        return { category, planned, actual: spent, remaining: planned - spent };
+    });
+};
+
+// The open period for today, created (with the previous period's plan) if there is none yet
+const ensureCurrentPeriod = async (userId, now = new Date()) => {
+    const user = await User.findById(userId, 'periodSettings');
+    const { start, end } = periodBounds(user.periodSettings, now);
+
+    const open = await BudgetPeriod.findOne({ userId, status: 'open', start: { $lte: now }, end: { $gt: now } });
+    if (open) return open;
+
+    const previous = await BudgetPeriod.findOne({ userId, start: { $lt: start } }).sort({ start: -1 });
+    try {
+        return await BudgetPeriod.create({
+            userId,
+            start,
+            end,
+            planned: previous ? previous.planned : {},
+            rules: previous ? previous.rules : {},
+        });
+    } catch (error) {
+        // Created concurrently by another request
+        if (error.code === 11000) return BudgetPeriod.findOne({ userId, start });
+        throw error;
+    }
+};
+
+// Close a period: record planned vs actual and apply each category's unspent rule
+// (rollover leaves the money, sweep moves it to the savings jar, expire removes it).
+// `at` closes the period early, ending it at that moment.
+const closePeriod = async (periodId, { at = null } = {}) => {
+    const closed = await withTransaction(async (session) => {
+        const period = await BudgetPeriod.findOne({ _id: periodId, status: 'open' }).session(session);
+        if (!period) return null;
+        if (at && at < period.end) period.end = at;
+        const user = await User.findById(period.userId).session(session);
+        const settings = user.periodSettings;
+        const actual = await actualSpending(period.userId, period.start, period.end, session);
+
+        const entries = [];
+        const summary = plannedVsActual(period, actual).map(({ category, planned, actual: spent }) => {
+            const rule = period.rules.get(category) || settings.unspentRule;
+            // Only planned money that is still in the jar can be moved
+            const unspent = Math.max(0, Math.min(planned - spent, user.allocations.get(category) || 0));
+            let moved = 0;
+
+            if (unspent > 0 && rule === 'sweep' && category !== settings.sweepTo && isActiveCategory(user, settings.sweepTo)) {
+                moved = unspent;
+                entries.push({
+                    type: 'transfer',
+                    amount: unspent,
+                    legs: [{ category, amount: -unspent }, { category: settings.sweepTo, amount: unspent }],
+                    note: 'Chuyển số dư cuối kỳ',
+                });
+            } else if (unspent > 0 && rule === 'expire') {
+                moved = unspent;
+                entries.push({
+                    type: 'adjustment',
+                    amount: unspent,
+                    legs: [{ category, amount: -unspent }],
+                    budgetDelta: -unspent,
+                    note: 'Hủy số dư chưa chi cuối kỳ',
+                });
+            }
+            return { category, planned, actual: spent, unspent, rule, moved };
+        });
+
+        if (entries.length > 0) {
+            await postTransactions(period.userId, entries, { session });
+        }
+        period.summary = summary;
+        period.status = 'closed';
+        period.closedAt = new Date();
+        await period.save({ session });
+        return period;
+    });
+
+    if (closed) await invalidateReports(closed.userId);
+    return closed;
+};
+
+// Scheduler job: close every period whose end has passed and open the next one
+const closeDuePeriods = async (now = new Date()) => {
+    const due = await BudgetPeriod.find({ status: 'open', end: { $lte: now } }, '_id userId').lean();
+    for (const period of due) {
+        try {
+            const closed = await closePeriod(period._id);
+            if (closed) await ensureCurrentPeriod(closed.userId, now);
+        } catch (error) {
+            console.error(`Lỗi đóng kỳ ngân sách ${period._id}:`, error);
+        }
+    }
+    return due.length;
+};
+
+module.exports = {
+    periodBounds,
+    actualSpending,
+    plannedVsActual,
+    ensureCurrentPeriod,
+    closePeriod,
+    closeDuePeriods,
+};
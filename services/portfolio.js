@@ -0,0 +1,218 @@
+const Investment = require('../models/Investment');
+const { AppError } = require('../utils/errors');
+const marketData = require('./marketData');
+const { toDateKey } = require('../utils/date');
+
+const COST_BASIS_METHODS = ['fifo', 'average'];
+
+// Quantities below this are rounding leftovers from partial sells
+const QUANTITY_EPSILON = 1e-9;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Replays buy/sell lots in time order and keeps open quantity, cost basis and
+// realized P&L per asset. FIFO sells consume the oldest lots first; average cost
+// sells take the running average unit cost.
+const createPositionBook = (method = 'fifo') => {
+    const positions = new Map();
+
+    const positionFor = (trade) => {
+        if (!positions.has(trade.asset)) {
+            positions.set(trade.asset, {
+                asset: trade.asset,
+                assetClass: trade.assetClass,
+                quantity: 0,
+                costBasis: 0,
+                realizedPnl: 0,
+                lots: [],
+                lastPrice: trade.price,
+                lastTradeAt: trade.timestamp,
+            });
+        }
+        return positions.get(trade.asset);
+    };
+
+    const apply = (trade) => {
+        const position = positionFor(trade);
+        position.lastPrice = trade.price;
+        position.lastTradeAt = trade.timestamp;
+
+        if (trade.side === 'buy') {
+            position.quantity += trade.quantity;
+            position.costBasis += trade.amount;
+            if (method === 'fifo' && trade.quantity > 0) {
+                position.lots.push({ quantity: trade.quantity, unitCost: trade.amount / trade.quantity });
+            }
+            return;
+        }
+
+        if (trade.quantity > position.quantity + QUANTITY_EPSILON) {
+            throw new AppError(`Số lượng bán vượt quá số lượng ${trade.asset} đang nắm giữ (${position.quantity})`);
+        }
+
+        let soldCost;
+        if (method === 'fifo') {
+            soldCost = 0;
+            let remaining = trade.quantity;
+            while (remaining > QUANTITY_EPSILON && position.lots.length > 0) {
+                const lot = position.lots[0];
+                const used = Math.min(lot.quantity, remaining);
+                soldCost += used * lot.unitCost;
+                lot.quantity -= used;
+                remaining -= used;
+                if (lot.quantity <= QUANTITY_EPSILON) position.lots.shift();
+            }
+        } else {
+            soldCost = position.quantity > 0 ? position.costBasis * (trade.quantity / position.quantity) : 0;
+        }
+
+        position.quantity -= trade.quantity;
+        position.costBasis -= soldCost;
+        position.realizedPnl += trade.amount - soldCost;
+        if (position.quantity <= QUANTITY_EPSILON) {
+            position.quantity = 0;
+            position.costBasis = 0;
+            position.lots = [];
+        }
+    };
+
+    return { apply, positions };
+};
+
+const buildPositions = (trades, method) => {
+    const book = createPositionBook(method);
+    trades.forEach(book.apply);
+    return book.positions;
+};
+
+const loadTrades = (userId, session = null) => Investment.find({ userId })
+    .sort({ timestamp: 1, _id: 1 })
+    .session(session)
+    .lean();
+
+// Current unit price in the budget's base currency per held asset from the market data
+// provider. Assets it does not quote (funds, gold, local stocks) are valued at their latest trade price.
+const currentPrices = async (positions, currency) => {
+    const prices = {};
+    for (const position of positions.values()) {
+        if (position.quantity === 0) continue;
+        try {
+            const quote = await marketData.getPrice(position.asset, currency);
+            prices[position.asset] = { price: quote.price, source: quote.stale ? 'cache' : quote.source, at: quote.asOf };
+        } catch (error) {
+            prices[position.asset] = { price: position.lastPrice, source: 'lastTrade', at: position.lastTradeAt };
+        }
+    }
+    return prices;
+};
+
+const summarizeHoldings = (positions, prices) => {
+    const holdings = [];
+    let realizedPnl = 0;
+    for (const position of positions.values()) {
+        realizedPnl += position.realizedPnl;
+        if (position.quantity === 0 && position.realizedPnl === 0) continue;
+
+        const quote = prices[position.asset] || { price: position.lastPrice, source: 'lastTrade', at: position.lastTradeAt };
+        const marketValue = position.quantity * quote.price;
+        const unrealizedPnl = marketValue - position.costBasis;
+        holdings.push({
+            asset: position.asset,
+            assetClass: position.assetClass,
+            quantity: position.quantity,
+            averageCost: position.quantity > 0 ? round(position.costBasis / position.quantity) : 0,
+            costBasis: round(position.costBasis),
+            price: quote.price,
+            priceSource: quote.source,
+            priceAt: quote.at,
+            marketValue: round(marketValue),
+            unrealizedPnl: round(unrealizedPnl),
+            unrealizedPnlPercent: position.costBasis > 0 ? round(unrealizedPnl / position.costBasis * 100) : 0,
+            realizedPnl: round(position.realizedPnl),
+        });
+    }
+
+    const marketValue = holdings.reduce((sum, h) => sum + h.marketValue, 0);
+    const costBasis = holdings.reduce((sum, h) => sum + h.costBasis, 0);
+    for (const holding of holdings) {
+        holding.allocationPercent = marketValue > 0 ? round(holding.marketValue / marketValue * 100) : 0;
+    }
+
+    const byClass = {};
+    for (const holding of holdings) {
+        byClass[holding.assetClass] = (byClass[holding.assetClass] || 0) + holding.marketValue;
+    }
+    const allocation = Object.entries(byClass).map(([assetClass, value]) => ({
+        assetClass,
+        marketValue: round(value),
+        percent: marketValue > 0 ? round(value / marketValue * 100) : 0,
+    }));
+
+    return {
+        holdings: holdings.sort((a, b) => b.marketValue - a.marketValue),
+        allocation,
+        totals: {
+            costBasis: round(costBasis),
+            marketValue: round(marketValue),
+            unrealizedPnl: round(marketValue - costBasis),
+            realizedPnl: round(realizedPnl),
+        },
+    };
+};
+
+// Invested capital against market value at the end of each day with trades,
+// valuing each asset at its latest trade price up to that day
+const performanceSeries = (trades, method) => {
+    const book = createPositionBook(method);
+    const series = [];
+
+    const snapshot = (date) => {
+        let invested = 0, value = 0, realizedPnl = 0;
+        for (const position of book.positions.values()) {
+            invested += position.costBasis;
+            value += position.quantity * position.lastPrice;
+            realizedPnl += position.realizedPnl;
+        }
+        return { date, invested: round(invested), value: round(value), realizedPnl: round(realizedPnl) };
+    };
+
+    trades.forEach((trade, i) => {
+        book.apply(trade);
+        const day = toDateKey(new Date(trade.timestamp));
+        const next = trades[i + 1];
+        if (!next || toDateKey(new Date(next.timestamp)) !== day) series.push(snapshot(day));
+    });
+    return series;
+};
+
+const getPortfolio = async (userId, method, currency) => {
+    const trades = await loadTrades(userId);
+    const positions = buildPositions(trades, method);
+    const prices = await currentPrices(positions, currency);
+    const summary = summarizeHoldings(positions, prices);
+    const performance = performanceSeries(trades, method);
+
+    // Close the series at today's valuation
+    if (trades.length > 0) {
+        const today = toDateKey(new Date());
+        if (performance[performance.length - 1].date === today) performance.pop();
+        performance.push({
+            date: today,
+            invested: summary.totals.costBasis,
+            value: summary.totals.marketValue,
+            realizedPnl: summary.totals.realizedPnl,
+        });
+    }
+    return { method, ...summary, performance };
+};
+
+module.exports = {
+    COST_BASIS_METHODS,
+    createPositionBook,
+    buildPositions,
+    loadTrades,
+    currentPrices,
+    summarizeHoldings,
+    performanceSeries,
+    getPortfolio,
+};
@@ -0,0 +1,147 @@
+const PricePoint = require('../models/PricePoint');
+const marketData = require('./marketData');
+const { getRedisClient } = require('../config/redis');
+const { PRICES_CHANNEL, broadcast } = require('./stream');
+
+const HISTORY_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Ho_Chi_Minh';
+
+const CANDLE_INTERVALS = { hourly: 'hour', daily: 'day', weekly: 'week' };
+const INTERVAL_MS = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const MAX_CANDLES = 5000;
+
+// Days of upstream history imported the first time a pair is collected
+const BACKFILL_DAYS = 365;
+
+// "BTC:USD,BTC:VND" -> [{ asset: 'BTC', quote: 'USD' }, ...]
+const trackedPairs = () => (process.env.PRICE_COLLECTOR_PAIRS || 'BTC:USD,BTC:VND')
+    .split(',')
+    .map(pair => pair.trim().toUpperCase().split(':'))
+    .filter(([asset, quote]) => asset && quote)
+    .map(([asset, quote]) => ({ asset, quote }));
+
+const latestPoint = (asset, quote) => PricePoint.findOne({ 'meta.asset': asset, 'meta.quote': quote })
+    .sort({ timestamp: -1 })
+    .lean();
+
+// Seed an empty pair with upstream history so charts have months of data from day one
+const backfill = async (asset, quote, days = BACKFILL_DAYS) => {
+    const history = await marketData.getHistory(asset, quote, days);
+    if (history.stale || history.points.length === 0) return 0;
+    await PricePoint.insertMany(history.points.map(([timestamp, price]) => ({
+        timestamp: new Date(timestamp),
+        meta: { asset, quote },
+        price,
+        source: 'backfill',
+    })));
+    return history.points.length;
+};
+
+// Scheduler job: store the current price of every tracked pair. Cached quotes share
+// their asOf across instances, so a sample already stored by another instance is skipped.
+const collectPrices = async () => {
+    let stored = 0;
+    for (const { asset, quote } of trackedPairs()) {
+        try {
+            const latest = await latestPoint(asset, quote);
+            if (!latest) {
+                await backfill(asset, quote).catch(error => {
+                    console.error(`Lỗi nạp lịch sử giá ${asset}/${quote}:`, error.message);
+                });
+            }
+
+            const result = await marketData.getPrice(asset, quote);
+            // Last-known-good values are not new observations
+            if (result.stale) continue;
+            const at = new Date(result.asOf);
+            if (latest && latest.timestamp >= at) continue;
+
+            await PricePoint.create({ timestamp: at, meta: { asset, quote }, price: result.price, source: result.source });
+            stored += 1;
+        } catch (error) {
+            console.error(`Lỗi thu thập giá ${asset}/${quote}:`, error.message);
+        }
+    }
+    return stored;
+};
+
+// asOf of the last tick pushed per pair, when Redis is not there to share it
+const lastTicks = new Map();
+
+// Only the first instance to see a quote pushes it, so clients get each tick once
+const claimTick = async (asset, quote, asOf) => {
+    const redisClient = getRedisClient();
+    // A reconnecting client would queue the claim and hold up the job
+    if (!redisClient?.isReady) {
+        if (lastTicks.get(`${asset}:${quote}`) === asOf) return false;
+        lastTicks.set(`${asset}:${quote}`, asOf);
+        return true;
+    }
+    const claimed = await redisClient.set(`stream:tick:${asset}:${quote}:${asOf}`, '1', { NX: true, EX: 60 * 60 });
+    return claimed === 'OK';
+};
+
+// Scheduler job: push the current price of every tracked pair to open streams
+const broadcastPriceTicks = async () => {
+    let sent = 0;
+    for (const { asset, quote } of trackedPairs()) {
+        try {
+            const result = await marketData.getPrice(asset, quote);
+            if (result.stale || !(await claimTick(asset, quote, result.asOf))) continue;
+            await broadcast(PRICES_CHANNEL, { type: 'price', data: result });
+            sent += 1;
+        } catch (error) {
+            console.error(`Lỗi đẩy giá ${asset}/${quote}:`, error.message);
+        }
+    }
+    return sent;
+};
+
+// OHLC candles from stored samples; periods without samples are left out
+const candles = async ({ asset, quote, from, to, interval }) => {
+    const unit = CANDLE_INTERVALS[interval];
+    const truncate = { date: '$timestamp', unit, timezone: HISTORY_TIMEZONE };
+    if (unit === 'week') truncate.startOfWeek = 'monday';
+
+    const rows = await PricePoint.aggregate([
+        { $match: { 'meta.asset': asset, 'meta.quote': quote, timestamp: { $gte: from, $lt: to } } },
+        { $sort: { timestamp: 1 } },
+        {
+            $group: {
+                _id: { $dateTrunc: truncate },
+                open: { $first: '$price' },
+                high: { $max: '$price' },
+                low: { $min: '$price' },
+                close: { $last: '$price' },
+                samples: { $sum: 1 },
+            },
+        },
+        { $sort: { _id: 1 } },
+    ]);
+    return rows.map(row => ({
+        time: row._id,
+        open: row.open,
+        high: row.high,
+        low: row.low,
+        close: row.close,
+        samples: row.samples,
+    }));
+};
+
+// Simple moving average of closes; null until a full window is available
+const movingAverage = (series, window) => series.map((_, i) => {
+    if (i + 1 < window) return null;
+    const slice = series.slice(i + 1 - window, i + 1);
+    return slice.reduce((sum, candle) => sum + candle.close, 0) / window;
+});
+
+module.exports = {
+    CANDLE_INTERVALS,
+    INTERVAL_MS,
+    MAX_CANDLES,
+    trackedPairs,
+    backfill,
+    collectPrices,
+    broadcastPriceTicks,
+    candles,
+    movingAverage,
+};
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const { withTransaction } = require('../config/db');
+const { DRIFT_TOLERANCE, postTransactions, verifyBalances } = require('./ledger');
+
+// Ledger net per expense: what the budget was actually charged, split by category
+const ledgerByExpense = async (userId, session) => {
+    const rows = await Transaction.aggregate([
+        { $match: { userId: new mongoose.Types.ObjectId(String(userId)), expenseId: { $ne: null } } },
+        { $group: { _id: '$expenseId', budgetDelta: { $sum: '$budgetDelta' }, legs: { $push: '$legs' } } },
+    ]).session(session);
+
+    const result = new Map();
+    for (const row of rows) {
+        const categories = {};
+        for (const leg of row.legs.flat()) {
+            categories[leg.category] = (categories[leg.category] || 0) + leg.amount;
+        }
+        result.set(String(row._id), { budgetDelta: row.budgetDelta, categories });
+    }
+    return result;
+};
+
+// Expenses whose ledger charge does not match the expense collection.
+// Each finding carries the correcting entry that would fix it.
+const findExpenseDrift = async (userId, session) => {
+    const charged = await ledgerByExpense(userId, session);
+    const expenses = await Expense.find({ userId }, 'amount category purpose').session(session).lean();
+    // Expenses from before the ledger have no entry of their own: the opening balance already counts them
+    const opening = await Transaction.findOne({ userId, type: 'opening' }, 'timestamp').session(session).lean();
+    const findings = [];
+
+    for (const expense of expenses) {
+        if (!charged.has(String(expense._id)) && opening && expense._id.getTimestamp() < opening.timestamp) continue;
+        const ledger = charged.get(String(expense._id)) || { budgetDelta: 0, categories: {} };
+        charged.delete(String(expense._id));
+        // Saved but never debited, or debited by a different amount
+        const missing = expense.amount + ledger.budgetDelta;
+        if (Math.abs(missing) > DRIFT_TOLERANCE) {
+            findings.push({
+                expenseId: expense._id,
+                issue: ledger.budgetDelta === 0 ? 'missing_debit' : 'amount_mismatch',
+                difference: missing,
+                correction: {
+                    type: 'adjustment',
+                    amount: Math.abs(missing),
+                    legs: [{ category: expense.category, amount: -missing }],
+                    budgetDelta: -missing,
+                    expenseId: expense._id,
+                    note: `Đối soát: ${expense.purpose}`,
+                },
+            });
+        }
+    }
+
+    // Whatever is left was charged for an expense that no longer exists
+    for (const [expenseId, ledger] of charged) {
+        if (Math.abs(ledger.budgetDelta) <= DRIFT_TOLERANCE) continue;
+        findings.push({
+            expenseId,
+            issue: 'missing_refund',
+            difference: ledger.budgetDelta,
+            correction: {
+                type: 'adjustment',
+                amount: Math.abs(ledger.budgetDelta),
+                legs: Object.entries(ledger.categories)
+                    .filter(([, amount]) => Math.abs(amount) > DRIFT_TOLERANCE)
+                    .map(([category, amount]) => ({ category, amount: -amount })),
+                budgetDelta: -ledger.budgetDelta,
+                expenseId,
+                note: 'Đối soát: hoàn tiền cho giao dịch đã xóa',
+            },
+        });
+    }
+    return findings;
+};
+
+// Check one user; with `repair`, first align stored balances to the ledger,
+// then post correcting entries for expenses the ledger disagrees with.
+const reconcileUser = async (userId, { repair = false } = {}) => withTransaction(async (session) => {
+    const user = await User.findById(userId).session(session);
+    if (!user) return null;
+
+    const { consistent, ledger, drift } = await verifyBalances(user, session);
+    const expenseDrift = await findExpenseDrift(userId, session);
+    const report = {
+        userId: user._id,
+        username: user.username,
+        balanceDrift: drift,
+        expenseDrift: expenseDrift.map(({ correction, ...finding }) => finding),
+        repaired: false,
+    };
+    if (!repair || (consistent && expenseDrift.length === 0)) return report;
+
+    if (!consistent) {
+        const set = { initialBudget: ledger.initialBudget };
+        for (const key of user.allocations.keys()) {
+            set[`allocations.${key}`] = ledger.allocations[key] || 0;
+        }
+        for (const [key, amount] of Object.entries(ledger.allocations)) {
+            set[`allocations.${key}`] = amount;
+        }
+        await User.updateOne({ _id: user._id }, { $set: set }, { session });
+    }
+    if (expenseDrift.length > 0) {
+        await postTransactions(user._id, expenseDrift.map(finding => finding.correction), { session });
+    }
+    report.repaired = true;
+    return report;
+});
+
+const reconcileAll = async ({ repair = false, userIds = null } = {}) => {
+    const ids = userIds || (await User.find({}, '_id').lean()).map(u => u._id);
+    const reports = [];
+    for (const id of ids) {
+        const report = await reconcileUser(id, { repair });
+        if (report) reports.push(report);
+    }
+    return reports;
+};
+
+module.exports = { findExpenseDrift, reconcileUser, reconcileAll };
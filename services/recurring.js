@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const RecurringRule = require('../models/RecurringRule');
+const { withTransaction } = require('../config/db');
+const { AppError } = require('../utils/errors');
+const { formatExpenseDate } = require('../utils/date');
+const { resolveAllocationRule, depositIncome, createExpense } = require('./budget');
+const { nextOccurrence } = require('./schedule');
+const { invalidateReports } = require('./reportCache');
+const { checkBudgetAlerts } = require('./alerts');
+const { recordEvent, publishEvents } = require('./events');
+
+// A rule that was down for years should not flood one run; the rest is picked up next tick
+const MAX_CATCH_UP = 400;
+const LOCK_MS = 5 * 60 * 1000;
+const HISTORY_LIMIT = 50;
+const DUPLICATE_KEY = 11000;
+
+// Another worker already advanced this occurrence
+class OccurrenceTakenError extends AppError {
+    constructor() {
+        super('Lần chạy đã được xử lý', 409);
+    }
+}
+
+const nextRunAfter = (rule, occurrenceAt) => {
+    const next = nextOccurrence(rule.schedule, occurrenceAt);
+    return next && (!rule.endDate || next <= rule.endDate) ? next : null;
+};
+
+// Advance the rule past `occurrenceAt`; only succeeds if nobody else did it first
+const recordOccurrence = async (rule, occurrenceAt, entry, session = null) => {
+    const result = await RecurringRule.updateOne(
+        { _id: rule._id, nextRunAt: occurrenceAt },
+        {
+            $set: { nextRunAt: nextRunAfter(rule, occurrenceAt), lastRunAt: occurrenceAt },
+            $inc: { occurrences: entry.status === 'created' ? 1 : 0 },
+            $pull: { skipDates: occurrenceAt },
+            $push: { history: { $each: [{ occurrenceAt, ...entry }], $slice: -HISTORY_LIMIT } },
+        },
+        { session }
+    );
+    if (result.modifiedCount === 0) throw new OccurrenceTakenError();
+};
+
+// Create the expense or deposit for one occurrence through the normal budget logic;
+// returns the history entry and the event to publish after the commit
+const createOccurrence = async (rule, occurrenceAt, session) => {
+    const source = { recurringRuleId: rule._id, occurrenceAt };
+    if (rule.kind === 'expense') {
+        const expense = await createExpense(rule.userId, {
+            amount: rule.amount,
+            currency: rule.currency,
+            category: rule.category,
+            purpose: rule.purpose,
+            location: rule.location,
+            date: formatExpenseDate(occurrenceAt),
+            ...source,
+        }, session);
+        return {
+            entry: { expenseId: expense._id },
+            outbox: await recordEvent(rule.userId, 'expense.created', expense.toObject(), session),
+        };
+    }
+
+    const user = await User.findById(rule.userId).session(session);
+    if (!user) throw new AppError('Người dùng không tồn tại');
+    const { rule: split, error } = resolveAllocationRule(user, rule.preset ? { preset: rule.preset } : {});
+    if (error) throw new AppError(error);
+    const { transaction } = await depositIncome(rule.userId, rule.amount, {
+        rule: split,
+        note: rule.name,
+        timestamp: occurrenceAt,
+        ...source,
+    }, session);
+    return {
+        entry: { transactionId: transaction._id },
+        outbox: await recordEvent(rule.userId, 'budget.deposited', { amount: transaction.amount, transaction: transaction.toObject() }, session),
+    };
+};
+
+const materializeOccurrence = async (rule, occurrenceAt) => {
+    if (rule.skipDates.some(d => d.getTime() === occurrenceAt.getTime())) {
+        await recordOccurrence(rule, occurrenceAt, { status: 'skipped' }).catch(ignoreTaken);
+        return;
+    }
+
+    let outbox;
+    try {
+        outbox = await withTransaction(async (session) => {
+            const created = await createOccurrence(rule, occurrenceAt, session);
+            await recordOccurrence(rule, occurrenceAt, { status: 'created', ...created.entry }, session);
+            return created.outbox;
+        });
+    } catch (error) {
+        if (error instanceof OccurrenceTakenError) return;
+        if (error.code === DUPLICATE_KEY) {
+            // Created by an earlier run that died before advancing the rule
+            await recordOccurrence(rule, occurrenceAt, { status: 'created' }).catch(ignoreTaken);
+            return;
+        }
+        if (error instanceof AppError) {
+            // Over budget or archived category: log it on the rule and move on
+            await recordOccurrence(rule, occurrenceAt, { status: 'failed', error: error.message }).catch(ignoreTaken);
+            return;
+        }
+        throw error;
+    }
+
+    await publishEvents(outbox);
+};
+
+const ignoreTaken = (error) => {
+    if (!(error instanceof OccurrenceTakenError)) throw error;
+};
+
+// Materialize every occurrence that is due, including ones missed while the server was down
+const processDueRules = async (now = new Date()) => {
+    const seen = [];
+    for (;;) {
+        const rule = await RecurringRule.findOneAndUpdate(
+            {
+                _id: { $nin: seen },
+                paused: false,
+                nextRunAt: { $ne: null, $lte: now },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            },
+            { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } },
+            { new: true, sort: { nextRunAt: 1 } }
+        );
+        if (!rule) break;
+        seen.push(rule._id);
+
+        try {
+            let current = rule;
+            for (let count = 0; count < MAX_CATCH_UP && current && !current.paused
+                && current.nextRunAt && current.nextRunAt <= now; count++) {
+                await materializeOccurrence(current, current.nextRunAt);
+                current = await RecurringRule.findById(rule._id);
+            }
+            await invalidateReports(rule.userId);
+            await checkBudgetAlerts(rule.userId);
+        } catch (error) {
+            console.error(`Lỗi chạy giao dịch định kỳ ${rule._id}:`, error);
+        } finally {
+            await RecurringRule.updateOne({ _id: rule._id }, { $set: { lockedUntil: null } });
+        }
+    }
+    return seen.length;
+};
+
+module.exports = { processDueRules, materializeOccurrence, nextRunAfter };
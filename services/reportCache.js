@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+
+const REPORT_CACHE_TTL = 60 * 60; // seconds
+
+// Each user has a version counter; bumping it orphans every cached report at once
+const versionKey = (userId) => `reports:version:${userId}`;
+
+const paramsHash = (params) => {
+    const sorted = Object.keys(params).sort().reduce((acc, key) => ({ ...acc, [key]: params[key] }), {});
+    return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex');
+};
+
+// Return the cached report, or compute and cache it. Works without Redis, just uncached.
+const cachedReport = async (userId, name, params, compute) => {
+    const redisClient = getRedisClient();
+    let key = null;
+    // A client that is reconnecting queues commands instead of failing them
+    if (redisClient?.isReady) {
+        try {
+            const version = (await redisClient.get(versionKey(userId))) || '0';
+            key = `reports:${userId}:${version}:${name}:${paramsHash(params)}`;
+            const cached = await redisClient.get(key);
+            if (cached) return JSON.parse(cached);
+        } catch (error) {
+            console.error('Lỗi đọc bộ nhớ đệm báo cáo:', error);
+            key = null;
+        }
+    }
+
+    const result = await compute();
+    if (key) {
+        try {
+            await redisClient.setEx(key, REPORT_CACHE_TTL, JSON.stringify(result));
+        } catch (error) {
+            console.error('Lỗi ghi bộ nhớ đệm báo cáo:', error);
+        }
+    }
+    return result;
+};
+
+// Call after anything that changes a user's expenses or balances
+const invalidateReports = async (userId) => {
+    const redisClient = getRedisClient();
+    if (!redisClient?.isReady) return;
+    try {
+        await redisClient.incr(versionKey(userId));
+    } catch (error) {
+        console.error('Lỗi xóa bộ nhớ đệm báo cáo:', error);
+    }
+};
+
+module.exports = { cachedReport, invalidateReports };
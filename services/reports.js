@@ -0,0 +1,147 @@
+const Expense = require('../models/Expense');
+const { findCategory } = require('../utils/categories');
+
+const REPORT_TIMEZONE = process.env.REPORT_TIMEZONE || 'Asia/Ho_Chi_Minh';
+const INTERVALS = ['day', 'week', 'month', 'year'];
+
+const percent = (part, whole) => (whole > 0 ? Math.round(part / whole * 10000) / 100 : 0);
+
+// Top-level ancestor of a category, used to roll subcategories up into their jar
+const rootCategory = (user, key) => {
+    let category = findCategory(user, key);
+    while (category && category.parent) {
+        const parent = findCategory(user, category.parent);
+        if (!parent) break;
+        category = parent;
+    }
+    return category ? category.key : key;
+};
+
+const totalsByCategory = async (user, filter, { rollup = false } = {}) => {
+    const rows = await Expense.aggregate([
+        { $match: filter },
+        { $group: { _id: '$category', total: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ]);
+
+    const merged = new Map();
+    for (const row of rows) {
+        const key = rollup ? rootCategory(user, row._id) : row._id;
+        const entry = merged.get(key) || { category: key, total: 0, count: 0 };
+        entry.total += row.total;
+        entry.count += row.count;
+        merged.set(key, entry);
+    }
+
+    const grandTotal = rows.reduce((sum, row) => sum + row.total, 0);
+    return Array.from(merged.values())
+        .map(entry => {
+            const category = findCategory(user, entry.category);
+            return { ...entry, name: category ? category.name : entry.category, share: percent(entry.total, grandTotal) };
+        })
+        .sort((a, b) => b.total - a.total);
+};
+
+const timeline = async (filter, interval = 'month') => {
+    const truncate = { date: '$timestamp', unit: interval, timezone: REPORT_TIMEZONE };
+    if (interval === 'week') truncate.startOfWeek = 'monday';
+    const rows = await Expense.aggregate([
+        { $match: filter },
+        {
+            $group: {
+                _id: { period: { $dateTrunc: truncate }, category: '$category' },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 },
+            }
+        },
+        {
+            $group: {
+                _id: '$_id.period',
+                total: { $sum: '$total' },
+                count: { $sum: '$count' },
+                categories: { $push: { category: '$_id.category', total: '$total' } },
+            }
+        },
+        { $sort: { _id: 1 } },
+    ]);
+
+    return rows.map(row => ({
+        period: row._id,
+        total: row.total,
+        count: row.count,
+        byCategory: Object.fromEntries(row.categories.map(c => [c.category, c.total])),
+    }));
+};
+
+// Group by a free-text field, case-insensitively, largest totals first
+const topValues = async (filter, field, limit) => {
+    const rows = await Expense.aggregate([
+        { $match: { ...filter, [field]: { $nin: ['', '-', null] } } },
+        {
+            $group: {
+                _id: { $toLower: { $trim: { input: `$${field}` } } },
+                label: { $first: `$${field}` },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 },
+                lastSeen: { $max: '$timestamp' },
+            }
+        },
+        { $sort: { total: -1 } },
+        { $limit: limit },
+    ]);
+    return rows.map(row => ({ [field]: row.label, total: row.total, count: row.count, lastSeen: row.lastSeen }));
+};
+
+// The period immediately before [start, end] with the same length
+const previousPeriod = (start, end) => {
+    const length = end.getTime() - start.getTime();
+    const previousEnd = new Date(start.getTime() - 1);
+    return { start: new Date(previousEnd.getTime() - length), end: previousEnd };
+};
+
+const compareTotals = (current, previous) => {
+    const keys = new Set([...current.map(c => c.category), ...previous.map(p => p.category)]);
+    return Array.from(keys).map(category => {
+        const now = current.find(c => c.category === category);
+        const before = previous.find(p => p.category === category);
+        const currentTotal = now ? now.total : 0;
+        const previousTotal = before ? before.total : 0;
+        return {
+            category,
+            name: (now || before).name,
+            current: currentTotal,
+            previous: previousTotal,
+            change: currentTotal - previousTotal,
+            changePercent: previousTotal > 0 ? percent(currentTotal - previousTotal, previousTotal) : null,
+        };
+    }).sort((a, b) => b.current - a.current);
+};
+
+// How much of each jar has been used: spent in the period against spent plus what is left
+const allocationUsage = async (user, filter) => {
+    const spent = await totalsByCategory(user, filter);
+    return user.categories
+        .filter(c => !c.archived)
+        .map(category => {
+            const entry = spent.find(s => s.category === category.key);
+            const used = entry ? entry.total : 0;
+            const remaining = user.allocations.get(category.key) || 0;
+            return {
+                category: category.key,
+                name: category.name,
+                parent: category.parent,
+                spent: used,
+                remaining,
+                usedPercent: percent(used, used + remaining),
+            };
+        });
+};
+
+module.exports = {
+    INTERVALS,
+    totalsByCategory,
+    timeline,
+    topValues,
+    previousPeriod,
+    compareTotals,
+    allocationUsage,
+};
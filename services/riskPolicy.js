@@ -0,0 +1,105 @@
+const { ASSET_CLASSES } = require('../models/Investment');
+
+const RISK_RULES = ['fundingBudget', 'maxAssetPercent', 'maxAssetClassPercent', 'minEmergencyReserve'];
+const RISK_MODES = ['hard', 'soft'];
+
+// Matches the checks addInvestment always made: buys are funded from selfInvestment
+// plus emergency, and one asset should stay under 10% of everything the user holds
+const DEFAULT_RISK_POLICY = [
+    { rule: 'fundingBudget', mode: 'hard' },
+    { rule: 'maxAssetPercent', mode: 'soft', limit: 10 },
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Returns an error message, or null if the rules are valid
+const validateRiskPolicy = (rules) => {
+    if (!Array.isArray(rules)) return 'Chính sách rủi ro phải là một danh sách quy tắc';
+    for (const [i, r] of rules.entries()) {
+        if (!r || !RISK_RULES.includes(r.rule)) return `Quy tắc #${i + 1} không hợp lệ`;
+        if (!RISK_MODES.includes(r.mode)) return `Mức độ của quy tắc #${i + 1} phải là hard hoặc soft`;
+        if (r.rule === 'fundingBudget') continue;
+        if (typeof r.limit !== 'number' || !Number.isFinite(r.limit) || r.limit < 0) {
+            return `Giới hạn của quy tắc #${i + 1} không hợp lệ`;
+        }
+        if (r.rule !== 'minEmergencyReserve' && r.limit > 100) {
+            return `Giới hạn phần trăm của quy tắc #${i + 1} không được vượt quá 100`;
+        }
+        if (r.assetClass && !ASSET_CLASSES.includes(r.assetClass)) {
+            return `Loại tài sản của quy tắc #${i + 1} không hợp lệ`;
+        }
+    }
+    return null;
+};
+
+// Check a buy against every rule of the user's policy.
+// `holdings` are summarizeHoldings() rows valued at current prices.
+const evaluateBuy = (user, holdings, trade) => {
+    const balance = (key) => user.allocations.get(key) || 0;
+    const cash = Array.from(user.allocations.values()).reduce((sum, val) => sum + val, 0);
+    const invested = holdings.reduce((sum, h) => sum + h.marketValue, 0);
+    // Everything the user holds once the buy is made
+    const total = cash + invested + trade.amount;
+    const share = (value) => (total > 0 ? round(value / total * 100) : 0);
+
+    return user.riskPolicy.map(({ rule, mode, limit, asset, assetClass }) => {
+        const outcome = { rule, mode, limit: limit ?? null, asset: asset || null, assetClass: assetClass || null };
+
+        if (rule === 'fundingBudget') {
+            const budget = balance('selfInvestment') + balance('emergency');
+            return {
+                ...outcome,
+                limit: budget,
+                actual: trade.amount,
+                passed: trade.amount <= budget,
+                message: `Số tiền vượt quá ngân sách đầu tư (${budget} ${user.baseCurrency})`,
+            };
+        }
+
+        if (rule === 'maxAssetPercent') {
+            if (asset && asset !== trade.asset) return null;
+            const held = holdings.find(h => h.asset === trade.asset);
+            const actual = share((held ? held.marketValue : 0) + trade.amount);
+            return {
+                ...outcome,
+                actual,
+                passed: actual <= limit,
+                message: `Cảnh báo: ${trade.asset} nên chiếm dưới ${limit}% tổng danh mục (sau giao dịch: ${actual}%)`,
+            };
+        }
+
+        if (rule === 'maxAssetClassPercent') {
+            if (assetClass && assetClass !== trade.assetClass) return null;
+            const held = holdings
+                .filter(h => h.assetClass === trade.assetClass)
+                .reduce((sum, h) => sum + h.marketValue, 0);
+            const actual = share(held + trade.amount);
+            return {
+                ...outcome,
+                actual,
+                passed: actual <= limit,
+                message: `Cảnh báo: nhóm ${trade.assetClass} nên chiếm dưới ${limit}% tổng danh mục (sau giao dịch: ${actual}%)`,
+            };
+        }
+
+        // minEmergencyReserve: selfInvestment pays first, the rest comes out of emergency
+        const actual = balance('emergency') - Math.max(0, trade.amount - balance('selfInvestment'));
+        return {
+            ...outcome,
+            actual,
+            passed: actual >= limit,
+            message: `Quỹ khẩn cấp phải còn ít nhất ${limit} ${user.baseCurrency} (sau giao dịch: ${actual} ${user.baseCurrency})`,
+        };
+    })
+        .filter(Boolean)
+        // Messages only explain failures
+        .map(outcome => (outcome.passed ? { ...outcome, message: null } : outcome));
+};
+
+module.exports = {
+    RISK_RULES,
+    RISK_MODES,
+    DEFAULT_RISK_POLICY,
+    validateRiskPolicy,
+    evaluateBuy,
+};
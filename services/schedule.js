@@ -0,0 +1,86 @@
+const cronParser = require('cron-parser');
+
+const SCHEDULE_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'Asia/Ho_Chi_Minh';
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Returns an error message, or null if the schedule is usable
+const validateSchedule = (schedule) => {
+    if (!schedule || !FREQUENCIES.includes(schedule.frequency)) {
+        return `Tần suất không hợp lệ (${FREQUENCIES.join(', ')})`;
+    }
+    if (schedule.frequency === 'cron') {
+        try {
+            cronParser.parseExpression(schedule.cron || '', { tz: SCHEDULE_TIMEZONE });
+        } catch (error) {
+            return `Biểu thức cron không hợp lệ: ${error.message}`;
+        }
+    }
+    return null;
+};
+
+// Same day of month `months` later, clamped to the month end (31st -> 28/29/30)
+const addMonths = (date, months, dayOfMonth) => {
+    const target = new Date(date);
+    target.setDate(1);
+    target.setMonth(target.getMonth() + months);
+    target.setDate(Math.min(dayOfMonth, daysInMonth(target.getFullYear(), target.getMonth())));
+    return target;
+};
+
+// First occurrence at or after `from`
+const firstOccurrence = (schedule, from) => {
+    const start = new Date(from);
+    if (schedule.frequency === 'cron') {
+        const it = cronParser.parseExpression(schedule.cron, { currentDate: new Date(start.getTime() - 1000), tz: SCHEDULE_TIMEZONE });
+        return it.next().toDate();
+    }
+    if (schedule.frequency === 'weekly' && schedule.dayOfWeek !== undefined && schedule.dayOfWeek !== null) {
+        start.setDate(start.getDate() + ((schedule.dayOfWeek - start.getDay() + 7) % 7));
+    }
+    if (schedule.frequency === 'monthly' && schedule.dayOfMonth) {
+        const sameMonth = addMonths(start, 0, schedule.dayOfMonth);
+        return sameMonth >= start ? sameMonth : addMonths(start, 1, schedule.dayOfMonth);
+    }
+    return start;
+};
+
+// The occurrence after `previous`
+const nextOccurrence = (schedule, previous) => {
+    const interval = schedule.interval || 1;
+    const next = new Date(previous);
+    switch (schedule.frequency) {
+        case 'daily':
+            next.setDate(next.getDate() + interval);
+            return next;
+        case 'weekly':
+            next.setDate(next.getDate() + 7 * interval);
+            return next;
+        case 'monthly':
+            return addMonths(previous, interval, schedule.dayOfMonth || previous.getDate());
+        case 'cron':
+            return cronParser.parseExpression(schedule.cron, { currentDate: previous, tz: SCHEDULE_TIMEZONE }).next().toDate();
+        default:
+            return null;
+    }
+};
+
+// Up to `count` occurrences starting at `from`, stopping at `endDate`
+const upcomingOccurrences = (schedule, from, endDate, count) => {
+    const result = [];
+    let current = from;
+    while (current && result.length < count && (!endDate || current <= endDate)) {
+        result.push(current);
+        current = nextOccurrence(schedule, current);
+    }
+    return result;
+};
+
+module.exports = {
+    FREQUENCIES,
+    validateSchedule,
+    firstOccurrence,
+    nextOccurrence,
+    upcomingOccurrences,
+};
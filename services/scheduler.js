@@ -0,0 +1,40 @@
+// Runs periodic background jobs inside the web process.
+// Jobs must be safe to run on several instances at once (claim work atomically in Mongo).
+const TICK_MS = 30 * 1000;
+
+const jobs = [];
+let timer = null;
+
+const registerJob = (name, intervalMs, fn) => {
+    jobs.push({ name, intervalMs, fn, running: false, lastRun: 0 });
+};
+
+const tick = async () => {
+    const now = Date.now();
+    for (const job of jobs) {
+        if (job.running || now - job.lastRun < job.intervalMs) continue;
+        job.running = true;
+        job.lastRun = now;
+        try {
+            await job.fn();
+        } catch (error) {
+            console.error(`Lỗi tác vụ nền ${job.name}:`, error);
+        } finally {
+            job.running = false;
+        }
+    }
+};
+
+const startScheduler = () => {
+    if (timer || process.env.SCHEDULER_ENABLED === 'false') return;
+    timer = setInterval(tick, TICK_MS);
+    tick();
+    console.log(`Đã khởi động ${jobs.length} tác vụ nền`);
+};
+
+const stopScheduler = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+};
+
+module.exports = { registerJob, startScheduler, stopScheduler };
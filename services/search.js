@@ -0,0 +1,37 @@
+const { normalizeSearchText, escapeRegex } = require('../utils/text');
+const { AppError } = require('../utils/errors');
+
+// Expense search adapters share one interface: { name, ranked, condition(terms) }.
+// `terms` is the accent-free query; `condition` returns a Mongo filter over Expense.searchText.
+// `ranked` adapters can order results by { score: { $meta: 'textScore' } }.
+const ADAPTERS = {
+    // Whole words through the text index, ranked by relevance
+    text: {
+        name: 'text',
+        ranked: true,
+        condition: (terms) => ({ $text: { $search: terms } }),
+    },
+    // Every word as a prefix ("ph" finds "phở"), for search-as-you-type; ordered by date only
+    prefix: {
+        name: 'prefix',
+        ranked: false,
+        condition: (terms) => ({
+            $and: terms.split(' ').map(term => ({ searchText: { $regex: `(^|\\s)${escapeRegex(term)}` } })),
+        }),
+    },
+};
+
+const getSearchAdapter = () => {
+    const name = process.env.SEARCH_ADAPTER || 'text';
+    const adapter = ADAPTERS[name];
+    if (!adapter) throw new AppError(`Bộ tìm kiếm không hợp lệ: ${name}`, 500);
+    return adapter;
+};
+
+// Filter fragment for a free-text search, or null when the query has no searchable characters
+const searchCondition = (search) => {
+    const terms = normalizeSearchText(search);
+    return terms ? getSearchAdapter().condition(terms) : null;
+};
+
+module.exports = { ADAPTERS, getSearchAdapter, searchCondition };
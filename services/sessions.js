@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { getRedisClient } = require('../config/redis');
+const { AppError } = require('../utils/errors');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+// Revoked session ids are remembered in Redis for at least an access token's lifetime
+const REVOCATION_TTL = 24 * 60 * 60; // seconds
+const MAX_ROTATED_HASHES = 20;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const revokedKey = (sessionId) => `auth:revoked:${sessionId}`;
+
+const clientInfo = (req) => ({
+    userAgent: (req.get('User-Agent') || '').slice(0, 300),
+    ip: req.ip || '',
+});
+
+// Start a session for a successful login: { token, refreshToken }
+const createSession = async (userId, req) => {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await Session.create({
+        userId,
+        tokenHash: hashSecret(secret),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req),
+    });
+    return {
+        token: signAccessToken(userId, session._id),
+        refreshToken: `${session._id}.${secret}`,
+    };
+};
+
+const markRevoked = async (sessionIds) => {
+    const redisClient = getRedisClient();
+    // A client that is reconnecting queues commands instead of failing them
+    if (!redisClient?.isReady) return;
+    try {
+        await Promise.all(sessionIds.map(id => redisClient.setEx(revokedKey(id), REVOCATION_TTL, '1')));
+    } catch (error) {
+        console.error('Lỗi ghi phiên bị thu hồi:', error);
+    }
+};
+
+const revokeSession = async (userId, sessionId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    if (result.modifiedCount > 0) await markRevoked([sessionId]);
+    return result.modifiedCount > 0;
+};
+
+// `except` keeps one session signed in, e.g. the one that just changed the password
+const revokeAllSessions = async (userId, { reason = 'logout-all', except = null } = {}) => {
+    const filter = { userId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+    const active = await Session.find(filter, '_id').lean();
+    await Session.updateMany(
+        filter,
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await markRevoked(active.map(s => String(s._id)));
+    return active.length;
+};
+
+// Swap a refresh token for a new pair. A token that was already rotated away means
+// someone else holds a copy, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new AppError('Refresh token không hợp lệ', 401);
+    }
+    const hash = hashSecret(secret);
+    const newSecret = crypto.randomBytes(32).toString('hex');
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, tokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: { tokenHash: hashSecret(newSecret), lastUsedAt: new Date(), expiresAt: refreshExpiry(), ...clientInfo(req) },
+            $push: { rotatedHashes: { $each: [hash], $slice: -MAX_ROTATED_HASHES } },
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOne({ _id: sessionId, rotatedHashes: hash, revokedAt: null });
+        if (reused) {
+            console.warn(`Phát hiện refresh token bị dùng lại, thu hồi phiên ${sessionId}`);
+            await revokeSession(reused.userId, reused._id, 'reuse');
+        }
+        throw new AppError('Refresh token không hợp lệ', 401);
+    }
+
+    return {
+        token: signAccessToken(session.userId, session._id),
+        refreshToken: `${session._id}.${newSecret}`,
+    };
+};
+
+// Checked on every authenticated request; Redis when available, otherwise Mongo
+const isSessionRevoked = async (sessionId) => {
+    const redisClient = getRedisClient();
+    if (redisClient?.isReady) {
+        try {
+            return (await redisClient.exists(revokedKey(sessionId))) === 1;
+        } catch (error) {
+            console.error('Lỗi đọc phiên bị thu hồi:', error);
+        }
+    }
+    return !(await Session.exists({ _id: sessionId, revokedAt: null }));
+};
+
+const listSessions = (userId) => Session.find(
+    { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+    'userAgent ip createdAt lastUsedAt expiresAt'
+).sort({ lastUsedAt: -1 }).lean();
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isSessionRevoked,
+    listSessions,
+};
@@ -0,0 +1,103 @@
+const { candles } = require('./priceHistory');
+const { AppError } = require('../utils/errors');
+const { toDateKey } = require('../utils/date');
+
+const DCA_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly'];
+const MAX_BUYS = 5000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Purchase dates from `start` up to and including `end`
+const buyDates = (start, end, frequency) => {
+    const dates = [];
+    for (let i = 0; dates.length <= MAX_BUYS; i++) {
+        const date = new Date(start);
+        if (frequency === 'daily') date.setDate(start.getDate() + i);
+        if (frequency === 'weekly') date.setDate(start.getDate() + i * 7);
+        if (frequency === 'biweekly') date.setDate(start.getDate() + i * 14);
+        if (frequency === 'monthly') date.setMonth(start.getMonth() + i);
+        if (date > end) break;
+        dates.push(date);
+    }
+    if (dates.length > MAX_BUYS) throw new AppError(`Mô phỏng tối đa ${MAX_BUYS} lần mua`);
+    return dates;
+};
+
+// Largest fall of value/invested from its running peak, in percent. Dividing by the
+// amount invested keeps new DCA contributions from hiding losses.
+const maxDrawdown = (series, valueKey, investedKey) => {
+    let peak = 0, worst = 0;
+    for (const point of series) {
+        if (point[investedKey] <= 0) continue;
+        const ratio = point[valueKey] / point[investedKey];
+        peak = Math.max(peak, ratio);
+        worst = Math.max(worst, (peak - ratio) / peak);
+    }
+    return round(worst * 100);
+};
+
+const strategyResult = (units, invested, price, buys, drawdown) => ({
+    buys,
+    units,
+    invested: round(invested),
+    averageCost: units > 0 ? round(invested / units) : 0,
+    value: round(units * price),
+    pnl: round(units * price - invested),
+    returnPercent: invested > 0 ? round((units * price - invested) / invested * 100) : 0,
+    maxDrawdownPercent: drawdown,
+});
+
+// Replay periodic buys of `amount` against stored daily closes, next to investing
+// the same total on the first buy date. A buy fills at the first close on or after its date.
+const simulateDca = async ({ asset, quote, amount, frequency, start, end }) => {
+    const daily = await candles({ asset, quote, from: start, to: new Date(end.getTime() + 24 * 60 * 60 * 1000), interval: 'daily' });
+    if (daily.length === 0) {
+        throw new AppError(`Chưa có dữ liệu giá ${asset}/${quote} trong khoảng thời gian này`, 422);
+    }
+
+    // Buys after the last stored price cannot fill
+    const dates = buyDates(start, end, frequency);
+    const pending = dates.filter(date => date <= daily[daily.length - 1].time);
+    const totalBudget = amount * pending.length;
+    const series = [];
+    let dcaUnits = 0, dcaInvested = 0, dcaBuys = 0;
+    let lumpUnits = 0;
+
+    for (const candle of daily) {
+        while (pending.length > 0 && pending[0] <= candle.time) {
+            pending.shift();
+            dcaUnits += amount / candle.close;
+            dcaInvested += amount;
+            dcaBuys += 1;
+        }
+        if (lumpUnits === 0 && dcaBuys > 0) lumpUnits = totalBudget / candle.close;
+        if (dcaBuys === 0) continue;
+
+        series.push({
+            date: toDateKey(candle.time),
+            price: candle.close,
+            dcaInvested: round(dcaInvested),
+            dcaValue: round(dcaUnits * candle.close),
+            lumpSumInvested: round(totalBudget),
+            lumpSumValue: round(lumpUnits * candle.close),
+        });
+    }
+
+    const lastPrice = daily[daily.length - 1].close;
+    return {
+        asset,
+        quote,
+        frequency,
+        amountPerBuy: amount,
+        start,
+        end,
+        unfilledBuys: dates.length - dcaBuys,
+        dca: strategyResult(dcaUnits, dcaInvested, lastPrice, dcaBuys,
+            maxDrawdown(series, 'dcaValue', 'dcaInvested')),
+        lumpSum: strategyResult(lumpUnits, totalBudget, lastPrice, lumpUnits > 0 ? 1 : 0,
+            maxDrawdown(series, 'lumpSumValue', 'lumpSumInvested')),
+        series,
+    };
+};
+
+module.exports = { DCA_FREQUENCIES, buyDates, maxDrawdown, simulateDca };
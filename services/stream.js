@@ -0,0 +1,105 @@
+const { getRedisClient } = require('../config/redis');
+
+// Server-sent event fan-out. Every instance keeps its own open responses per channel;
+// messages go through Redis pub/sub so a client connected to any instance receives
+// events produced on all of them. Without Redis, messages stay on this instance.
+const CHANNEL_PREFIX = 'stream:';
+const HEARTBEAT_MS = 25 * 1000;
+
+// channel -> Set of open responses
+const listeners = new Map();
+let subscriber = null;
+
+const budgetChannel = (budgetId) => `budget:${budgetId}`;
+const PRICES_CHANNEL = 'prices';
+
+const writeMessage = (res, { id, type, data }) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const deliverLocally = (channel, message) => {
+    for (const res of listeners.get(channel) || []) writeMessage(res, message);
+};
+
+// Subscribe once per instance on a dedicated connection; a subscribed client cannot run other commands
+const startStreamFanout = async () => {
+    const redisClient = getRedisClient();
+    if (!redisClient || subscriber) return;
+    try {
+        subscriber = redisClient.duplicate();
+        subscriber.on('error', (error) => console.error('Lỗi Redis (stream):', error));
+        await subscriber.connect();
+        await subscriber.pSubscribe(`${CHANNEL_PREFIX}*`, (raw, channel) => {
+            try {
+                deliverLocally(channel.slice(CHANNEL_PREFIX.length), JSON.parse(raw));
+            } catch (error) {
+                console.error('Lỗi đọc tin nhắn stream:', error);
+            }
+        });
+    } catch (error) {
+        console.error('Không thể đăng ký kênh stream trên Redis:', error);
+        subscriber = null;
+    }
+};
+
+// { id?, type, data } to every client listening on `channel`, on every instance
+const broadcast = async (channel, message) => {
+    const redisClient = getRedisClient();
+    if (redisClient?.isReady && subscriber?.isReady) {
+        try {
+            await redisClient.publish(`${CHANNEL_PREFIX}${channel}`, JSON.stringify(message));
+            return;
+        } catch (error) {
+            console.error('Lỗi phát tin nhắn stream:', error);
+        }
+    }
+    deliverLocally(channel, message);
+};
+
+// Keep `res` open as an event stream on `channels` until the client goes away or `closeAt`
+const openStream = (req, res, channels, { closeAt = null } = {}) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Proxies such as nginx would otherwise buffer the stream
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: 3000\n\n`);
+    writeMessage(res, { type: 'ready', data: { channels } });
+
+    for (const channel of channels) {
+        if (!listeners.has(channel)) listeners.set(channel, new Set());
+        listeners.get(channel).add(res);
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    // Streams end when the access token does; the client reconnects with a fresh one
+    const expiry = closeAt ? setTimeout(() => {
+        writeMessage(res, { type: 'token-expired', data: {} });
+        res.end();
+    }, Math.max(0, closeAt.getTime() - Date.now())) : null;
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        if (expiry) clearTimeout(expiry);
+        for (const channel of channels) {
+            const set = listeners.get(channel);
+            if (!set) continue;
+            set.delete(res);
+            if (set.size === 0) listeners.delete(channel);
+        }
+    };
+    req.on('close', cleanup);
+    res.on('finish', cleanup);
+};
+
+module.exports = {
+    PRICES_CHANNEL,
+    budgetChannel,
+    startStreamFanout,
+    broadcast,
+    openStream,
+};
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const TwoFactorChallenge = require('../models/TwoFactorChallenge');
+const { getRedisClient } = require('../config/redis');
+const { AppError } = require('../utils/errors');
+const { verifyCode } = require('../utils/totp');
+const secretBox = require('../utils/secretBox');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const CHALLENGE_PURPOSE = '2fa';
+// Wrong codes allowed per user within the lockout window
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_SECONDS = 5 * 60;
+
+// Recovery codes are compared case- and dash-insensitively
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+    .digest('hex');
+
+// Plain codes to show once, e.g. "3f9a-7c21", and the hashes to store
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Accept a TOTP code once per time step, claimed atomically so a code cannot be replayed
+const consumeTotp = async (user, secret, code) => {
+    const step = verifyCode(secretBox.open(secret), code);
+    if (step === null) return false;
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1;
+};
+
+const consumeRecoveryCode = async (user, recoveryCode) => {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1;
+};
+
+const attemptsKey = (userId) => `auth:2fa-failures:${userId}`;
+
+// Six digit codes are guessable without a limit. Failures are counted in Redis; while it
+// is unavailable (a reconnecting client queues commands instead of failing them) the
+// count lives on the user document with the same window.
+const checkAttempts = async (userId) => {
+    const redisClient = getRedisClient();
+    let failures;
+    if (redisClient?.isReady) {
+        failures = parseInt(await redisClient.get(attemptsKey(userId)), 10) || 0;
+    } else {
+        const user = await User.findById(userId, 'twoFactor.failedAttempts twoFactor.failedSince');
+        const since = user?.twoFactor.failedSince;
+        failures = since && since.getTime() > Date.now() - LOCKOUT_SECONDS * 1000 ? user.twoFactor.failedAttempts : 0;
+    }
+    if (failures >= MAX_FAILED_ATTEMPTS) {
+        throw new AppError('Nhập sai mã quá nhiều lần, vui lòng thử lại sau', 429);
+    }
+};
+
+const recordFailure = async (userId) => {
+    const redisClient = getRedisClient();
+    if (redisClient?.isReady) {
+        const failures = await redisClient.incr(attemptsKey(userId));
+        if (failures === 1) await redisClient.expire(attemptsKey(userId), LOCKOUT_SECONDS);
+        return;
+    }
+    // Count within the open window, or start a new one
+    const windowStart = new Date(Date.now() - LOCKOUT_SECONDS * 1000);
+    const counted = await User.updateOne(
+        { _id: userId, 'twoFactor.failedSince': { $gt: windowStart } },
+        { $inc: { 'twoFactor.failedAttempts': 1 } }
+    );
+    if (counted.modifiedCount === 0) {
+        await User.updateOne({ _id: userId }, { $set: { 'twoFactor.failedAttempts': 1, 'twoFactor.failedSince': new Date() } });
+    }
+};
+
+// Check a second factor for a user with 2FA on; returns how it was satisfied, or null
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+    await checkAttempts(user._id);
+    if (code && await consumeTotp(user, user.twoFactor.secret, code)) return 'totp';
+    if (recoveryCode && await consumeRecoveryCode(user, recoveryCode)) return 'recovery';
+    await recordFailure(user._id);
+    return null;
+};
+
+// Short-lived token standing in for a session until the second factor is verified.
+// It points at a challenge document that limits how many codes can be tried with it.
+const signChallenge = async (userId) => {
+    const challenge = await TwoFactorChallenge.create({
+        userId,
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000),
+    });
+    return jwt.sign(
+        { id: userId, cid: challenge._id, purpose: CHALLENGE_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: CHALLENGE_TTL_SECONDS }
+    );
+};
+
+// { userId, challengeId } from a challenge token
+const verifyChallenge = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== CHALLENGE_PURPOSE || !decoded.cid) throw new Error('Sai loại token');
+        return { userId: decoded.id, challengeId: decoded.cid };
+    } catch (error) {
+        throw new AppError('Mã thử thách không hợp lệ hoặc đã hết hạn', 401);
+    }
+};
+
+// Use up one attempt before checking a code, so parallel guesses are counted too.
+// Once the attempts are gone the challenge is dead and the user signs in again.
+const claimChallengeAttempt = async ({ userId, challengeId }) => {
+    const claimed = await TwoFactorChallenge.findOneAndUpdate(
+        {
+            _id: challengeId,
+            userId,
+            usedAt: null,
+            attempts: { $lt: MAX_FAILED_ATTEMPTS },
+            expiresAt: { $gt: new Date() },
+        },
+        { $inc: { attempts: 1 } }
+    );
+    if (!claimed) throw new AppError('Mã thử thách không hợp lệ hoặc đã hết hạn', 401);
+};
+
+const closeChallenge = ({ challengeId }) =>
+    TwoFactorChallenge.updateOne({ _id: challengeId }, { $set: { usedAt: new Date() } });
+
+module.exports = {
+    RECOVERY_CODE_COUNT,
+    generateRecoveryCodes,
+    consumeTotp,
+    verifySecondFactor,
+    signChallenge,
+    verifyChallenge,
+    claimChallengeAttempt,
+    closeChallenge,
+};
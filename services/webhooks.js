@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const secretBox = require('../utils/secretBox');
+const { assertPublicUrl, publicLookup } = require('../utils/network');
+
+const WEBHOOK_EVENTS = [
+    'expense.created',
+    'expense.updated',
+    'expense.deleted',
+    'budget.deposited',
+    'allocations.updated',
+    'investment.added',
+];
+
+// Wait before retry n (1-based); the last failure marks the delivery failed
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(s => s * 1000);
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+const LOCK_MS = 60 * 1000;
+const BATCH_SIZE = 50;
+const ATTEMPT_LOG_LIMIT = 20;
+
+// Endpoints are user-supplied: every connection re-checks the address it actually reaches
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers recompute HMAC-SHA256("<timestamp>.<body>") with their secret and
+// compare it to X-Webhook-Signature; the timestamp lets them reject old replays
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Queue events of one budget and type for every enabled endpoint subscribed to them.
+// Called with the session of the write that produced the events, so the rows commit
+// or roll back with it. Rows start locked for the caller's first attempt; if that
+// never happens the lock expires and the scheduler picks them up.
+const enqueueDeliveries = async (budgetId, type, events, session = null) => {
+    const webhooks = await Webhook.find({ userId: budgetId, enabled: true, events: type }, '_id').session(session).lean();
+    if (webhooks.length === 0 || events.length === 0) return [];
+    const lockedUntil = new Date(Date.now() + LOCK_MS);
+    return WebhookDelivery.insertMany(events.flatMap(event => {
+        const payload = JSON.stringify(event);
+        return webhooks.map(webhook => ({
+            webhookId: webhook._id,
+            userId: budgetId,
+            eventId: event.id,
+            event: type,
+            payload,
+            lockedUntil,
+        }));
+    }), { session });
+};
+
+// Queue one event for a single endpoint regardless of its subscriptions (alert rules
+// name the webhook they notify) and make the first attempt right away
+const sendToWebhook = async (webhookId, budgetId, event) => {
+    const delivery = await WebhookDelivery.create({
+        webhookId,
+        userId: budgetId,
+        eventId: event.id,
+        event: event.type,
+        payload: JSON.stringify(event),
+        lockedUntil: new Date(Date.now() + LOCK_MS),
+    });
+    return attemptDelivery(delivery);
+};
+
+// Status code or error of one POST; never throws
+const send = async (webhook, delivery) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+        // The host may have been pointed at an internal address since the webhook was registered
+        await assertPublicUrl(webhook.url);
+        const response = await axios.post(webhook.url, delivery.payload, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'RockefellerFinance-Webhooks/1.0',
+                'X-Webhook-Id': delivery.eventId,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(secretBox.open(webhook.secret), timestamp, delivery.payload),
+            },
+            timeout: 10000,
+            // A redirect could lead anywhere, including past the address check
+            maxRedirects: 0,
+            httpAgent,
+            httpsAgent,
+            // The body is already serialized and must go out byte for byte as signed
+            transformRequest: [data => data],
+            validateStatus: () => true,
+        });
+        const ok = response.status >= 200 && response.status < 300;
+        return {
+            ok,
+            responseStatus: response.status,
+            error: ok ? null : `HTTP ${response.status}`,
+            durationMs: Date.now() - started,
+        };
+    } catch (error) {
+        return { ok: false, responseStatus: null, error: error.message, durationMs: Date.now() - started };
+    }
+};
+
+// Make one attempt and schedule the next one with backoff on failure
+const attemptDelivery = async (delivery, now = new Date()) => {
+    const webhook = await Webhook.findById(delivery.webhookId);
+    const result = webhook && webhook.enabled
+        ? await send(webhook, delivery)
+        : { ok: false, responseStatus: null, error: 'Webhook đã bị tắt hoặc xóa', durationMs: 0 };
+
+    const attempts = delivery.attempts + 1;
+    const update = {
+        $set: { attempts, lockedUntil: null, lastError: result.error },
+        $push: {
+            attemptLog: {
+                $each: [{ at: now, responseStatus: result.responseStatus, error: result.error, durationMs: result.durationMs }],
+                $slice: -ATTEMPT_LOG_LIMIT,
+            },
+        },
+    };
+    if (result.ok) {
+        Object.assign(update.$set, { status: 'delivered', deliveredAt: now });
+    } else if (!webhook || !webhook.enabled || attempts >= MAX_ATTEMPTS) {
+        update.$set.status = 'failed';
+    } else {
+        update.$set.nextAttemptAt = new Date(now.getTime() + RETRY_DELAYS_MS[attempts - 1]);
+    }
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+};
+
+// Scheduler job: claim due deliveries one at a time so several instances can share the queue
+const processDueDeliveries = async (now = new Date()) => {
+    let processed = 0;
+    for (; processed < BATCH_SIZE; processed++) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            {
+                status: 'pending',
+                nextAttemptAt: { $lte: now },
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+            },
+            { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+        if (!delivery) break;
+        try {
+            await attemptDelivery(delivery);
+        } catch (error) {
+            console.error(`Lỗi gửi webhook ${delivery._id}:`, error);
+        }
+    }
+    return processed;
+};
+
+// Send a logged delivery again as a new delivery of the same event
+const replayDelivery = async (delivery) => {
+    const replay = await WebhookDelivery.create({
+        webhookId: delivery.webhookId,
+        userId: delivery.userId,
+        eventId: delivery.eventId,
+        event: delivery.event,
+        payload: delivery.payload,
+        replayOf: delivery._id,
+        lockedUntil: new Date(Date.now() + LOCK_MS),
+    });
+    return attemptDelivery(replay);
+};
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    MAX_ATTEMPTS,
+    generateSecret,
+    signPayload,
+    enqueueDeliveries,
+    sendToWebhook,
+    attemptDelivery,
+    processDueDeliveries,
+    replayDelivery,
+};
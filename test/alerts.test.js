@@ -0,0 +1,152 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const Household = require('../models/Household');
+const AlertRule = require('../models/AlertRule');
+const {
+    CHANNELS,
+    evaluateBalance,
+    evaluateSpend,
+    evaluatePrice,
+    applyEvaluation,
+    checkBudgetAlerts,
+} = require('../services/alerts');
+const { removeMember } = require('../controllers/householdController');
+
+const budget = new User({
+    username: 'household:test',
+    accountType: 'household',
+    baseCurrency: 'USD',
+    allocations: { essentials: 200, savings: 900 },
+});
+
+const rule = (fields) => new AlertRule({
+    userId: budget._id,
+    ownerId: new mongoose.Types.ObjectId(),
+    name: 'Cảnh báo',
+    channels: ['inbox', 'email'],
+    ...fields,
+});
+
+afterEach(() => mock.restoreAll());
+
+test('balance_below measures the jar against what it had to spend this period', () => {
+    // Started at 300, received 500 and spent 600 since
+    const flows = { essentials: { net: -100, credited: 500 } };
+    const evaluation = evaluateBalance(rule({ type: 'balance_below', category: 'essentials', percent: 30 }), budget, flows);
+    assert.equal(evaluation.triggered, true);
+    assert.equal(evaluation.value, 25);
+    assert.deepEqual(evaluation.data, { category: 'essentials', balance: 200, available: 800 });
+    assert.match(evaluation.message, /USD/);
+
+    assert.equal(evaluateBalance(rule({ type: 'balance_below', category: 'essentials', percent: 20 }), budget, flows).triggered, false);
+    // Nothing to spend, nothing to compare against
+    assert.equal(evaluateBalance(rule({ type: 'balance_below', category: 'charity', percent: 20 }), budget, {}), null);
+});
+
+test('spend_above and price_cross compare against the rule threshold', () => {
+    const bounds = { start: new Date(2024, 0, 1), end: new Date(2024, 1, 1) };
+    const spend = rule({ type: 'spend_above', category: 'essentials', amount: 500 });
+    assert.equal(evaluateSpend(spend, budget, { essentials: 501 }, bounds).triggered, true);
+    assert.equal(evaluateSpend(spend, budget, { essentials: 500 }, bounds).triggered, false);
+    assert.equal(evaluateSpend(spend, budget, {}, bounds).value, 0);
+
+    const above = rule({ type: 'price_cross', asset: 'BTC', quote: 'USD', price: 60000, direction: 'above' });
+    const below = rule({ type: 'price_cross', asset: 'BTC', quote: 'USD', price: 60000, direction: 'below' });
+    assert.equal(evaluatePrice(above, 60000).triggered, true);
+    assert.equal(evaluatePrice(above, 59999).triggered, false);
+    assert.equal(evaluatePrice(below, 59999).triggered, true);
+});
+
+test('a triggered rule is claimed once and sent through every channel', async () => {
+    const alertRule = rule({ type: 'spend_above', category: 'essentials', amount: 500, cooldownMinutes: 60 });
+    const now = new Date(2024, 0, 15, 12);
+    mock.method(AlertRule, 'findOneAndUpdate', async () => alertRule);
+    const inbox = mock.method(CHANNELS.inbox, 'send', async () => {});
+    const email = mock.method(CHANNELS.email, 'send', async () => {});
+
+    const alert = await applyEvaluation(alertRule, { triggered: true, value: 650, message: 'vượt', data: {} }, now);
+    assert.equal(alert.value, 650);
+    assert.equal(inbox.mock.callCount(), 1);
+    assert.equal(email.mock.callCount(), 1);
+
+    const [filter, update] = AlertRule.findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter['state.active'], false);
+    assert.deepEqual(filter.$or[1], { 'state.lastTriggeredAt': { $lte: new Date(2024, 0, 15, 11) } });
+    assert.equal(update.$set['state.active'], true);
+});
+
+test('no notification when another check already claimed the rule', async () => {
+    mock.method(AlertRule, 'findOneAndUpdate', async () => null);
+    const inbox = mock.method(CHANNELS.inbox, 'send', async () => {});
+    const alertRule = rule({ type: 'spend_above', category: 'essentials', amount: 500 });
+
+    assert.equal(await applyEvaluation(alertRule, { triggered: true, value: 650, message: '', data: {} }), null);
+    assert.equal(inbox.mock.callCount(), 0);
+});
+
+test('a condition that clears re-arms the rule', async () => {
+    const updateOne = mock.method(AlertRule, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const alertRule = rule({ type: 'spend_above', category: 'essentials', amount: 500 });
+    alertRule.state.active = true;
+
+    assert.equal(await applyEvaluation(alertRule, { triggered: false, value: 100 }), null);
+    assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $set: { 'state.active': false, 'state.lastValue': 100 } });
+});
+
+test('one failing channel does not stop the others', async () => {
+    const alertRule = rule({ type: 'spend_above', category: 'essentials', amount: 500, channels: ['email', 'inbox'] });
+    mock.method(AlertRule, 'findOneAndUpdate', async () => alertRule);
+    mock.method(console, 'error', () => {});
+    mock.method(CHANNELS.email, 'send', async () => { throw new Error('SMTP down'); });
+    const inbox = mock.method(CHANNELS.inbox, 'send', async () => {});
+
+    assert.ok(await applyEvaluation(alertRule, { triggered: true, value: 650, message: '', data: {} }));
+    assert.equal(inbox.mock.callCount(), 1);
+});
+
+test('household rules of people who are no longer members stay silent', async () => {
+    const member = new mongoose.Types.ObjectId();
+    const current = rule({ type: 'spend_above', category: 'essentials', amount: 100, ownerId: member, channels: ['inbox'] });
+    const former = rule({ type: 'spend_above', category: 'essentials', amount: 100, channels: ['inbox'] });
+    mock.method(AlertRule, 'find', async () => [current, former]);
+    mock.method(User, 'findById', async () => budget);
+    mock.method(Household, 'findOne', async () => ({ members: [{ userId: member }] }));
+    mock.method(Expense, 'aggregate', () => ({ session: async () => [{ _id: 'essentials', total: 650 }] }));
+    mock.method(AlertRule, 'findOneAndUpdate', async (filter) => (String(filter._id) === String(current._id) ? current : former));
+    const inbox = mock.method(CHANNELS.inbox, 'send', async () => {});
+
+    const sent = await checkBudgetAlerts(budget._id, new Date(2024, 0, 15));
+    assert.equal(sent.length, 1);
+    assert.deepEqual(inbox.mock.calls.map(c => String(c.arguments[0].ownerId)), [String(member)]);
+});
+
+test('removing a member deletes their alert rules on the household budget', async () => {
+    const owner = new mongoose.Types.ObjectId();
+    const editor = new mongoose.Types.ObjectId();
+    const household = new Household({
+        name: 'Nhà mình',
+        budgetId: budget._id,
+        members: [{ userId: owner, role: 'owner' }, { userId: editor, role: 'editor' }],
+    });
+    mock.method(Household, 'findOne', async () => household);
+    mock.method(household, 'save', async () => household);
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const deleteMany = mock.method(AlertRule, 'deleteMany', async () => ({ deletedCount: 2 }));
+
+    const res = { status() { return this; }, json() { return this; } };
+    await removeMember({ user: { id: String(owner) }, params: { id: String(household._id), userId: String(editor) } }, res);
+    const [filter] = deleteMany.mock.calls[0].arguments;
+    assert.equal(String(filter.userId), String(budget._id));
+    assert.equal(String(filter.ownerId), String(editor));
+});
+
+test('transactions are not read when no budget rule is enabled', async () => {
+    mock.method(AlertRule, 'find', async () => []);
+    const aggregate = mock.method(Transaction, 'aggregate', async () => []);
+    assert.deepEqual(await checkBudgetAlerts(budget._id), []);
+    assert.equal(aggregate.mock.callCount(), 0);
+});
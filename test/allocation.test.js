@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_ALLOCATION_RULE,
+    toPlainRule,
+    validateAllocationRule,
+    splitAmount,
+} = require('../utils/allocation');
+
+test('the default rule is valid and sums to 100', () => {
+    assert.equal(validateAllocationRule(DEFAULT_ALLOCATION_RULE, Object.keys(DEFAULT_ALLOCATION_RULE)), null);
+});
+
+test('validateAllocationRule rejects totals other than 100', () => {
+    assert.match(validateAllocationRule({ essentials: 60, savings: 30 }), /100%/);
+    assert.equal(validateAllocationRule({ essentials: 33.33, savings: 33.33, charity: 33.34 }), null);
+});
+
+test('validateAllocationRule rejects unknown keys and out of range percents', () => {
+    assert.match(validateAllocationRule({ essentials: 50, travel: 50 }, ['essentials', 'savings']), /travel/);
+    assert.match(validateAllocationRule({ essentials: 120, savings: -20 }), /0-100/);
+    assert.match(validateAllocationRule({ essentials: true }), /0-100/);
+    assert.ok(validateAllocationRule([]));
+    assert.ok(validateAllocationRule({}));
+});
+
+test('splitAmount divides by percent and keeps the total', () => {
+    const shares = splitAmount(10000000, DEFAULT_ALLOCATION_RULE);
+    assert.deepEqual(shares, {
+        essentials: 5000000,
+        savings: 2000000,
+        selfInvestment: 1500000,
+        charity: 500000,
+        emergency: 1000000,
+    });
+    assert.equal(Object.values(shares).reduce((a, b) => a + b, 0), 10000000);
+});
+
+test('splitAmount accepts a Map as stored by Mongoose', () => {
+    const rule = new Map([['essentials', 75], ['savings', 25]]);
+    assert.deepEqual(toPlainRule(rule), { essentials: 75, savings: 25 });
+    assert.deepEqual(splitAmount(400, rule), { essentials: 300, savings: 100 });
+});
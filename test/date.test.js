@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDateStrict, formatExpenseDate, toDateKey } = require('../utils/date');
+
+test('day-first dates are read as vi-VN writes them', () => {
+    assert.deepEqual(parseDateStrict('05/01/2024'), new Date(2024, 0, 5));
+    assert.deepEqual(parseDateStrict('5-1-2024'), new Date(2024, 0, 5));
+    assert.deepEqual(parseDateStrict('1/5/2024 08:30'), new Date(2024, 4, 1, 8, 30));
+    assert.deepEqual(parseDateStrict('1/5/2024, 08:30:15'), new Date(2024, 4, 1, 8, 30, 15));
+});
+
+test('dates that do not exist are rejected instead of rolling over', () => {
+    assert.equal(parseDateStrict('31/02/2024'), null);
+    assert.equal(parseDateStrict('29/02/2023'), null);
+    assert.equal(parseDateStrict('2024-02-31'), null);
+    assert.equal(parseDateStrict('1/5/2024 25:00'), null);
+    assert.deepEqual(parseDateStrict('29/02/2024'), new Date(2024, 1, 29));
+});
+
+test('month-first and other ambiguous numeric forms are rejected', () => {
+    assert.equal(parseDateStrict('12/31/2024'), null);
+    assert.equal(parseDateStrict('2024/05/01'), null);
+});
+
+test('ISO strings and empty input', () => {
+    assert.deepEqual(parseDateStrict('2024-05-01T08:00:00Z'), new Date(Date.UTC(2024, 4, 1, 8)));
+    assert.equal(parseDateStrict(''), null);
+    assert.equal(parseDateStrict('không phải ngày'), null);
+    assert.equal(parseDateStrict(null), null);
+});
+
+test('formatExpenseDate reads back to the same instant', () => {
+    for (const date of [new Date(2024, 4, 1), new Date(2024, 11, 31, 23, 59, 7)]) {
+        assert.deepEqual(parseDateStrict(formatExpenseDate(date)), date);
+    }
+    assert.equal(toDateKey(new Date(2024, 0, 5)), '2024-01-05');
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+    EXPENSE_SORT,
+    encodeCursor,
+    decodeCursor,
+    timeCursor,
+    afterPosition,
+} = require('../services/expenseQuery');
+
+test('timeCursor round-trips through decodeCursor', () => {
+    const expense = { _id: new mongoose.Types.ObjectId(), timestamp: new Date(2024, 4, 1, 8, 30) };
+    const position = decodeCursor(timeCursor(expense), 'time');
+    assert.deepEqual(position, { m: 'time', t: expense.timestamp.toISOString(), i: String(expense._id) });
+});
+
+test('cursors are URL safe', () => {
+    const cursor = encodeCursor({ m: 'relevance', o: 40, note: '>>>???' });
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.equal(decodeCursor(cursor, 'relevance').o, 40);
+});
+
+test('a cursor from the other ordering is rejected', () => {
+    assert.equal(decodeCursor(encodeCursor({ m: 'relevance', o: 20 }), 'time'), null);
+    const expense = { _id: new mongoose.Types.ObjectId(), timestamp: new Date() };
+    assert.equal(decodeCursor(timeCursor(expense), 'relevance'), null);
+});
+
+test('malformed cursors decode to null', () => {
+    assert.equal(decodeCursor('not-a-cursor', 'time'), null);
+    assert.equal(decodeCursor(encodeCursor({ m: 'time', t: new Date(), i: 'nope' }), 'time'), null);
+    assert.equal(decodeCursor(encodeCursor({ m: 'time', i: String(new mongoose.Types.ObjectId()) }), 'time'), null);
+    assert.equal(decodeCursor(encodeCursor({ m: 'relevance', o: -1 }), 'relevance'), null);
+    assert.equal(decodeCursor(encodeCursor({ m: 'relevance', o: 1.5 }), 'relevance'), null);
+});
+
+test('afterPosition continues strictly after the cursor in EXPENSE_SORT order', () => {
+    assert.deepEqual(EXPENSE_SORT, { timestamp: -1, _id: -1 });
+    const id = new mongoose.Types.ObjectId();
+    const t = '2024-05-01T01:30:00.000Z';
+    const condition = afterPosition({ t, i: String(id) });
+    assert.deepEqual(condition, {
+        $or: [
+            { timestamp: { $lt: new Date(t) } },
+            { timestamp: new Date(t), _id: { $lt: id } },
+        ],
+    });
+});
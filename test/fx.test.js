@@ -0,0 +1,93 @@
+const { test, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PROVIDERS, getRate, convertToBase } = require('../services/fx');
+const { ExchangeRateError } = require('../utils/errors');
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fx-rates-'));
+    process.env.FX_RATES_FILE = path.join(dir, 'rates.json');
+    fs.writeFileSync(process.env.FX_RATES_FILE, JSON.stringify({
+        base: 'USD',
+        rates: { VND: 25400, EUR: 0.8, JPY: 150, GBP: 0.75 },
+    }));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.FX_RATES_FILE;
+    delete process.env.FX_PROVIDER;
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    delete process.env.FX_PROVIDER;
+});
+
+test('amounts already in the base currency are kept as they are', async () => {
+    assert.deepEqual(await convertToBase(50000, 'vnd', 'VND'), {
+        amount: 50000,
+        currency: 'VND',
+        originalAmount: 50000,
+        fxRate: 1,
+        fxSource: null,
+    });
+    assert.equal((await convertToBase(50000, undefined, 'VND')).currency, 'VND');
+    assert.equal((await getRate('usd', 'USD')).source, 'identity');
+});
+
+test('foreign amounts are converted with the provider rate', async () => {
+    process.env.FX_PROVIDER = 'table';
+    assert.deepEqual(await convertToBase(10, 'USD', 'VND'), {
+        amount: 254000,
+        currency: 'USD',
+        originalAmount: 10,
+        fxRate: 25400,
+        fxSource: 'table',
+    });
+});
+
+test('cross rates go through the table base and round to the base currency minor unit', async () => {
+    process.env.FX_PROVIDER = 'table';
+    // 1 EUR = 1.25 USD = 187.5 JPY, and JPY has no minor unit
+    const converted = await convertToBase(9.99, 'EUR', 'JPY');
+    assert.equal(converted.fxRate, 187.5);
+    assert.equal(converted.amount, 1873);
+
+    assert.equal((await convertToBase(100000, 'VND', 'USD')).amount, 3.94);
+});
+
+test('a rate given with the expense wins over the rate source', async () => {
+    const getRateCalls = mock.method(PROVIDERS['er-api'], 'getRate', async () => 1);
+    const converted = await convertToBase(20, 'EUR', 'VND', { rate: 27000 });
+    assert.equal(converted.amount, 540000);
+    assert.equal(converted.fxSource, 'manual');
+    assert.equal(getRateCalls.mock.callCount(), 0);
+});
+
+test('the live provider is used when it answers', async () => {
+    mock.method(PROVIDERS['er-api'], 'getRate', async () => 0.79);
+    const rate = await getRate('USD', 'GBP');
+    assert.equal(rate.rate, 0.79);
+    assert.equal(rate.source, 'er-api');
+    assert.equal(rate.stale, false);
+});
+
+test('a provider outage falls back to the local table, labeled stale', async () => {
+    mock.method(console, 'error', () => {});
+    mock.method(PROVIDERS['er-api'], 'getRate', async () => { throw new Error('ECONNRESET'); });
+    const rate = await getRate('GBP', 'VND');
+    assert.equal(rate.source, 'table');
+    assert.equal(rate.stale, true);
+    assert.equal(Math.round(rate.rate), 33867);
+});
+
+test('currencies nobody quotes are an ExchangeRateError', async () => {
+    process.env.FX_PROVIDER = 'table';
+    mock.method(console, 'error', () => {});
+    await assert.rejects(convertToBase(10, 'XXX', 'VND'), ExchangeRateError);
+});
@@ -0,0 +1,126 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Goal = require('../models/Goal');
+const { savingsPosition, contribute, autoContribute, goalProgress } = require('../services/goals');
+const { contributeToGoal } = require('../controllers/goalController');
+const { AppError } = require('../utils/errors');
+
+const budgetId = new mongoose.Types.ObjectId();
+let goals;
+let savings;
+
+const goal = (fields) => {
+    const doc = new Goal({ userId: budgetId, name: 'Mục tiêu', ...fields });
+    mock.method(doc, 'save', async () => doc);
+    goals.push(doc);
+    return doc;
+};
+
+beforeEach(() => {
+    goals = [];
+    savings = 1000;
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(User, 'findById', () => ({
+        session: async () => ({ baseCurrency: 'EUR', allocations: new Map([['savings', savings]]) }),
+    }));
+    mock.method(Goal, 'aggregate', () => ({
+        session: async () => [{ _id: null, saved: goals.reduce((sum, g) => sum + g.saved, 0) }],
+    }));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('free savings are the savings jar minus what goals already claim', async () => {
+    goal({ targetAmount: 500, saved: 300 });
+    assert.deepEqual(await savingsPosition(budgetId), { balance: 1000, earmarked: 300, free: 700, currency: 'EUR' });
+
+    savings = 200;
+    assert.equal((await savingsPosition(budgetId)).free, 0);
+});
+
+test('contributions take free savings and are recorded on the goal', async () => {
+    const car = goal({ targetAmount: 5000 });
+    await contribute(budgetId, car, 400);
+    await contribute(budgetId, car, -150);
+
+    assert.equal(car.saved, 250);
+    assert.deepEqual(car.contributions.map(c => [c.amount, c.source]), [[400, 'manual'], [-150, 'manual']]);
+});
+
+test('contributions cannot claim more than the free savings or release more than saved', async () => {
+    goal({ targetAmount: 500, saved: 300 });
+    const car = goal({ targetAmount: 5000, saved: 100 });
+
+    await assert.rejects(contribute(budgetId, car, 601), (error) => {
+        assert.ok(error instanceof AppError);
+        assert.match(error.message, /600 EUR/);
+        return true;
+    });
+    await assert.rejects(contribute(budgetId, car, -101), /100 EUR/);
+    assert.equal(car.saved, 100);
+});
+
+test('every contribution writes to the budget before reading free savings', async () => {
+    const order = [];
+    User.updateOne.mock.mockImplementation(async (filter, update) => {
+        order.push(['lock', String(filter._id), update.$inc]);
+        return { modifiedCount: 1 };
+    });
+    User.findById.mock.mockImplementation(() => {
+        order.push(['read']);
+        return { session: async () => ({ baseCurrency: 'EUR', allocations: new Map([['savings', savings]]) }) };
+    });
+
+    await contribute(budgetId, goal({ targetAmount: 100 }), 50);
+    assert.deepEqual(order, [['lock', String(budgetId), { goalsRevision: 1 }], ['read']]);
+});
+
+test('auto-contributions follow each goal percentage, capped by target and free savings', async () => {
+    goal({ name: 'Xe', targetAmount: 10000, autoPercent: 20 });
+    goal({ name: 'Du lịch', targetAmount: 150, autoPercent: 30 });
+    goal({ name: 'Nhà', targetAmount: 10000, autoPercent: 50 });
+    mock.method(Goal, 'find', () => ({ sort: () => ({ session: async () => goals }) }));
+    savings = 1000;
+
+    const result = await autoContribute(budgetId, 2000);
+    assert.deepEqual(result.map(c => [c.name, c.amount]), [
+        ['Xe', 400],
+        ['Du lịch', 150],
+        // 1000 of free savings minus the 550 already earmarked
+        ['Nhà', 450],
+    ]);
+    assert.equal(goals[2].contributions[0].source, 'auto');
+});
+
+test('a deposit with no auto-contributing goals changes nothing', async () => {
+    mock.method(Goal, 'find', () => ({ sort: () => ({ session: async () => [] }) }));
+    assert.deepEqual(await autoContribute(budgetId, 2000), []);
+    assert.equal(User.updateOne.mock.callCount(), 0);
+});
+
+test('goalProgress compares savings with a straight line to the deadline', () => {
+    const now = new Date(2024, 6, 1);
+    const base = { targetAmount: 1200, createdAt: new Date(2024, 0, 1), deadline: new Date(2025, 0, 1) };
+
+    assert.equal(goalProgress({ ...base, saved: 700 }, now).status, 'on-track');
+    const behind = goalProgress({ ...base, saved: 300 }, now);
+    assert.equal(behind.status, 'behind');
+    assert.equal(behind.percent, 25);
+    assert.equal(behind.remaining, 900);
+    assert.equal(goalProgress({ ...base, saved: 1200 }, now).status, 'completed');
+    assert.equal(goalProgress({ ...base, saved: 0 }, new Date(2025, 1, 1)).status, 'overdue');
+    assert.equal(goalProgress({ targetAmount: 100, saved: 0, deadline: null }, now).monthlyNeeded, null);
+});
+
+test('contributing to a malformed goal id is a 404', async () => {
+    mock.method(Goal, 'findOne', () => { throw new Error('should not query'); });
+    const res = {
+        status(code) { this.code = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+    await contributeToGoal({ params: { id: 'not-an-id' }, body: { amount: 10 }, budgetId }, res);
+    assert.equal(res.code, 404);
+    assert.equal(Goal.findOne.mock.callCount(), 0);
+});
@@ -0,0 +1,131 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Household = require('../models/Household');
+const AlertRule = require('../models/AlertRule');
+const { hasRole, workspaceContext, requireRole } = require('../middleware/workspace');
+const { removeMember } = require('../controllers/householdController');
+
+const owner = new mongoose.Types.ObjectId();
+const editor = new mongoose.Types.ObjectId();
+const viewer = new mongoose.Types.ObjectId();
+const outsider = new mongoose.Types.ObjectId();
+
+const household = () => new Household({
+    name: 'Nhà mình',
+    budgetId: new mongoose.Types.ObjectId(),
+    members: [
+        { userId: owner, role: 'owner' },
+        { userId: editor, role: 'editor' },
+        { userId: viewer, role: 'viewer' },
+    ],
+});
+
+// Household.findOne answering like Mongo would for { _id, 'members.userId' }
+const stubHousehold = (doc) => {
+    mock.method(Household, 'findOne', async (filter) =>
+        (doc.members.some(m => m.userId.equals(filter['members.userId'])) ? doc : null));
+    mock.method(doc, 'save', async () => doc);
+    return doc;
+};
+
+const response = () => ({
+    status(code) { this.code = code; return this; },
+    json(body) { this.body = body; return this; },
+});
+
+// Run a middleware and report whether it let the request through
+const run = async (middleware, req) => {
+    const res = response();
+    let passed = false;
+    await middleware(req, res, () => { passed = true; });
+    return { passed, code: res.code, req };
+};
+
+const request = (userId, method, headers = {}) => ({
+    user: { id: String(userId) },
+    method,
+    header: (name) => headers[name],
+});
+
+afterEach(() => mock.restoreAll());
+
+test('roles rank viewer < editor < owner', () => {
+    assert.equal(hasRole('owner', 'editor'), true);
+    assert.equal(hasRole('editor', 'editor'), true);
+    assert.equal(hasRole('viewer', 'editor'), false);
+    assert.equal(hasRole(undefined, 'viewer'), false);
+});
+
+test('viewers read the household budget but cannot change it', async () => {
+    const doc = stubHousehold(household());
+    const headers = { 'X-Workspace-Id': String(doc._id) };
+
+    const read = await run(workspaceContext(), request(viewer, 'GET', headers));
+    assert.equal(read.passed, true);
+    assert.equal(read.req.budgetId, String(doc.budgetId));
+    assert.equal(read.req.workspaceRole, 'viewer');
+
+    const write = await run(workspaceContext(), request(viewer, 'POST', headers));
+    assert.equal(write.passed, false);
+    assert.equal(write.code, 403);
+
+    assert.equal((await run(workspaceContext(), request(editor, 'POST', headers))).passed, true);
+});
+
+test('routes can require a stricter role', async () => {
+    const doc = stubHousehold(household());
+    const headers = { 'X-Workspace-Id': String(doc._id) };
+
+    const { req } = await run(workspaceContext(), request(editor, 'PUT', headers));
+    assert.equal((await run(requireRole('owner'), req)).code, 403);
+    const ownerContext = await run(workspaceContext({ role: 'owner' }), request(owner, 'PUT', headers));
+    assert.equal(ownerContext.passed, true);
+});
+
+test('non-members are refused a household they name', async () => {
+    const doc = stubHousehold(household());
+    const result = await run(workspaceContext(), request(outsider, 'GET', { 'X-Workspace-Id': String(doc._id) }));
+    assert.equal(result.passed, false);
+    assert.equal(result.code, 403);
+});
+
+test('a saved workspace the user has left falls back to the personal budget', async () => {
+    const doc = stubHousehold(household());
+    mock.method(User, 'findById', async () => ({ activeHousehold: doc._id }));
+
+    const result = await run(workspaceContext(), request(outsider, 'POST'));
+    assert.equal(result.passed, true);
+    assert.equal(result.req.budgetId, String(outsider));
+    assert.equal(result.req.workspaceRole, 'owner');
+});
+
+const removeRequest = (doc, caller, memberId) => ({
+    user: { id: String(caller) },
+    params: { id: String(doc._id), userId: String(memberId) },
+});
+
+test('only owners remove other members; anyone can leave', async () => {
+    const doc = stubHousehold(household());
+    mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+    mock.method(AlertRule, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+    const refused = response();
+    await removeMember(removeRequest(doc, editor, viewer), refused);
+    assert.equal(refused.code, 403);
+    assert.equal(doc.members.length, 3);
+
+    const left = response();
+    await removeMember(removeRequest(doc, viewer, viewer), left);
+    assert.equal(left.code, undefined);
+    assert.deepEqual(doc.members.map(m => m.role), ['owner', 'editor']);
+});
+
+test('the last owner cannot leave', async () => {
+    const doc = stubHousehold(household());
+    const res = response();
+    await removeMember(removeRequest(doc, owner, owner), res);
+    assert.equal(res.code, 400);
+    assert.equal(doc.members.length, 3);
+});
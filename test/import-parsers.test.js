@@ -0,0 +1,162 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAmount } = require('../services/import/amount');
+const { parseCsv, tokenize } = require('../services/import/csv');
+const { parseOfx } = require('../services/import/ofx');
+const { parseQif } = require('../services/import/qif');
+
+describe('parseAmount', () => {
+    test('reads thousands groups as VND', () => {
+        assert.equal(parseAmount('1.500.000'), 1500000);
+        assert.equal(parseAmount('1,500,000'), 1500000);
+        assert.equal(parseAmount('-250.000 ₫'), -250000);
+    });
+
+    test('picks the decimal separator from the last one used', () => {
+        assert.equal(parseAmount('1,500,000.50'), 1500000.5);
+        assert.equal(parseAmount('1.500.000,50'), 1500000.5);
+        assert.equal(parseAmount('12,5'), 12.5);
+        assert.equal(parseAmount('1.500', ','), 1500);
+        assert.equal(parseAmount('1.500', '.'), 1.5);
+    });
+
+    test('parentheses and signs', () => {
+        assert.equal(parseAmount('(120.00)'), -120);
+        assert.equal(parseAmount('+42'), 42);
+        assert.equal(parseAmount(-3), -3);
+    });
+
+    test('returns null for text that is not an amount', () => {
+        assert.equal(parseAmount(''), null);
+        assert.equal(parseAmount('abc'), null);
+        assert.equal(parseAmount('1.2.3,4,5'), null);
+        assert.equal(parseAmount(undefined), null);
+    });
+});
+
+describe('parseCsv', () => {
+    test('tokenizes quoted fields, escaped quotes and newlines', () => {
+        assert.deepEqual(tokenize('a,"b,c","say ""hi""\nthere"\r\n1,2,3', ','), [
+            ['a', 'b,c', 'say "hi"\nthere'],
+            ['1', '2', '3'],
+        ]);
+    });
+
+    test('recognises Vietnamese headers and the delimiter', () => {
+        const content = '﻿Ngày;Số tiền;Mô tả;Danh mục;Tiền tệ\n05/01/2024;"1.500.000";Tiền nhà;essentials;\n06/01/2024;12,50;Sách;selfInvestment;usd\n';
+        const { rows, error } = parseCsv(content);
+        assert.equal(error, undefined);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows[0], {
+            row: 2,
+            rawDate: '05/01/2024',
+            date: new Date(2024, 0, 5),
+            amount: 1500000,
+            purpose: 'Tiền nhà',
+            location: '',
+            category: 'essentials',
+            currency: null,
+            externalId: null,
+        });
+        assert.equal(rows[1].amount, 12.5);
+        assert.equal(rows[1].currency, 'USD');
+    });
+
+    test('uses mapped columns and reports invalid dates as null', () => {
+        const { rows } = parseCsv('x,31/02/2024,100\n', {
+            hasHeader: false,
+            columns: { date: 1, amount: 2 },
+        });
+        assert.equal(rows[0].row, 1);
+        assert.equal(rows[0].date, null);
+        assert.equal(rows[0].amount, 100);
+    });
+
+    test('fails without a date or amount column', () => {
+        const { rows, error } = parseCsv('foo,bar\n1,2\n');
+        assert.deepEqual(rows, []);
+        assert.match(error, /mapping\.columns/);
+    });
+});
+
+describe('parseOfx', () => {
+    const statement = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>VND
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240501120000.000[+7:ICT]
+<TRNAMT>-150000.00
+<FITID>T1
+<NAME>Circle K
+<MEMO>Đồ uống
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240502
+<TRNAMT>-12.5
+<FITID>T2
+<NAME>Amazon
+<CURRENCY><CURSYM>usd</CURRENCY>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+    test('reads every transaction of an SGML statement', () => {
+        const { rows } = parseOfx(statement);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows[0], {
+            row: 1,
+            rawDate: '20240501120000.000[+7:ICT]',
+            date: new Date(2024, 4, 1, 12, 0, 0),
+            amount: -150000,
+            purpose: 'Đồ uống',
+            location: 'Circle K',
+            category: '',
+            currency: 'VND',
+            externalId: 'T1',
+        });
+        assert.equal(rows[1].purpose, 'Amazon');
+        assert.equal(rows[1].amount, -12.5);
+    });
+
+    test('a transaction currency overrides the statement CURDEF', () => {
+        const { rows } = parseOfx(statement);
+        assert.equal(rows[1].currency, 'USD');
+    });
+
+    test('fails when there are no transactions', () => {
+        assert.match(parseOfx('<OFX></OFX>').error, /OFX/);
+    });
+});
+
+describe('parseQif', () => {
+    const content = '!Type:Bank\nD05/01/2024\nT-1.500.000\nPChủ nhà\nMTiền nhà\nLessentials\nN101\n^\nD5/1\'24\nT200,000\nPLương\n^\n';
+
+    test('reads records separated by ^', () => {
+        const { rows } = parseQif(content);
+        assert.equal(rows.length, 2);
+        assert.deepEqual(rows[0], {
+            row: 1,
+            rawDate: '05/01/2024',
+            date: new Date(2024, 0, 5),
+            amount: -1500000,
+            purpose: 'Tiền nhà',
+            location: 'Chủ nhà',
+            category: 'essentials',
+            externalId: '101',
+        });
+        assert.deepEqual(rows[1].date, new Date(2024, 0, 5));
+        assert.equal(rows[1].purpose, 'Lương');
+        assert.equal(rows[1].amount, 200000);
+    });
+
+    test('dateOrder mdy swaps day and month', () => {
+        const { rows } = parseQif(content, { dateOrder: 'mdy' });
+        assert.deepEqual(rows[0].date, new Date(2024, 4, 1));
+    });
+
+    test('impossible dates are null', () => {
+        const { rows } = parseQif('D31/02/2024\nT10\n^\n');
+        assert.equal(rows[0].date, null);
+    });
+});
@@ -0,0 +1,138 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const { postTransaction, postTransactions } = require('../services/ledger');
+const { createExpense } = require('../services/budget');
+const { InsufficientFundsError } = require('../utils/errors');
+
+// In-memory stand-in for the one user document the ledger updates. findOneAndUpdate
+// applies the guard filter the way Mongo would: no match, no write.
+let stored;
+let inserted;
+
+const matches = (filter) => Object.entries(filter).every(([path, condition]) => {
+    if (path === '_id') return String(condition) === String(stored._id);
+    const value = stored.allocations.get(path.replace(/^allocations\./, '')) || 0;
+    return value >= condition.$gte;
+});
+
+const query = (result) => ({ session: async () => result });
+
+beforeEach(() => {
+    stored = {
+        _id: new mongoose.Types.ObjectId(),
+        baseCurrency: 'VND',
+        initialBudget: 1000000,
+        allocations: new Map([['essentials', 500000], ['savings', 200000]]),
+        categories: [{ key: 'essentials', name: 'Thiết yếu' }, { key: 'savings', name: 'Tiết kiệm' }],
+    };
+    inserted = [];
+    mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+        if (!matches(filter)) return null;
+        for (const [path, amount] of Object.entries(update.$inc)) {
+            if (path === 'initialBudget') {
+                stored.initialBudget += amount;
+            } else {
+                const category = path.replace(/^allocations\./, '');
+                stored.allocations.set(category, (stored.allocations.get(category) || 0) + amount);
+            }
+        }
+        return stored;
+    });
+    mock.method(User, 'findById', () => query(stored));
+    mock.method(Transaction, 'insertMany', async (docs) => {
+        inserted.push(...docs);
+        return docs;
+    });
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a guarded debit within the balance is applied and recorded', async () => {
+    const { user, transaction } = await postTransaction(stored._id, {
+        type: 'expense',
+        amount: 150000,
+        legs: [{ category: 'essentials', amount: -150000 }],
+        budgetDelta: -150000,
+    }, { guard: ['essentials'] });
+
+    assert.equal(user.allocations.get('essentials'), 350000);
+    assert.equal(user.initialBudget, 850000);
+    assert.equal(transaction.type, 'expense');
+    assert.equal(inserted.length, 1);
+
+    const [filter, update] = User.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(filter['allocations.essentials'], { $gte: 150000 });
+    assert.deepEqual(update, { $inc: { 'allocations.essentials': -150000, initialBudget: -150000 } });
+});
+
+test('a guarded debit larger than the balance writes nothing', async () => {
+    await assert.rejects(
+        postTransaction(stored._id, {
+            type: 'expense',
+            amount: 600000,
+            legs: [{ category: 'essentials', amount: -600000 }],
+            budgetDelta: -600000,
+        }, { guard: ['essentials'] }),
+        (error) => {
+            assert.ok(error instanceof InsufficientFundsError);
+            assert.equal(error.status, 400);
+            assert.equal(error.category, 'essentials');
+            assert.equal(error.available, 500000);
+            assert.equal(error.currency, 'VND');
+            return true;
+        }
+    );
+    assert.equal(stored.allocations.get('essentials'), 500000);
+    assert.equal(stored.initialBudget, 1000000);
+    assert.equal(inserted.length, 0);
+});
+
+test('the guard checks the net debit across all entries', async () => {
+    const entry = (amount) => ({ type: 'expense', amount, legs: [{ category: 'savings', amount: -amount }], budgetDelta: -amount });
+
+    await assert.rejects(postTransactions(stored._id, [entry(150000), entry(100000)], { guard: ['savings'] }), InsufficientFundsError);
+    assert.equal(inserted.length, 0);
+
+    await postTransactions(stored._id, [entry(150000), entry(50000)], { guard: ['savings'] });
+    assert.equal(stored.allocations.get('savings'), 0);
+    assert.equal(inserted.length, 2);
+});
+
+test('only categories in the guard may go negative', async () => {
+    const { user } = await postTransaction(stored._id, {
+        type: 'transfer',
+        amount: 300000,
+        legs: [{ category: 'savings', amount: -300000 }, { category: 'essentials', amount: 300000 }],
+    }, { guard: ['essentials'] });
+
+    assert.equal(user.allocations.get('savings'), -100000);
+    assert.equal(user.allocations.get('essentials'), 800000);
+    assert.deepEqual(Object.keys(User.findOneAndUpdate.mock.calls[0].arguments[0]), ['_id']);
+});
+
+test('the error names the user base currency', async () => {
+    stored.baseCurrency = 'USD';
+    await assert.rejects(
+        postTransaction(stored._id, { type: 'expense', amount: 1e9, legs: [{ category: 'savings', amount: -1e9 }] }, { guard: ['savings'] }),
+        { currency: 'USD', message: /USD/ }
+    );
+});
+
+test('createExpense saves nothing when the debit is refused', async () => {
+    const save = mock.method(Expense.prototype, 'save', async function () { return this; });
+
+    await assert.rejects(
+        createExpense(stored._id, { amount: 900000, category: 'essentials', purpose: 'Laptop', location: 'Hà Nội' }),
+        InsufficientFundsError
+    );
+    assert.equal(save.mock.callCount(), 0);
+
+    const expense = await createExpense(stored._id, { amount: 100000, category: 'essentials', purpose: 'Chợ', location: 'Hà Nội' });
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(String(inserted[0].expenseId), String(expense._id));
+    assert.equal(stored.allocations.get('essentials'), 400000);
+});
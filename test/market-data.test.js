@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redisConfig = require('../config/redis');
+
+// In-memory stand-in for the node-redis client; one that is not ready never answers,
+// like node-redis queueing commands while it reconnects
+let redis = null;
+const fakeRedis = () => {
+    const store = new Map();
+    const answer = function (value) { return this.isReady ? Promise.resolve(value()) : new Promise(() => {}); };
+    return {
+        isReady: true,
+        store,
+        get: function (key) { return answer.call(this, () => store.get(key) ?? null); },
+        set: function (key, value) { return answer.call(this, () => store.set(key, value) && 'OK'); },
+        setEx: function (key, ttl, value) { return answer.call(this, () => store.set(key, value) && 'OK'); },
+    };
+};
+redisConfig.getRedisClient = () => redis;
+
+const marketData = require('../services/marketData');
+const { MarketDataError } = require('../utils/errors');
+
+const coingecko = marketData.PROVIDERS.coingecko;
+const SIX_MINUTES = 6 * 60 * 1000;
+let asset = 0;
+// Each test prices its own asset so the in-memory cache of one does not leak into another
+const nextAsset = () => `TEST${++asset}`;
+
+beforeEach(() => {
+    redis = null;
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+// Let the cached price age past its five minute TTL
+const later = () => {
+    const now = Date.now() + SIX_MINUTES;
+    mock.method(Date, 'now', () => now);
+};
+
+test('a fresh price comes from the provider and is then served from the cache', async () => {
+    const symbol = nextAsset();
+    mock.method(coingecko, 'getPrice', async () => 42000);
+
+    const first = await marketData.getPrice(symbol, 'usd');
+    assert.equal(first.price, 42000);
+    assert.equal(first.quote, 'USD');
+    assert.equal(first.source, 'coingecko');
+    assert.equal(first.stale, false);
+
+    await marketData.getPrice(symbol, 'USD');
+    assert.equal(coingecko.getPrice.mock.callCount(), 1);
+});
+
+test('a provider failure falls back to the last known price, labeled stale', async () => {
+    const symbol = nextAsset();
+    mock.method(coingecko, 'getPrice', async () => 42000);
+    const first = await marketData.getPrice(symbol, 'USD');
+
+    later();
+    coingecko.getPrice.mock.mockImplementation(async () => { throw new Error('timeout'); });
+    const fallback = await marketData.getPrice(symbol, 'USD');
+    assert.equal(fallback.price, 42000);
+    assert.equal(fallback.source, 'cache');
+    assert.equal(fallback.stale, true);
+    assert.equal(fallback.asOf, first.asOf);
+});
+
+test('without any cached value a provider failure is a MarketDataError', async () => {
+    mock.method(coingecko, 'getPrice', async () => { throw new Error('timeout'); });
+    await assert.rejects(marketData.getPrice(nextAsset(), 'USD'), (error) => {
+        assert.ok(error instanceof MarketDataError);
+        assert.equal(error.status, 503);
+        return true;
+    });
+});
+
+test('pairs the provider does not list are not answered from the cache', async () => {
+    const symbol = nextAsset();
+    mock.method(coingecko, 'getPrice', async () => 1);
+    await marketData.getPrice(symbol, 'USD');
+
+    later();
+    coingecko.getPrice.mock.mockImplementation(async () => { throw new MarketDataError('không hỗ trợ', 404); });
+    await assert.rejects(marketData.getPrice(symbol, 'USD'), { status: 404 });
+});
+
+test('the last known price survives in Redis across instances', async () => {
+    const symbol = nextAsset();
+    redis = fakeRedis();
+    mock.method(coingecko, 'getPrice', async () => 42000);
+    await marketData.getPrice(symbol, 'USD');
+    assert.ok(redis.store.has(`market:price:${symbol}:USD:lkg`));
+
+    later();
+    coingecko.getPrice.mock.mockImplementation(async () => { throw new Error('timeout'); });
+    const fallback = await marketData.getPrice(symbol, 'USD');
+    assert.equal(fallback.price, 42000);
+    assert.equal(fallback.stale, true);
+});
+
+test('lookups do not wait for a reconnecting Redis', async () => {
+    const symbol = nextAsset();
+    redis = fakeRedis();
+    mock.method(coingecko, 'getPrice', async () => 42000);
+    await marketData.getPrice(symbol, 'USD');
+
+    redis.isReady = false;
+    later();
+    coingecko.getPrice.mock.mockImplementation(async () => { throw new Error('timeout'); });
+    const fallback = await marketData.getPrice(symbol, 'USD');
+    assert.equal(fallback.price, 42000);
+    assert.equal(fallback.source, 'cache');
+});
+
+test('an unknown provider name is a configuration error', async () => {
+    process.env.MARKET_DATA_PROVIDER = 'nope';
+    try {
+        assert.throws(() => marketData.getProvider(), { status: 500 });
+    } finally {
+        delete process.env.MARKET_DATA_PROVIDER;
+    }
+});
@@ -0,0 +1,107 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const BudgetPeriod = require('../models/BudgetPeriod');
+const { periodBounds, plannedVsActual, closePeriod } = require('../services/periods');
+
+afterEach(() => mock.restoreAll());
+
+test('monthly periods start on the configured day', () => {
+    assert.deepEqual(periodBounds({ cycle: 'month', startDay: 1 }, new Date(2024, 1, 15)), {
+        start: new Date(2024, 1, 1),
+        end: new Date(2024, 2, 1),
+    });
+    // Paid on the 25th: 10 March still belongs to the cycle that began on 25 February
+    assert.deepEqual(periodBounds({ cycle: 'month', startDay: 25 }, new Date(2024, 2, 10)), {
+        start: new Date(2024, 1, 25),
+        end: new Date(2024, 2, 25),
+    });
+    assert.deepEqual(periodBounds({ cycle: 'month', startDay: 25 }, new Date(2024, 11, 25)).end, new Date(2025, 0, 25));
+});
+
+test('custom periods repeat every lengthDays from the anchor', () => {
+    const settings = { cycle: 'custom', anchorDate: new Date(2024, 0, 1, 15, 30), lengthDays: 14 };
+    const { start, end } = periodBounds(settings, new Date(2024, 0, 20));
+    assert.deepEqual(start, new Date(2024, 0, 15));
+    assert.equal((end - start) / (24 * 60 * 60 * 1000), 14);
+});
+
+test('plannedVsActual covers planned and unplanned categories', () => {
+    const period = { planned: new Map([['essentials', 500], ['charity', 100]]) };
+    assert.deepEqual(plannedVsActual(period, { essentials: 650, selfInvestment: 40 }), [
+        { category: 'essentials', planned: 500, actual: 650, remaining: -150 },
+        { category: 'charity', planned: 100, actual: 0, remaining: 100 },
+        { category: 'selfInvestment', planned: 0, actual: 40, remaining: -40 },
+    ]);
+});
+
+// A budget with an open period, spending of `spent` and jar balances `allocations`
+const stubClose = ({ rules = {}, unspentRule = 'rollover', allocations, spent }) => {
+    const user = new User({
+        username: 'an',
+        password: 'x',
+        allocations,
+        periodSettings: { unspentRule, sweepTo: 'savings' },
+    });
+    const period = new BudgetPeriod({
+        userId: user._id,
+        start: new Date(2024, 0, 1),
+        end: new Date(2024, 1, 1),
+        planned: { essentials: 500, charity: 100, selfInvestment: 200 },
+        rules,
+    });
+    mock.method(mongoose, 'startSession', async () => ({
+        withTransaction: async (fn) => fn(),
+        endSession: async () => {},
+    }));
+    mock.method(BudgetPeriod, 'findOne', () => ({ session: async () => period }));
+    mock.method(User, 'findById', () => ({ session: async () => user }));
+    mock.method(Expense, 'aggregate', () => ({
+        session: async () => Object.entries(spent).map(([category, total]) => ({ _id: category, total })),
+    }));
+    mock.method(User, 'findOneAndUpdate', async () => user);
+    mock.method(Transaction, 'insertMany', async (docs) => docs);
+    mock.method(period, 'save', async () => period);
+    return period;
+};
+
+test('closing a period applies each category rule to what is left in the jar', async () => {
+    const period = stubClose({
+        rules: { charity: 'expire', selfInvestment: 'sweep' },
+        allocations: { essentials: 300, charity: 100, selfInvestment: 50, savings: 0 },
+        spent: { essentials: 350, charity: 20, selfInvestment: 100 },
+    });
+
+    const closed = await closePeriod(period._id);
+    assert.equal(closed.status, 'closed');
+    assert.deepEqual(closed.summary.map(({ category, unspent, rule, moved }) => ({ category, unspent, rule, moved })), [
+        { category: 'essentials', unspent: 150, rule: 'rollover', moved: 0 },
+        { category: 'charity', unspent: 80, rule: 'expire', moved: 80 },
+        // Only the 50 still in the jar can move, although 100 of the plan was unspent
+        { category: 'selfInvestment', unspent: 50, rule: 'sweep', moved: 50 },
+    ]);
+
+    const [, update] = User.findOneAndUpdate.mock.calls[0].arguments;
+    assert.deepEqual(update.$inc, {
+        'allocations.charity': -80,
+        'allocations.selfInvestment': -50,
+        'allocations.savings': 50,
+        initialBudget: -80,
+    });
+    assert.deepEqual(Transaction.insertMany.mock.calls[0].arguments[0].map(t => t.type), ['adjustment', 'transfer']);
+});
+
+test('a period without money to move closes without ledger entries', async () => {
+    const period = stubClose({
+        allocations: { essentials: 0, charity: 0, selfInvestment: 0 },
+        spent: { essentials: 500 },
+        unspentRule: 'expire',
+    });
+
+    const closed = await closePeriod(period._id);
+    assert.equal(closed.status, 'closed');
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 0);
+});
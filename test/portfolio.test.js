@@ -0,0 +1,94 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const marketData = require('../services/marketData');
+const {
+    buildPositions,
+    currentPrices,
+    summarizeHoldings,
+    performanceSeries,
+} = require('../services/portfolio');
+const { AppError } = require('../utils/errors');
+
+const trade = (side, quantity, price, day, asset = 'BTC', assetClass = 'crypto') => ({
+    asset,
+    assetClass,
+    side,
+    quantity,
+    price,
+    amount: quantity * price,
+    timestamp: new Date(2024, 0, day),
+});
+
+const trades = [
+    trade('buy', 1, 100, 1),
+    trade('buy', 1, 200, 2),
+    trade('sell', 1, 300, 3),
+];
+
+afterEach(() => mock.restoreAll());
+
+test('FIFO sells consume the oldest lot first', () => {
+    const btc = buildPositions(trades, 'fifo').get('BTC');
+    assert.equal(btc.quantity, 1);
+    assert.equal(btc.costBasis, 200);
+    assert.equal(btc.realizedPnl, 200);
+});
+
+test('average cost sells take the running average', () => {
+    const btc = buildPositions(trades, 'average').get('BTC');
+    assert.equal(btc.quantity, 1);
+    assert.equal(btc.costBasis, 150);
+    assert.equal(btc.realizedPnl, 150);
+});
+
+test('selling more than is held is refused', () => {
+    assert.throws(() => buildPositions([trade('buy', 1, 100, 1), trade('sell', 2, 100, 2)]), AppError);
+});
+
+test('a position sold out keeps its realized P&L and no cost', () => {
+    const btc = buildPositions([trade('buy', 0.5, 100, 1), trade('sell', 0.5, 80, 2)], 'fifo').get('BTC');
+    assert.equal(btc.quantity, 0);
+    assert.equal(btc.costBasis, 0);
+    assert.equal(btc.realizedPnl, -10);
+});
+
+test('summarizeHoldings values positions and splits them by asset class', () => {
+    const positions = buildPositions([...trades, trade('buy', 10, 30, 4, 'FUEVFVND', 'fund')], 'fifo');
+    const prices = { BTC: { price: 500, source: 'coingecko', at: 'now' } };
+    const { holdings, allocation, totals } = summarizeHoldings(positions, prices);
+
+    assert.deepEqual(holdings.map(h => [h.asset, h.marketValue, h.unrealizedPnl, h.priceSource]), [
+        ['BTC', 500, 300, 'coingecko'],
+        // Not quoted: valued at its last trade price
+        ['FUEVFVND', 300, 0, 'lastTrade'],
+    ]);
+    assert.equal(holdings[0].allocationPercent, 62.5);
+    assert.deepEqual(allocation, [
+        { assetClass: 'crypto', marketValue: 500, percent: 62.5 },
+        { assetClass: 'fund', marketValue: 300, percent: 37.5 },
+    ]);
+    assert.deepEqual(totals, { costBasis: 500, marketValue: 800, unrealizedPnl: 300, realizedPnl: 200 });
+});
+
+test('currentPrices asks for the base currency and falls back to the last trade', async () => {
+    mock.method(marketData, 'getPrice', async (asset, quote) => {
+        if (asset !== 'BTC') throw new Error('không hỗ trợ');
+        return { price: quote === 'USD' ? 42000 : 0, source: 'coingecko', asOf: 'now', stale: false };
+    });
+    const positions = buildPositions([trade('buy', 1, 40000, 1), trade('buy', 2, 10, 2, 'GOLD', 'gold')], 'fifo');
+
+    const prices = await currentPrices(positions, 'USD');
+    assert.deepEqual(prices.BTC, { price: 42000, source: 'coingecko', at: 'now' });
+    assert.equal(prices.GOLD.price, 10);
+    assert.equal(prices.GOLD.source, 'lastTrade');
+    assert.deepEqual(marketData.getPrice.mock.calls.map(c => c.arguments[1]), ['USD', 'USD']);
+});
+
+test('performanceSeries has one point per trading day', () => {
+    const series = performanceSeries([...trades, trade('buy', 1, 250, 3)], 'fifo');
+    assert.deepEqual(series, [
+        { date: '2024-01-01', invested: 100, value: 100, realizedPnl: 0 },
+        { date: '2024-01-02', invested: 300, value: 400, realizedPnl: 0 },
+        { date: '2024-01-03', invested: 450, value: 500, realizedPnl: 200 },
+    ]);
+});
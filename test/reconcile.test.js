@@ -0,0 +1,64 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Transaction = require('../models/Transaction');
+const { findExpenseDrift } = require('../services/reconcile');
+
+const userId = new mongoose.Types.ObjectId();
+const idAt = (date) => mongoose.Types.ObjectId.createFromTime(Math.floor(date.getTime() / 1000));
+const lean = (result) => ({ session: () => ({ lean: async () => result }) });
+
+// Ledger rows per expense as ledgerByExpense's aggregation groups them
+const stubStore = ({ expenses, charges = [], opening = null }) => {
+    mock.method(Expense, 'find', () => lean(expenses));
+    mock.method(Transaction, 'findOne', () => lean(opening));
+    mock.method(Transaction, 'aggregate', () => ({
+        session: async () => charges.map(({ expense, amount }) => ({
+            _id: expense._id,
+            budgetDelta: -amount,
+            legs: [[{ category: expense.category, amount: -amount }]],
+        })),
+    }));
+};
+
+afterEach(() => mock.restoreAll());
+
+test('expenses from before the opening balance are not debited again', async () => {
+    const legacy = { _id: idAt(new Date('2023-06-01')), amount: 50000, category: 'essentials', purpose: 'Chợ' };
+    stubStore({ expenses: [legacy], opening: { timestamp: new Date('2024-01-01') } });
+
+    assert.deepEqual(await findExpenseDrift(userId, null), []);
+});
+
+test('expenses saved after the opening balance without a debit are reported', async () => {
+    const expense = { _id: idAt(new Date('2024-03-01')), amount: 50000, category: 'essentials', purpose: 'Chợ' };
+    stubStore({ expenses: [expense], opening: { timestamp: new Date('2024-01-01') } });
+
+    const [finding] = await findExpenseDrift(userId, null);
+    assert.equal(finding.issue, 'missing_debit');
+    assert.equal(finding.difference, 50000);
+    assert.deepEqual(finding.correction.legs, [{ category: 'essentials', amount: -50000 }]);
+});
+
+test('charged expenses are compared whenever they were created', async () => {
+    const legacy = { _id: idAt(new Date('2023-06-01')), amount: 80000, category: 'essentials', purpose: 'Sửa xe' };
+    stubStore({
+        expenses: [legacy],
+        charges: [{ expense: legacy, amount: 50000 }],
+        opening: { timestamp: new Date('2024-01-01') },
+    });
+
+    const [finding] = await findExpenseDrift(userId, null);
+    assert.equal(finding.issue, 'amount_mismatch');
+    assert.equal(finding.difference, 30000);
+});
+
+test('a charge for a deleted expense is reported as a missing refund', async () => {
+    const deleted = { _id: new mongoose.Types.ObjectId(), category: 'savings' };
+    stubStore({ expenses: [], charges: [{ expense: deleted, amount: 20000 }] });
+
+    const [finding] = await findExpenseDrift(userId, null);
+    assert.equal(finding.issue, 'missing_refund');
+    assert.deepEqual(finding.correction.legs, [{ category: 'savings', amount: 20000 }]);
+});
@@ -0,0 +1,86 @@
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redisConfig = require('../config/redis');
+
+// In-memory stand-in for the node-redis client. A client that is not ready never
+// answers, like node-redis queueing commands while it reconnects.
+let redis = null;
+const fakeRedis = () => {
+    const store = new Map();
+    const pending = () => new Promise(() => {});
+    return {
+        isReady: true,
+        store,
+        get: async function (key) { return this.isReady ? store.get(key) ?? null : pending(); },
+        setEx: async function (key, ttl, value) { return this.isReady ? store.set(key, value) && 'OK' : pending(); },
+        incr: async function (key) {
+            if (!this.isReady) return pending();
+            store.set(key, String(Number(store.get(key) || 0) + 1));
+            return Number(store.get(key));
+        },
+    };
+};
+redisConfig.getRedisClient = () => redis;
+
+const { cachedReport, invalidateReports } = require('../services/reportCache');
+
+const counter = () => {
+    let calls = 0;
+    const compute = async () => ({ total: 100, calls: ++calls });
+    return { compute, calls: () => calls };
+};
+
+beforeEach(() => {
+    redis = fakeRedis();
+});
+
+test('a report is computed once and then served from the cache', async () => {
+    const { compute, calls } = counter();
+    const first = await cachedReport('u1', 'summary', { from: '2024-01-01', to: '2024-01-31' }, compute);
+    const second = await cachedReport('u1', 'summary', { to: '2024-01-31', from: '2024-01-01' }, compute);
+    assert.deepEqual(second, first);
+    assert.equal(calls(), 1);
+});
+
+test('different parameters, reports and users are cached apart', async () => {
+    const { compute, calls } = counter();
+    await cachedReport('u1', 'summary', { from: '2024-01-01' }, compute);
+    await cachedReport('u1', 'summary', { from: '2024-02-01' }, compute);
+    await cachedReport('u1', 'trend', { from: '2024-01-01' }, compute);
+    await cachedReport('u2', 'summary', { from: '2024-01-01' }, compute);
+    assert.equal(calls(), 4);
+});
+
+test('invalidateReports makes every cached report of the user stale', async () => {
+    const { compute, calls } = counter();
+    await cachedReport('u1', 'summary', {}, compute);
+    await cachedReport('u2', 'summary', {}, compute);
+    await invalidateReports('u1');
+
+    assert.equal((await cachedReport('u1', 'summary', {}, compute)).calls, 3);
+    assert.equal((await cachedReport('u2', 'summary', {}, compute)).calls, 2);
+    assert.equal(calls(), 3);
+});
+
+test('reports are computed directly while Redis is missing or reconnecting', async () => {
+    const { compute, calls } = counter();
+    redis = null;
+    await cachedReport('u1', 'summary', {}, compute);
+
+    redis = fakeRedis();
+    redis.isReady = false;
+    await cachedReport('u1', 'summary', {}, compute);
+    await invalidateReports('u1');
+    assert.equal(calls(), 2);
+    assert.equal(redis.store.size, 0);
+});
+
+test('a failing cache read falls back to computing the report', async () => {
+    const { compute, calls } = counter();
+    redis.get = async () => { throw new Error('READONLY'); };
+    const logged = mock.method(console, 'error', () => {});
+    assert.equal((await cachedReport('u1', 'summary', {}, compute)).total, 100);
+    logged.mock.restore();
+    assert.equal(calls(), 1);
+    assert.equal(logged.mock.callCount(), 1);
+});
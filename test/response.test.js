@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { once } = require('events');
+const { writeChunk } = require('../utils/response');
+
+// Serve one request with `handler`, hand back its result and shut the server down
+const serveOnce = async (handler, client) => {
+    let result;
+    const server = http.createServer((req, res) => {
+        result = handler(req, res);
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    try {
+        await client(`http://127.0.0.1:${server.address().port}/`);
+        return await result;
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+};
+
+test('writeChunk resolves true and the client receives every chunk', async () => {
+    let body = '';
+    const written = await serveOnce(async (req, res) => {
+        const results = [];
+        for (let i = 0; i < 3; i++) results.push(await writeChunk(res, `${i};`));
+        res.end();
+        return results;
+    }, async (url) => {
+        const response = await new Promise(resolve => http.get(url, resolve));
+        for await (const chunk of response) body += chunk;
+    });
+    assert.deepEqual(written, [true, true, true]);
+    assert.equal(body, '0;1;2;');
+});
+
+test('writeChunk stops waiting for drain once the client disconnects', async () => {
+    const chunk = 'x'.repeat(64 * 1024);
+    const outcome = await serveOnce(async (req, res) => {
+        let writes = 0;
+        // A client that never reads fills the buffers until the write has to wait for 'drain'
+        while (await writeChunk(res, chunk)) writes++;
+        return { writes, again: await writeChunk(res, chunk) };
+    }, async (url) => {
+        const request = http.get(url);
+        const [response] = await once(request, 'response');
+        response.pause();
+        await new Promise(resolve => setTimeout(resolve, 200));
+        request.destroy();
+    });
+    assert.ok(outcome.writes > 0);
+    assert.equal(outcome.again, false);
+});
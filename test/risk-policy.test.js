@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RISK_POLICY, validateRiskPolicy, evaluateBuy } = require('../services/riskPolicy');
+
+const user = (riskPolicy, allocations = {}) => ({
+    baseCurrency: 'USD',
+    riskPolicy,
+    allocations: new Map(Object.entries({
+        essentials: 500,
+        savings: 200,
+        selfInvestment: 150,
+        charity: 50,
+        emergency: 100,
+        ...allocations,
+    })),
+});
+
+const holdings = [
+    { asset: 'BTC', assetClass: 'crypto', marketValue: 600 },
+    { asset: 'VNM', assetClass: 'stock', marketValue: 400 },
+];
+const buy = (asset, assetClass, amount) => ({ asset, assetClass, amount });
+
+test('validateRiskPolicy accepts the default policy and rejects bad rules', () => {
+    assert.equal(validateRiskPolicy(DEFAULT_RISK_POLICY), null);
+    assert.ok(validateRiskPolicy({}));
+    assert.match(validateRiskPolicy([{ rule: 'maxLeverage', mode: 'hard' }]), /#1/);
+    assert.match(validateRiskPolicy([{ rule: 'maxAssetPercent', mode: 'strict', limit: 10 }]), /hard hoặc soft/);
+    assert.match(validateRiskPolicy([{ rule: 'maxAssetPercent', mode: 'soft', limit: 120 }]), /100/);
+    assert.equal(validateRiskPolicy([{ rule: 'minEmergencyReserve', mode: 'hard', limit: 5000000 }]), null);
+    assert.match(validateRiskPolicy([{ rule: 'maxAssetClassPercent', mode: 'soft', limit: 50, assetClass: 'art' }]), /Loại tài sản/);
+});
+
+test('fundingBudget allows buys up to selfInvestment plus emergency', () => {
+    const [within] = evaluateBuy(user([{ rule: 'fundingBudget', mode: 'hard' }]), [], buy('BTC', 'crypto', 250));
+    assert.equal(within.passed, true);
+    assert.equal(within.limit, 250);
+    assert.equal(within.message, null);
+
+    const [over] = evaluateBuy(user([{ rule: 'fundingBudget', mode: 'hard' }]), [], buy('BTC', 'crypto', 251));
+    assert.equal(over.passed, false);
+    assert.equal(over.mode, 'hard');
+    assert.match(over.message, /250 USD/);
+});
+
+test('maxAssetPercent measures the asset against everything held after the buy', () => {
+    // Cash 1000 + holdings 1000 + buy 100: BTC would be 700 of 2100
+    const [outcome] = evaluateBuy(user([{ rule: 'maxAssetPercent', mode: 'soft', limit: 30 }]), holdings, buy('BTC', 'crypto', 100));
+    assert.equal(outcome.actual, 33.33);
+    assert.equal(outcome.passed, false);
+    assert.match(outcome.message, /BTC/);
+
+    const [other] = evaluateBuy(user([{ rule: 'maxAssetPercent', mode: 'soft', limit: 30 }]), holdings, buy('ETH', 'crypto', 100));
+    assert.equal(other.actual, 4.76);
+    assert.equal(other.passed, true);
+});
+
+test('rules scoped to another asset or asset class do not apply', () => {
+    const policy = [
+        { rule: 'maxAssetPercent', mode: 'soft', limit: 1, asset: 'ETH' },
+        { rule: 'maxAssetClassPercent', mode: 'hard', limit: 1, assetClass: 'stock' },
+    ];
+    assert.deepEqual(evaluateBuy(user(policy), holdings, buy('BTC', 'crypto', 100)), []);
+});
+
+test('maxAssetClassPercent sums every holding of the class', () => {
+    const [outcome] = evaluateBuy(
+        user([{ rule: 'maxAssetClassPercent', mode: 'hard', limit: 50 }]),
+        [...holdings, { asset: 'ETH', assetClass: 'crypto', marketValue: 300 }],
+        buy('SOL', 'crypto', 150)
+    );
+    // (600 + 300 + 150) of (1000 + 1300 + 150)
+    assert.equal(outcome.actual, 42.86);
+    assert.equal(outcome.passed, true);
+});
+
+test('minEmergencyReserve spends selfInvestment before the emergency jar', () => {
+    const policy = [{ rule: 'minEmergencyReserve', mode: 'hard', limit: 60 }];
+    const [fromSelf] = evaluateBuy(user(policy), [], buy('BTC', 'crypto', 150));
+    assert.equal(fromSelf.actual, 100);
+    assert.equal(fromSelf.passed, true);
+
+    const [dips] = evaluateBuy(user(policy), [], buy('BTC', 'crypto', 200));
+    assert.equal(dips.actual, 50);
+    assert.equal(dips.passed, false);
+    assert.match(dips.message, /60 USD/);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateSchedule,
+    firstOccurrence,
+    nextOccurrence,
+    upcomingOccurrences,
+} = require('../services/schedule');
+
+test('validateSchedule checks the frequency and cron expression', () => {
+    assert.equal(validateSchedule({ frequency: 'monthly' }), null);
+    assert.equal(validateSchedule({ frequency: 'cron', cron: '0 8 * * 1' }), null);
+    assert.match(validateSchedule({ frequency: 'yearly' }), /Tần suất/);
+    assert.match(validateSchedule({ frequency: 'cron', cron: 'not cron' }), /cron/);
+    assert.ok(validateSchedule(null));
+});
+
+test('monthly occurrences clamp to the month end and return to the day afterwards', () => {
+    const schedule = { frequency: 'monthly', dayOfMonth: 31 };
+    const dates = upcomingOccurrences(schedule, new Date(2024, 0, 31), null, 4);
+    assert.deepEqual(dates, [
+        new Date(2024, 0, 31),
+        new Date(2024, 1, 29),
+        new Date(2024, 2, 31),
+        new Date(2024, 3, 30),
+    ]);
+});
+
+test('monthly intervals skip months', () => {
+    const schedule = { frequency: 'monthly', interval: 3, dayOfMonth: 15 };
+    assert.deepEqual(nextOccurrence(schedule, new Date(2024, 10, 15)), new Date(2025, 1, 15));
+});
+
+test('daily and weekly intervals', () => {
+    assert.deepEqual(nextOccurrence({ frequency: 'daily', interval: 2 }, new Date(2024, 1, 28)), new Date(2024, 2, 1));
+    assert.deepEqual(nextOccurrence({ frequency: 'weekly' }, new Date(2024, 11, 30)), new Date(2025, 0, 6));
+    assert.equal(nextOccurrence({ frequency: 'yearly' }, new Date()), null);
+});
+
+test('firstOccurrence moves to the scheduled weekday or day of month', () => {
+    // 1 May 2024 is a Wednesday
+    assert.deepEqual(firstOccurrence({ frequency: 'weekly', dayOfWeek: 1 }, new Date(2024, 4, 1)), new Date(2024, 4, 6));
+    assert.deepEqual(firstOccurrence({ frequency: 'monthly', dayOfMonth: 10 }, new Date(2024, 4, 1)), new Date(2024, 4, 10));
+    assert.deepEqual(firstOccurrence({ frequency: 'monthly', dayOfMonth: 10 }, new Date(2024, 4, 11)), new Date(2024, 5, 10));
+});
+
+test('upcomingOccurrences stops at the end date and the count', () => {
+    const schedule = { frequency: 'daily' };
+    assert.equal(upcomingOccurrences(schedule, new Date(2024, 0, 1), new Date(2024, 0, 3), 10).length, 3);
+    assert.equal(upcomingOccurrences(schedule, new Date(2024, 0, 1), null, 5).length, 5);
+});
@@ -0,0 +1,155 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const redisConfig = require('../config/redis');
+const Session = require('../models/Session');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+let redis = null;
+redisConfig.getRedisClient = () => redis;
+
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeAllSessions,
+    isSessionRevoked,
+    listSessions,
+} = require('../services/sessions');
+const authMiddleware = require('../middleware/auth');
+const { AppError } = require('../utils/errors');
+
+// In-memory stand-in for the sessions collection, enough for the queries the service makes
+let sessions;
+
+const same = (value, expected) => {
+    if (expected && typeof expected === 'object' && !(expected instanceof mongoose.Types.ObjectId)) {
+        if ('$ne' in expected) return String(value) !== String(expected.$ne);
+        if ('$gt' in expected) return value > expected.$gt;
+    }
+    if (expected === null) return value === null;
+    if (Array.isArray(value)) return value.includes(expected);
+    return String(value) === String(expected);
+};
+const matching = (filter) => sessions.filter(s => Object.entries(filter).every(([key, expected]) => same(s[key], expected)));
+
+const req = { get: () => 'node-test', ip: '127.0.0.1' };
+const userId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+    sessions = [];
+    redis = null;
+    mock.method(console, 'warn', () => {});
+    mock.method(Session, 'create', async (doc) => {
+        const session = { _id: new mongoose.Types.ObjectId(), rotatedHashes: [], revokedAt: null, revokedReason: null, ...doc };
+        sessions.push(session);
+        return session;
+    });
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+        const [session] = matching(filter);
+        if (!session) return null;
+        Object.assign(session, update.$set);
+        session.rotatedHashes.push(...update.$push.rotatedHashes.$each);
+        return session;
+    });
+    mock.method(Session, 'findOne', async (filter) => matching(filter)[0] || null);
+    mock.method(Session, 'updateOne', async (filter, update) => {
+        const found = matching(filter);
+        found.forEach(s => Object.assign(s, update.$set));
+        return { modifiedCount: found.length };
+    });
+    mock.method(Session, 'updateMany', async (filter, update) => {
+        const found = matching(filter);
+        found.forEach(s => Object.assign(s, update.$set));
+        return { modifiedCount: found.length };
+    });
+    mock.method(Session, 'find', (filter) => {
+        const found = matching(filter);
+        const query = { sort: () => query, lean: async () => found };
+        return query;
+    });
+    mock.method(Session, 'exists', async (filter) => (matching(filter).length > 0 ? { _id: filter._id } : null));
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a login gets an access token bound to its session and a refresh token', async () => {
+    const { token, refreshToken } = await createSession(userId, req);
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const [sessionId, secret] = refreshToken.split('.');
+
+    assert.equal(decoded.id, String(userId));
+    assert.equal(decoded.sid, sessionId);
+    assert.equal(String(sessions[0]._id), sessionId);
+    // Only a hash of the secret is stored
+    assert.notEqual(sessions[0].tokenHash, secret);
+    assert.equal(sessions[0].userAgent, 'node-test');
+});
+
+test('refreshing rotates the refresh token', async () => {
+    const first = await createSession(userId, req);
+    const second = await rotateRefreshToken(first.refreshToken, req);
+
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+    const third = await rotateRefreshToken(second.refreshToken, req);
+    assert.ok(third.token);
+    assert.equal(sessions[0].rotatedHashes.length, 2);
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+    const first = await createSession(userId, req);
+    const second = await rotateRefreshToken(first.refreshToken, req);
+
+    await assert.rejects(rotateRefreshToken(first.refreshToken, req), { status: 401 });
+    assert.equal(sessions[0].revokedReason, 'reuse');
+    // The copy that was rotated legitimately stops working too
+    await assert.rejects(rotateRefreshToken(second.refreshToken, req), { status: 401 });
+    assert.equal(await isSessionRevoked(String(sessions[0]._id)), true);
+});
+
+test('malformed and unknown refresh tokens are refused', async () => {
+    for (const token of [undefined, '', 'abc', 'not-an-id.secret', `${new mongoose.Types.ObjectId()}.secret`]) {
+        await assert.rejects(rotateRefreshToken(token, req), (error) => error instanceof AppError && error.status === 401);
+    }
+});
+
+test('revokeAllSessions can keep the current session signed in', async () => {
+    const current = await createSession(userId, req);
+    await createSession(userId, req);
+    await createSession(userId, req);
+    const currentId = current.refreshToken.split('.')[0];
+
+    assert.equal(await revokeAllSessions(userId, { reason: 'revoked', except: currentId }), 2);
+    assert.deepEqual((await listSessions(userId)).map(s => String(s._id)), [currentId]);
+    assert.equal(await isSessionRevoked(currentId), false);
+});
+
+test('revocation is read from Mongo while Redis reconnects', async () => {
+    const { refreshToken } = await createSession(userId, req);
+    const sessionId = refreshToken.split('.')[0];
+    redis = { isReady: false, exists: () => new Promise(() => {}), setEx: () => new Promise(() => {}) };
+
+    await revokeAllSessions(userId);
+    assert.equal(await isSessionRevoked(sessionId), true);
+});
+
+test('the auth middleware refuses access tokens of revoked sessions', async () => {
+    const { token } = await createSession(userId, req);
+    const run = async () => {
+        const request = { header: () => `Bearer ${token}` };
+        const response = { status(code) { this.code = code; return this; }, json(body) { this.body = body; return this; } };
+        let passed = false;
+        await authMiddleware(request, response, () => { passed = true; });
+        return { passed, code: response.code, user: request.user };
+    };
+
+    const before = await run();
+    assert.equal(before.passed, true);
+    assert.equal(before.user.id, String(userId));
+
+    await revokeAllSessions(userId);
+    const after = await run();
+    assert.equal(after.passed, false);
+    assert.equal(after.code, 401);
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    codeForStep,
+    verifyCode,
+    provisioningUri,
+} = require('../utils/totp');
+
+// RFC 6238 appendix B seed "12345678901234567890"; the 6-digit codes are the last digits of its SHA-1 vectors
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('base32 round-trips the RFC seed', () => {
+    assert.equal(base32Encode(Buffer.from('12345678901234567890')), SECRET);
+    assert.equal(base32Decode(SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.throws(() => base32Decode('not base32!'));
+    assert.equal(base32Decode(generateSecret()).length, 20);
+});
+
+test('codeForStep matches the RFC 6238 test vectors', () => {
+    assert.equal(codeForStep(SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(codeForStep(SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(codeForStep(SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(codeForStep(SECRET, Math.floor(2000000000 / 30)), '279037');
+});
+
+test('verifyCode accepts one step of clock drift and returns the step', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+    assert.equal(verifyCode(SECRET, '081804', { time }), step);
+    assert.equal(verifyCode(SECRET, codeForStep(SECRET, step - 1), { time }), step - 1);
+    assert.equal(verifyCode(SECRET, codeForStep(SECRET, step + 2), { time }), null);
+    assert.equal(verifyCode(SECRET, codeForStep(SECRET, step - 1), { time, window: 0 }), null);
+});
+
+test('verifyCode rejects malformed codes', () => {
+    for (const code of ['', '12345', '1234567', 'abcdef', null, undefined]) {
+        assert.equal(verifyCode(SECRET, code), null);
+    }
+});
+
+test('provisioningUri carries the secret and issuer', () => {
+    const uri = new URL(provisioningUri(SECRET, 'an@example.com'));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.searchParams.get('secret'), SECRET);
+    assert.equal(uri.searchParams.get('issuer'), 'Rockefeller Finance');
+    assert.equal(uri.searchParams.get('digits'), '6');
+});
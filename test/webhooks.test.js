@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signPayload, generateSecret } = require('../services/webhooks');
+const { isPublicAddress, assertPublicUrl } = require('../utils/network');
+const { AppError } = require('../utils/errors');
+
+test('signPayload is HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'expense.created' });
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`1714521600.${body}`).digest('hex');
+    assert.equal(signPayload('whsec_test', 1714521600, body), `sha256=${expected}`);
+});
+
+test('the signature changes with the timestamp, body and secret', () => {
+    const signature = signPayload('whsec_a', 1, '{}');
+    assert.notEqual(signPayload('whsec_a', 2, '{}'), signature);
+    assert.notEqual(signPayload('whsec_a', 1, '{ }'), signature);
+    assert.notEqual(signPayload('whsec_b', 1, '{}'), signature);
+});
+
+test('generated secrets are prefixed and random', () => {
+    assert.match(generateSecret(), /^whsec_[0-9a-f]{48}$/);
+    assert.notEqual(generateSecret(), generateSecret());
+});
+
+test('isPublicAddress refuses loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::FFFF:10.0.0.1', 'localhost']) {
+        assert.equal(isPublicAddress(address), false, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '2001:4860:4860::8888', '::ffff:8.8.8.8']) {
+        assert.equal(isPublicAddress(address), true, address);
+    }
+});
+
+test('assertPublicUrl rejects private hosts and other protocols without a DNS lookup', async () => {
+    await assert.rejects(assertPublicUrl('http://127.0.0.1:27017/'), AppError);
+    await assert.rejects(assertPublicUrl('http://[::1]/hook'), AppError);
+    await assert.rejects(assertPublicUrl('ftp://8.8.8.8/'), /http/);
+    await assert.rejects(assertPublicUrl('not a url'), /URL/);
+    await assertPublicUrl('https://8.8.8.8/hook');
+});
@@ -0,0 +1,60 @@
+// Default Rockefeller split, in percent
+const DEFAULT_ALLOCATION_RULE = {
+    essentials: 50,
+    savings: 20,
+    selfInvestment: 15,
+    charity: 5,
+    emergency: 10,
+};
+
+// Allow a little floating point slack when summing percentages
+const PERCENT_TOLERANCE = 0.01;
+
+// Accepts a Mongoose Map or a plain object and returns a plain object
+const toPlainRule = (rule) => {
+    if (!rule) return {};
+    if (rule instanceof Map) return Object.fromEntries(rule);
+    if (typeof rule.toObject === 'function') return rule.toObject();
+    return { ...rule };
+};
+
+// Returns an error message, or null if the rule is valid
+const validateAllocationRule = (rule, validKeys) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return 'Quy tắc phân bổ không hợp lệ';
+    }
+    const entries = Object.entries(rule);
+    if (entries.length === 0) return 'Quy tắc phân bổ không được để trống';
+
+    let total = 0;
+    for (const [key, value] of entries) {
+        if (validKeys && !validKeys.includes(key)) {
+            return `Danh mục không hợp lệ trong quy tắc phân bổ: ${key}`;
+        }
+        const percent = Number(value);
+        if (typeof value === 'boolean' || isNaN(percent) || percent < 0 || percent > 100) {
+            return `Tỷ lệ phân bổ của ${key} phải nằm trong khoảng 0-100`;
+        }
+        total += percent;
+    }
+    if (Math.abs(total - 100) > PERCENT_TOLERANCE) {
+        return `Tổng tỷ lệ phân bổ phải bằng 100% (hiện tại ${total}%)`;
+    }
+    return null;
+};
+
+// Split an amount across categories according to a percentage rule
+const splitAmount = (amount, rule) => {
+    const shares = {};
+    for (const [key, percent] of Object.entries(toPlainRule(rule))) {
+        shares[key] = amount * Number(percent) / 100;
+    }
+    return shares;
+};
+
+module.exports = {
+    DEFAULT_ALLOCATION_RULE,
+    toPlainRule,
+    validateAllocationRule,
+    splitAmount,
+};
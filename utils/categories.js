@@ -0,0 +1,93 @@
+// The five original jars; every user starts with these
+const DEFAULT_CATEGORIES = [
+    { key: 'essentials', name: 'Thiết yếu' },
+    { key: 'savings', name: 'Tiết kiệm' },
+    { key: 'selfInvestment', name: 'Đầu tư bản thân' },
+    { key: 'charity', name: 'Từ thiện' },
+    { key: 'emergency', name: 'Khẩn cấp' },
+];
+
+const MAX_CATEGORY_DEPTH = 3;
+
+// "Ăn uống ngoài" -> "an-uong-ngoai"
+const slugify = (name) => name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const findCategory = (user, key) => user.categories.find(c => c.key === key);
+
+const activeCategoryKeys = (user) => user.categories.filter(c => !c.archived).map(c => c.key);
+
+const isActiveCategory = (user, key) => {
+    const category = findCategory(user, key);
+    return !!category && !category.archived;
+};
+
+// All keys nested below a category, at any depth
+const descendantKeys = (user, key) => {
+    const result = [];
+    const queue = [key];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const child of user.categories.filter(c => c.parent === current)) {
+            result.push(child.key);
+            queue.push(child.key);
+        }
+    }
+    return result;
+};
+
+const categoryDepth = (user, key) => {
+    let depth = 0;
+    let category = findCategory(user, key);
+    while (category && category.parent) {
+        depth += 1;
+        category = findCategory(user, category.parent);
+    }
+    return depth;
+};
+
+// Generate a key from the name that does not clash with existing categories
+const uniqueCategoryKey = (user, name) => {
+    const base = slugify(name) || 'category';
+    let key = base;
+    let suffix = 2;
+    while (findCategory(user, key)) {
+        key = `${base}-${suffix++}`;
+    }
+    return key;
+};
+
+// Make sure legacy users have the default jars and every category has a balance entry
+const ensureCategories = (user) => {
+    let changed = false;
+    if (!user.categories || user.categories.length === 0) {
+        user.categories = DEFAULT_CATEGORIES.map(c => ({ ...c }));
+        changed = true;
+    }
+    for (const category of user.categories) {
+        if (user.allocations.get(category.key) === undefined) {
+            user.allocations.set(category.key, 0);
+            changed = true;
+        }
+    }
+    return changed;
+};
+
+module.exports = {
+    DEFAULT_CATEGORIES,
+    MAX_CATEGORY_DEPTH,
+    slugify,
+    findCategory,
+    activeCategoryKeys,
+    isActiveCategory,
+    descendantKeys,
+    categoryDepth,
+    uniqueCategoryKey,
+    ensureCategories,
+};
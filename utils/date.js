@@ -0,0 +1,64 @@
+// Day-first dates as vi-VN writes them, with an optional time: "1/5/2024", "01-05-2024 08:30"
+const DAY_FIRST_PATTERN = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[\s,]+(\d{1,2}):(\d{1,2})(?::(\d{1,2}))?)?$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:$|T)/;
+
+// Date only if every part survives the round trip; new Date(2024, 1, 31) silently becomes 2 March
+const buildDate = (year, month, day, hour = 0, minute = 0, second = 0) => {
+    const d = new Date(year, month, day, hour, minute, second);
+    const exact = d.getFullYear() === year && d.getMonth() === month && d.getDate() === day &&
+        d.getHours() === hour && d.getMinutes() === minute && d.getSeconds() === second;
+    return exact ? d : null;
+};
+
+// Parse "dd/mm/yyyy[ hh:mm:ss]" or "dd-mm-yyyy[ hh:mm:ss]" (vi-VN) or ISO strings;
+// returns null if nothing matches or the date does not exist (31/02, 2024-02-30)
+const parseDateStrict = (dateStr) => {
+    if (!dateStr || typeof dateStr !== 'string') return null;
+    const trimmed = dateStr.trim();
+
+    const dayFirst = trimmed.match(DAY_FIRST_PATTERN);
+    if (dayFirst) {
+        const [day, month, year, hour = 0, minute = 0, second = 0] = dayFirst.slice(1).map(n => parseInt(n, 10) || 0);
+        return buildDate(year, month - 1, day, hour, minute, second);
+    }
+
+    const iso = trimmed.match(ISO_DATE_PATTERN);
+    if (iso) {
+        // ISO dates are read as UTC, so the calendar check runs in UTC too
+        const [year, month, day] = iso.slice(1).map(n => parseInt(n, 10));
+        const calendar = new Date(Date.UTC(year, month - 1, day));
+        if (calendar.getUTCFullYear() !== year || calendar.getUTCMonth() !== month - 1 || calendar.getUTCDate() !== day) {
+            return null;
+        }
+        const d = new Date(trimmed);
+        return isNaN(d.getTime()) ? null : d;
+    }
+
+    // Anything with slashes or dashes that is neither form above is ambiguous
+    if (/^\d{1,4}[/-]\d{1,2}[/-]\d{1,4}/.test(trimmed)) return null;
+    const d = new Date(trimmed);
+    return isNaN(d.getTime()) ? null : d;
+};
+
+// Lenient variant used for stored expenses: unparseable dates fall back to now
+const parseTransactionDate = (dateStr) => parseDateStrict(dateStr) || new Date();
+
+// Local calendar day, e.g. "2024-05-01"
+const toDateKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Expense.date string that parseTransactionDate reads back to the same instant:
+// "1/5/2024", or "1/5/2024 08:30:00" when there is a time of day
+const formatExpenseDate = (date) => {
+    const day = `${date.getDate()}/${date.getMonth() + 1}/${date.getFullYear()}`;
+    if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) return day;
+    const time = [date.getHours(), date.getMinutes(), date.getSeconds()]
+        .map(n => String(n).padStart(2, '0'))
+        .join(':');
+    return `${day} ${time}`;
+};
+
+module.exports = { parseDateStrict, parseTransactionDate, toDateKey, formatExpenseDate };
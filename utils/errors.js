@@ -0,0 +1,40 @@
+// Errors thrown from services; controllers turn them into JSON responses
+class AppError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message) {
+        super(message, 404);
+    }
+}
+
+// A guarded debit would take a category balance below zero
+class InsufficientFundsError extends AppError {
+    constructor(category, available, currency) {
+        super(`Số tiền vượt quá ngân sách ${category} (${available} ${currency})`, 400);
+        this.category = category;
+        this.available = available;
+        this.currency = currency;
+    }
+}
+
+// No price could be fetched and there is no last known value to fall back to
+class MarketDataError extends AppError {
+    constructor(message, status = 503) {
+        super(message, status);
+    }
+}
+
+// No exchange rate from the provider, the cache or the local rate table
+class ExchangeRateError extends AppError {
+    constructor(message, status = 503) {
+        super(message, status);
+    }
+}
+
+module.exports = { AppError, NotFoundError, InsufficientFundsError, MarketDataError, ExchangeRateError };
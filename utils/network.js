@@ -0,0 +1,83 @@
+const dns = require('dns');
+const net = require('net');
+const { AppError } = require('./errors');
+
+// Addresses a user-supplied URL must not reach: this host, private networks and cloud metadata
+const blocked = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4],
+]) {
+    blocked.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 128],
+    ['::1', 128],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8],
+]) {
+    blocked.addSubnet(network, prefix, 'ipv6');
+}
+
+// Local development can point webhooks at localhost
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it wraps
+    const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return !blocked.check(mapped[1], 'ipv4');
+    return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns.lookup replacement for outgoing sockets: the address is checked when the connection
+// is made, so a name that re-resolves to a private address after validation is still refused
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        const refused = addresses.find(a => !allowPrivate() && !isPublicAddress(a.address));
+        if (refused) {
+            return callback(Object.assign(new Error(`Địa chỉ ${refused.address} thuộc mạng nội bộ`), { code: 'EPRIVATEADDR' }));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// Reject URLs whose host is, or resolves to, a loopback, private or link-local address
+const assertPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new AppError('URL không hợp lệ');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new AppError('URL phải dùng http hoặc https');
+    if (allowPrivate()) return;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname)
+            ? [{ address: hostname }]
+            : await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+        throw new AppError(`Không phân giải được tên miền ${hostname}`);
+    }
+    if (addresses.length === 0 || addresses.some(a => !isPublicAddress(a.address))) {
+        throw new AppError('URL không được trỏ tới địa chỉ nội bộ hoặc máy chủ cục bộ');
+    }
+};
+
+module.exports = { isPublicAddress, publicLookup, assertPublicUrl };
@@ -0,0 +1,22 @@
+// Respect backpressure so large streamed responses never buffer in memory.
+// Resolves false once the client has gone away: 'drain' would never come, so
+// callers stop writing and release whatever feeds the stream.
+const writeChunk = async (res, chunk) => {
+    if (res.destroyed) return false;
+    if (res.write(chunk)) return true;
+    return new Promise((resolve) => {
+        const settle = (open) => () => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            res.off('error', onClose);
+            resolve(open);
+        };
+        const onDrain = settle(true);
+        const onClose = settle(false);
+        res.on('drain', onDrain);
+        res.on('close', onClose);
+        res.on('error', onClose);
+    });
+};
+
+module.exports = { writeChunk };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets stored at rest, e.g. TOTP seeds. The key comes from
+// SECRET_ENCRYPTION_KEY, or JWT_SECRET when that is not set.
+const key = () => crypto.createHash('sha256')
+    .update(process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+// "iv.tag.ciphertext", base64url encoded
+const seal = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key(), iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64url')).join('.');
+};
+
+const open = (sealed) => {
+    const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = { seal, open };
@@ -0,0 +1,14 @@
+// Lowercase, accent-free form of Vietnamese text for search: "Cà phê Đà Lạt" -> "ca phe da lat".
+// "đ" is a separate letter, not a d with a combining mark, so NFD alone keeps it.
+const normalizeSearchText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { normalizeSearchText, escapeRegex };
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the variant every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0, value = 0, output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+    let bits = 0, value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Chuỗi base32 không hợp lệ');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value for one time step
+const codeForStep = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step, allowing `window` steps of clock drift, or null
+const verifyCode = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+    if (!/^\d{6}$/.test(String(code || ''))) return null;
+    const now = currentStep(time);
+    for (let step = now - window; step <= now + window; step++) {
+        const expected = Buffer.from(codeForStep(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) return step;
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = (secret, account, issuer = 'Rockefeller Finance') => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    currentStep,
+    codeForStep,
+    verifyCode,
+    provisioningUri,
+};